@@ -1,16 +1,22 @@
 import { readFileSync, existsSync } from 'fs';
 import { resolve } from 'path';
-
-const AUTO_PURCHASE_PATH = resolve('./auto-purchase.json');
+import { createHash } from 'crypto';
+import { markOrderButton } from './schedule-scraper.js';
+import { loadLedger, recordPurchase, updatePurchase, checkPurchaseLimits, heldPurchases } from './purchase-ledger.js';
+import { findConflict } from './screening-conflicts.js';
+import { detectLogin } from './session-health.js';
+import { parseScreeningTime } from './screening-time.js';
+import { screenshotPath, writeJsonAtomic } from './data-dir.js';
+import { createLogger, withLogContext, setLogContext } from './logger.js';
+import { createCheckoutRecorder } from './checkout-recorder.js';
+import { loadCheckoutFlow, runCheckoutMachine } from './checkout-machine.js';
+import { parseConfirmation, hasConfirmationDetails, formatConfirmation } from './order-confirmation.js';
+
+const log = createLogger();
+
+const CONFIG_MANAGED_BY = 'control-api';
 const BUTTON_SELECTOR = 'button, [role="button"], a, input[type="button"], input[type="submit"]';
 
-const TEXT_PATTERNS = {
-  orderTickets: [/order\s+tickets?/i, /get\s+tickets?/i, /buy\s+tickets?/i],
-  buyAdditional: [/buy\s+additional\s+tickets/i, /buy\s+additional/i, /add\s+tickets?/i, /add\s+another/i],
-  continue: [/add\s+to\s+cart/i, /continue/i, /next/i, /checkout/i, /proceed/i, /review/i],
-  final: [/complete\s+purchase/i, /place\s+order/i, /confirm\s+purchase/i, /pay\s+now/i, /submit\s+order/i, /buy\s+now/i, /finish/i]
-};
-
 function normalizeTitle(title) {
   return (title || '').toLowerCase().trim();
 }
@@ -30,52 +36,83 @@ function getPaymentConfig(settings = {}) {
   };
 }
 
-// Load auto-purchase configuration from file or environment variable
-export function loadAutoPurchaseConfig() {
-  // Try base64-encoded environment variable first (for cloud deployment)
+// AUTO_PURCHASE_PATH moves the file, e.g. onto a persistent volume so control API edits survive a redeploy
+export function getAutoPurchasePath() {
+  return resolve(process.env.AUTO_PURCHASE_PATH || './auto-purchase.json');
+}
+
+// Where the file is read from: AUTO_PURCHASE_PATH, or ./auto-purchase.json until the first
+// save creates it there, so moving the file onto a volume doesn't drop a config built into the image
+function findAutoPurchaseFile() {
+  const path = getAutoPurchasePath();
+  const local = resolve('./auto-purchase.json');
+  return !existsSync(path) && existsSync(local) ? local : path;
+}
+
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// The config from AUTO_PURCHASE_JSON_BASE64 or AUTO_PURCHASE_JSON, as { text, source } or null
+function readEnvConfig() {
   if (process.env.AUTO_PURCHASE_JSON_BASE64) {
-    try {
-      const decoded = Buffer.from(process.env.AUTO_PURCHASE_JSON_BASE64, 'base64').toString('utf-8');
-      const config = JSON.parse(decoded);
-      if (!config.enabled) {
-        return null;
-      }
-      return config;
-    } catch (error) {
-      console.error('⚠️  Error parsing AUTO_PURCHASE_JSON_BASE64 environment variable:', error.message);
-      return null;
-    }
+    return { text: Buffer.from(process.env.AUTO_PURCHASE_JSON_BASE64, 'base64').toString('utf-8'), source: 'AUTO_PURCHASE_JSON_BASE64' };
   }
-
-  // Try plain JSON environment variable (for Railway deployment)
   if (process.env.AUTO_PURCHASE_JSON) {
-    try {
-      const config = JSON.parse(process.env.AUTO_PURCHASE_JSON);
-      if (!config.enabled) {
-        return null;
-      }
-      return config;
-    } catch (error) {
-      console.error('⚠️  Error parsing AUTO_PURCHASE_JSON environment variable:', error.message);
-      return null;
-    }
+    return { text: process.env.AUTO_PURCHASE_JSON, source: 'AUTO_PURCHASE_JSON' };
   }
+  return null;
+}
 
-  // Fall back to file (for local development)
-  if (!existsSync(AUTO_PURCHASE_PATH)) {
+function parseConfig(text, source, label) {
+  try {
+    return { config: JSON.parse(text), source };
+  } catch (error) {
+    log.error(`⚠️  Error ${label}: ${error.message}`);
     return null;
   }
+}
 
-  try {
-    const config = JSON.parse(readFileSync(AUTO_PURCHASE_PATH, 'utf-8'));
-    if (!config.enabled) {
-      return null;
-    }
-    return config;
-  } catch (error) {
-    console.error('⚠️  Error loading auto-purchase.json:', error.message);
+// Read the auto-purchase configuration as written, even when disabled.
+// The environment variables (for cloud deployment) win over the file, except when the
+// file holds edits saved by the control API since that environment config was set.
+// Returns { config, source } or null.
+export function readAutoPurchaseConfig() {
+  const seed = readEnvConfig();
+  const path = findAutoPurchaseFile();
+  const file = existsSync(path)
+    ? parseConfig(readFileSync(path, 'utf-8'), path, `loading ${path.split('/').pop()}`)
+    : null;
+
+  if (file?.config.managedBy === CONFIG_MANAGED_BY && (!seed || file.config.seedHash === hash(seed.text))) {
+    return file;
+  }
+  if (seed) {
+    return parseConfig(seed.text, seed.source, `parsing ${seed.source} environment variable`);
+  }
+  return file;
+}
+
+// Load auto-purchase configuration from file or environment variable; null when disabled
+export function loadAutoPurchaseConfig() {
+  const config = readAutoPurchaseConfig()?.config;
+  if (!config || !config.enabled) {
     return null;
   }
+  return config;
+}
+
+// Write the configuration to the config file, marked as edited, so it is used in
+// place of the environment config it started from (see readAutoPurchaseConfig)
+export function saveAutoPurchaseConfig(config) {
+  const seed = readEnvConfig();
+  const { managedBy, seedHash, savedAt, ...rest } = config;
+  writeJsonAtomic(getAutoPurchasePath(), {
+    ...rest,
+    managedBy: CONFIG_MANAGED_BY,
+    seedHash: seed ? hash(seed.text) : null,
+    savedAt: new Date().toISOString()
+  });
 }
 
 // Get auto-purchase settings for a specific film screening
@@ -92,6 +129,17 @@ export function getFilmSettings(filmTitle, screeningTime, config) {
   );
   if (exactMatch) return exactMatch;
 
+  // The same start time worded differently, e.g. a screening read from the schedule API
+  const startsAt = parseScreeningTime(screeningTime)?.startsAt;
+  if (startsAt) {
+    const timeMatch = config.films.find(f =>
+      f.screeningTime &&
+      normalizeTitle(f.title) === normalizedTitle &&
+      parseScreeningTime(f.screeningTime)?.startsAt === startsAt
+    );
+    if (timeMatch) return timeMatch;
+  }
+
   // Fallback: match on title only if no screening time specified in config
   // (for backwards compatibility with old config files that don't have screeningTime)
   const titleOnlyMatch = config.films.find(f =>
@@ -102,10 +150,45 @@ export function getFilmSettings(filmTitle, screeningTime, config) {
   return null;
 }
 
-// Check if a film screening should be auto-purchased
-export function shouldAutoPurchase(filmTitle, screeningTime, config) {
+function getTicketQuantity(film, settings) {
+  return film.ticketQuantity || settings.ticketQuantity || 1;
+}
+
+// Decide whether a screening should be bought, consulting the purchase ledger for
+// duplicates, the configured limits and clashes with tickets already held.
+// screening is the scraped record ({ venue, startsAt, endsAt }), when available.
+// Returns { allowed, reason, quantity }.
+export function getPurchaseDecision(filmTitle, screeningTime, config, ledger = loadLedger(), screening = {}) {
   const film = getFilmSettings(filmTitle, screeningTime, config);
-  return film?.autoPurchase === true;
+  if (!film) {
+    return { allowed: false, reason: 'Film screening not found in auto-purchase list', quantity: 0 };
+  }
+  if (film.autoPurchase !== true) {
+    return { allowed: false, reason: 'Auto-purchase disabled for this screening', quantity: 0 };
+  }
+
+  const settings = config.settings || {};
+  const decision = checkPurchaseLimits(ledger, {
+    title: filmTitle,
+    screeningTime,
+    startsAt: screening?.startsAt || parseScreeningTime(screeningTime)?.startsAt || null,
+    quantity: getTicketQuantity(film, settings),
+    unitPrice: film.ticketPrice ?? settings.ticketPrice
+  }, film, settings);
+  if (!decision.allowed || settings.avoidConflicts === false) {
+    return decision;
+  }
+
+  const conflict = findConflict({ ...screening, title: filmTitle, screeningTime }, heldPurchases(ledger), settings);
+  if (conflict) {
+    return { allowed: false, reason: `Schedule conflict: ${conflict.reason}`, quantity: 0 };
+  }
+  return decision;
+}
+
+// Check if a film screening should be auto-purchased
+export function shouldAutoPurchase(filmTitle, screeningTime, config, ledger) {
+  return getPurchaseDecision(filmTitle, screeningTime, config, ledger).allowed;
 }
 
 async function waitForPageSettled(page, waitMs = 1500) {
@@ -113,9 +196,12 @@ async function waitForPageSettled(page, waitMs = 1500) {
   await page.waitForTimeout(waitMs);
 }
 
-async function clickFirstMatching(context, patterns, label, quiet = false) {
+// Find the first visible, enabled, not-sold-out button matching one of the patterns,
+// only inside elements matching scope when given
+async function findFirstMatching(context, patterns, scope = null) {
+  const root = scope ? context.locator(scope) : context;
   for (const pattern of patterns) {
-    const locator = context.locator(BUTTON_SELECTOR, { hasText: pattern });
+    const locator = root.locator(BUTTON_SELECTOR, { hasText: pattern });
     const count = await locator.count().catch(() => 0);
     for (let i = 0; i < Math.min(count, 6); i++) {
       const target = locator.nth(i);
@@ -125,14 +211,28 @@ async function clickFirstMatching(context, patterns, label, quiet = false) {
       if (disabled) continue;
       const text = (await target.innerText().catch(() => '')).trim();
       if (text && /sold\s*out/i.test(text)) continue;
-      await target.click({ timeout: 5000 });
-      if (!quiet) {
-        console.log(`   ✓ ${label || 'Clicked'}${text ? `: "${text}"` : ''}`);
-      }
-      return true;
+      return { target, text };
     }
   }
-  return false;
+  return null;
+}
+
+async function findFirstMatchingAnyContext(page, patterns, scope = null) {
+  for (const context of [page, ...page.frames().filter(f => f !== page.mainFrame())]) {
+    const match = await findFirstMatching(context, patterns, scope);
+    if (match) return match;
+  }
+  return null;
+}
+
+async function clickFirstMatching(context, patterns, label, quiet = false, scope = null) {
+  const match = await findFirstMatching(context, patterns, scope);
+  if (!match) return false;
+  await match.target.click({ timeout: 5000 });
+  if (!quiet) {
+    log.info(`   ✓ ${label || 'Clicked'}${match.text ? `: "${match.text}"` : ''}`);
+  }
+  return true;
 }
 
 async function clickFirstMatchingAnyContext(page, patterns, label, options = {}) {
@@ -142,9 +242,9 @@ async function clickFirstMatchingAnyContext(page, patterns, label, options = {})
 
   while (true) {
     for (const context of contexts()) {
-      if (await clickFirstMatching(context, patterns, label, waitMs > 0)) {
+      if (await clickFirstMatching(context, patterns, label, waitMs > 0, options.scope)) {
         if (waitMs > 0) {
-          console.log(`   ✓ ${label || 'Clicked'} (after wait)`);
+          log.info(`   ✓ ${label || 'Clicked'} (after wait)`);
         }
         return true;
       }
@@ -183,13 +283,14 @@ async function clickByTextContent(page, searchText, label) {
   }, searchText);
 
   if (clicked.clicked) {
-    console.log(`   ✓ ${label || 'Clicked'}: "${clicked.text}"`);
+    log.info(`   ✓ ${label || 'Clicked'}: "${clicked.text}"`);
     return true;
   }
   return false;
 }
 
-async function dumpVisibleButtons(page, label = 'Buttons') {
+// Log the buttons on the page (unless quiet) and return their text
+async function dumpVisibleButtons(page, label = 'Buttons', { quiet = false } = {}) {
   const items = await page.evaluate(() => {
     const buttons = Array.from(document.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="submit"]'));
     return buttons
@@ -200,17 +301,19 @@ async function dumpVisibleButtons(page, label = 'Buttons') {
       .filter(Boolean)
       .slice(0, 20);
   });
-  if (items.length > 0) {
-    console.log(`   🔎 ${label}: ${items.join(' | ')}`);
+  if (items.length > 0 && !quiet) {
+    log.info(`   🔎 ${label}: ${items.join(' | ')}`);
   }
+  return items;
 }
 
-async function checkTermsCheckboxes(page) {
-  const checked = await page.evaluate(() => {
+// Terms/agreement checkboxes: ticks them when tick is set. Returns { total, unchecked, clicked }.
+async function checkTermsCheckboxes(page, { tick = true } = {}) {
+  const boxes = await page.evaluate((tickBoxes) => {
     // Look for checkboxes related to terms/purchasing
     const patterns = [/agree/i, /terms/i, /conditions/i, /policy/i, /purchasing/i];
     const boxes = Array.from(document.querySelectorAll('input[type="checkbox"]'));
-    let checkedAny = false;
+    const result = { total: 0, unchecked: 0, clicked: 0 };
 
     boxes.forEach((box) => {
       if (box.disabled) return;
@@ -226,24 +329,27 @@ async function checkTermsCheckboxes(page) {
       ].filter(Boolean).join(' ').toLowerCase();
 
       if (patterns.some(p => p.test(textSources))) {
-        if (!box.checked) {
+        result.total++;
+        if (!box.checked && tickBoxes) {
           box.click();
-          checkedAny = true;
+          result.clicked++;
         }
+        if (!box.checked) result.unchecked++;
       }
     });
 
-    return checkedAny;
-  });
+    return result;
+  }, tick);
 
-  if (checked) {
-    console.log('   ✓ Checked terms/agreement checkbox');
+  if (boxes.clicked > 0) {
+    log.info('   ✓ Checked terms/agreement checkbox');
   }
-  return checked;
+  return boxes;
 }
 
+// Set the ticket quantity, or as many as are left. Returns the quantity set, or 0.
 async function setTicketQuantity(page, quantity) {
-  if (!quantity || quantity <= 1) return false;
+  if (!quantity || quantity <= 1) return 0;
 
   const result = await page.evaluate((desired) => {
     const selects = Array.from(document.querySelectorAll('select'));
@@ -301,14 +407,26 @@ async function setTicketQuantity(page, quantity) {
 
   if (result.success) {
     if (result.quantity < quantity) {
-      console.log(`   ⚠️  Only ${result.quantity} ticket(s) available (requested ${quantity})`);
-      console.log(`   ✓ Set ticket quantity to ${result.quantity}`);
+      log.info(`   ⚠️  Only ${result.quantity} ticket(s) available (requested ${quantity})`);
+      log.info(`   ✓ Set ticket quantity to ${result.quantity}`);
     } else {
-      console.log(`   ✓ Set ticket quantity to ${result.quantity}`);
+      log.info(`   ✓ Set ticket quantity to ${result.quantity}`);
     }
   }
 
-  return result.success;
+  return result.success ? result.quantity : 0;
+}
+
+// The quantity the form shows, or null when it has no quantity control
+async function readTicketQuantity(page) {
+  return await page.evaluate(() => {
+    const select = Array.from(document.querySelectorAll('select'))
+      .find(el => /quantity/i.test(`${el.id} ${el.name} ${el.className}`));
+    const inputs = Array.from(document.querySelectorAll('input[type="number"]'));
+    const input = inputs.find(el => /quantity/i.test(`${el.id} ${el.name}`)) || (inputs.length === 1 ? inputs[0] : null);
+    const control = select || input;
+    return control ? parseInt(control.value, 10) || 0 : null;
+  });
 }
 
 async function selectSavedPayment(page) {
@@ -330,6 +448,19 @@ async function selectSavedPayment(page) {
   });
 }
 
+// Whether payment is settled: a saved card is chosen, or there are none to choose from
+async function isPaymentReady(page) {
+  return await page.evaluate(() => {
+    const patterns = ['VISA', 'MASTERCARD', 'AMEX', 'AMERICAN EXPRESS', 'DISCOVER', 'ENDING', '****', 'CARD'];
+    const cards = Array.from(document.querySelectorAll('input[type="radio"]')).filter((radio) => {
+      const label = radio.closest('label') || (radio.id ? document.querySelector(`label[for="${radio.id}"]`) : null);
+      const labelText = (label?.innerText || radio.getAttribute('aria-label') || '').toUpperCase();
+      return patterns.some(p => labelText.includes(p));
+    });
+    return cards.length === 0 || cards.some(radio => radio.checked);
+  });
+}
+
 async function fillInputs(frame, selectors, value) {
   for (const selector of selectors) {
     const locator = frame.locator(selector);
@@ -408,168 +539,174 @@ async function fillCardDetails(page, payment) {
   }
 
   if (filledAny) {
-    console.log('   ✓ Filled payment fields');
+    log.info('   ✓ Filled payment fields');
   }
   return filledAny;
 }
 
-async function detectLogin(page) {
-  const url = page.url();
-  if (/login|sign-in|signin|auth/i.test(url)) return true;
-  const hasPassword = await page.locator('input[type="password"]').first().isVisible().catch(() => false);
-  if (hasPassword) return true;
-  const hasLoginText = await page.locator('text=/sign in|log in/i').first().isVisible().catch(() => false);
-  return hasLoginText;
-}
-
-async function detectQueue(page) {
-  const url = page.url();
-  if (/queue|waiting-room/i.test(url)) return true;
-  const hasQueueText = await page.locator('text=/waiting room|queue/i').first().isVisible().catch(() => false);
-  return hasQueueText;
-}
-
-async function detectConfirmation(page) {
-  const url = page.url();
-  if (/confirmation|receipt|thank-you|order-complete|purchase-complete/i.test(url)) return true;
-  const confirmationText = await page.locator('text=/thank you|order confirmed|purchase complete|confirmation number|receipt/i')
-    .first()
-    .isVisible()
-    .catch(() => false);
-  return confirmationText;
-}
+// Stop a dry run in front of the final button, with a screenshot of what would be clicked
+async function reportDryRun(page, finalButton, states, helpers) {
+  await finalButton.target.evaluate((el) => { el.style.outline = '4px solid #ff6b35'; }).catch(() => {});
+  const screenshotPath = helpers?.screenshot ? await helpers.screenshot('dry-run-final', { force: true }) : null;
 
-async function detectBlockingError(page) {
-  // Only check for errors within modals/dialogs, not the background page
-  const errorInModal = await page.evaluate(() => {
-    // Look for modal/dialog containers
-    const modal = document.querySelector('[role="dialog"], .modal, [class*="modal"], [class*="checkout"], [class*="Checkout"]');
-    if (!modal) return false;
+  log.info(`   🧪 Dry run: would click "${finalButton.text}" - stopping here`);
+  log.info(`   States reached: ${states.join(', ')}`);
+  if (screenshotPath) {
+    log.info(`   📸 ${screenshotPath}`);
+  }
 
-    const modalText = modal.innerText.toLowerCase();
-    const errorPatterns = ['no longer available', 'payment failed', 'declined', 'try again', 'error'];
-    return errorPatterns.some(p => modalText.includes(p));
-  });
-  return errorInModal;
+  return {
+    success: true,
+    dryRun: true,
+    reason: `Dry run reached final step (would click "${finalButton.text}")`,
+    finalButton: finalButton.text,
+    states,
+    screenshot: screenshotPath,
+    url: page.url()
+  };
 }
 
-async function runCheckoutFlow(page, settings, helpers) {
-  const maxSteps = settings.maxSteps || 12;
-  const stepWaitMs = settings.stepWaitMs || 1800;
-  const waitForBuyAdditionalMs = settings.waitForBuyAdditionalMs || 15000;
+// The page side of the checkout machine (see checkout-machine.js): answers the flow's
+// conditions and performs its actions on the checkout page
+export function createCheckoutDriver(page, settings, helpers) {
   const payment = getPaymentConfig(settings);
+  // What the actions did, for the checks that follow them
+  const done = { quantity: 0, cardFilled: false };
+
+  const checks = {
+    loginPage: () => detectLogin(page),
+    quantitySet: async () => {
+      const shown = await readTicketQuantity(page);
+      return shown === null || (shown >= 1 && (!done.quantity || shown === done.quantity));
+    },
+    paymentReady: async () => done.cardFilled || await isPaymentReady(page),
+    termsAccepted: async () => (await checkTermsCheckboxes(page, { tick: false })).unchecked === 0
+  };
 
-  // Step 1: Click "Buy additional tickets..." - it's often a DIV, not a button
-  console.log('   Looking for "Buy additional tickets..." dropdown...');
-  await page.waitForTimeout(1500); // Wait for dropdown to appear
-
-  // Try text content search first (handles DIV elements)
-  let clickedBuyAdditional = await clickByTextContent(page, 'buy additional tickets', 'Buy additional tickets');
-
-  // Fallback to button patterns if text search didn't work
-  if (!clickedBuyAdditional) {
-    clickedBuyAdditional = await clickFirstMatchingAnyContext(page, TEXT_PATTERNS.buyAdditional, 'Buy additional tickets', {
-      waitMs: waitForBuyAdditionalMs
-    });
-  }
-
-  if (clickedBuyAdditional) {
-    await waitForPageSettled(page, stepWaitMs);
-    console.log('   Checkout modal should be open...');
-  } else {
-    console.log('   ⚠️ Could not find "Buy additional tickets..." - may already be in checkout');
-  }
-
-  // Main checkout loop - simplified for Sundance flow:
-  // 1. Check terms checkbox
-  // 2. Click "COMPLETE PURCHASE"
-  for (let step = 1; step <= maxSteps; step++) {
-    console.log(`   Checkout step ${step}...`);
-
-    // Safety checks
-    if (await detectQueue(page)) {
-      return { success: false, reason: 'Queue/waiting room encountered', url: page.url() };
-    }
-    if (await detectLogin(page)) {
-      return { success: false, reason: 'Login required during checkout', url: page.url() };
-    }
-    if (await detectConfirmation(page)) {
-      return { success: true, reason: 'Purchase confirmed', url: page.url() };
+  const tasks = {
+    setQuantity: async () => {
+      done.quantity = await setTicketQuantity(page, settings.ticketQuantity);
+      return done.quantity > 0;
+    },
+    selectSavedPayment: () => selectSavedPayment(page),
+    fillCard: async () => {
+      done.cardFilled = await fillCardDetails(page, payment);
+      return done.cardFilled;
+    },
+    acceptTerms: async () => {
+      const boxes = await checkTermsCheckboxes(page);
+      return boxes.total > 0 && boxes.unchecked === 0;
     }
-    if (await detectBlockingError(page)) {
-      return { success: false, reason: 'Checkout error in modal', url: page.url() };
-    }
-
-    let acted = false;
+  };
 
-    // Step A: Check the terms checkbox ("I agree to the Purchasing Terms")
-    acted = acted || await checkTermsCheckboxes(page);
+  // A scope is the first visible element matching it (the open dialog), so hidden
+  // templates and the page behind the dialog aren't read
+  const textIn = (scope) => page.evaluate((selector) => {
+    if (!selector) return document.body?.innerText || '';
+    const visible = Array.from(document.querySelectorAll(selector)).find(el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden');
+    return visible?.innerText || '';
+  }, scope);
 
-    // Step B: Try to click "COMPLETE PURCHASE" button
-    if (await clickFirstMatchingAnyContext(page, TEXT_PATTERNS.final, 'Complete purchase')) {
-      await waitForPageSettled(page, stepWaitMs + 1000); // Extra wait for purchase processing
-      if (await detectConfirmation(page)) {
-        return { success: true, reason: 'Purchase confirmed', url: page.url() };
+  return {
+    url: () => page.url(),
+    wait: ms => page.waitForTimeout(ms),
+    settle: ms => waitForPageSettled(page, settings.stepWaitMs ?? ms),
+
+    async detect(condition, scope) {
+      if (condition.url) return new RegExp(condition.url, 'i').test(page.url());
+      if (condition.text) return new RegExp(condition.text, 'i').test(await textIn(scope));
+      if (condition.selector) {
+        return await (scope ? page.locator(scope) : page).locator(condition.selector).first().isVisible().catch(() => false);
       }
-      acted = true;
-    }
-
-    // Fallback: Try quantity adjustment if needed
-    acted = acted || await setTicketQuantity(page, settings.ticketQuantity);
+      if (condition.button) {
+        return !!await findFirstMatchingAnyContext(page, [condition.button].flat().map(p => new RegExp(p, 'i')), scope);
+      }
+      return await checks[condition.check]();
+    },
 
-    // Fallback: Try saved payment selection
-    acted = acted || await selectSavedPayment(page);
+    async act(action, { scope, states }) {
+      if (action.do) {
+        return { ok: await tasks[action.do]() };
+      }
 
-    // Fallback: Try continue/next buttons
-    acted = acted || await clickFirstMatchingAnyContext(page, TEXT_PATTERNS.continue, 'Continue');
+      const patterns = (action.click || action.submit).map(p => new RegExp(p, 'i'));
+      if (action.click) {
+        // Menu items are often DIVs, not buttons: try the text itself first
+        const deadline = Date.now() + (action.waitMs || 0);
+        while (true) {
+          if (action.text && await clickByTextContent(page, action.text, action.label)) return { ok: true };
+          if (await clickFirstMatchingAnyContext(page, patterns, action.label, { scope })) return { ok: true };
+          if (Date.now() >= deadline) return { ok: false };
+          await page.waitForTimeout(500);
+        }
+      }
 
-    if (!acted) {
-      if (settings.debugScreenshots || settings.debugButtonDump) {
-        await dumpVisibleButtons(page, `Step ${step} - no action taken`);
+      // The final button: a dry run stops in front of it
+      if (settings.dryRun) {
+        const finalButton = await findFirstMatchingAnyContext(page, patterns, scope);
+        return finalButton ? { done: await reportDryRun(page, finalButton, states, helpers) } : { ok: false };
+      }
+      const clicked = await clickFirstMatchingAnyContext(page, patterns, action.label, { scope });
+      if (clicked) {
+        helpers?.markSubmitted?.();
+      }
+      return { ok: clicked };
+    },
+
+    // Snapshots and screenshots of each state as it is reached
+    async entered(state) {
+      await helpers?.record?.(state);
+      if (helpers?.debug && helpers?.screenshot) {
+        await helpers.screenshot(state.toLowerCase());
       }
-      // Wait a bit and try one more time in case page is still loading
-      await page.waitForTimeout(1500);
-      continue;
     }
+  };
+}
 
-    await waitForPageSettled(page, stepWaitMs);
-    if (helpers?.debug && helpers?.screenshot) {
-      await helpers.screenshot(`step-${step}`);
-    }
+// Walk the checkout described by the flow (see checkout-machine.js)
+async function runCheckoutFlow(page, flow, settings, helpers) {
+  const result = await runCheckoutMachine(flow, createCheckoutDriver(page, settings, helpers));
+  if (!result.success && (settings.debugScreenshots || settings.debugButtonDump)) {
+    await dumpVisibleButtons(page, `Stopped in ${result.states.at(-2)?.state || flow.initial}`).catch(() => {});
   }
-
-  return { success: false, reason: 'Checkout flow incomplete', url: page.url() };
+  return result;
 }
 
-async function clickOrderTicketsButton(page, filmTitle) {
-  const found = await page.evaluate((title) => {
-    const filmDescs = Array.from(document.querySelectorAll('.sd_schedule_film_desc'));
-    for (const desc of filmDescs) {
-      const titleEl = desc.querySelector('h3');
-      if (!titleEl) continue;
-      const filmTitle = titleEl.textContent.trim();
-      if (!filmTitle.toLowerCase().includes(title.toLowerCase())) continue;
-
-      const row = desc.closest('.rdt_TableRow, [class*="TableRow"]');
-      if (!row) continue;
+// The confirmation page's order details (see order-confirmation.js). The page may still be
+// filling in after the redirect, so keep reading until the order number shows or time is up.
+async function readConfirmation(page, venue, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  let confirmation = null;
+  while (true) {
+    const text = await page.evaluate(() => document.body?.innerText || '').catch(() => '');
+    confirmation = parseConfirmation(text, { url: page.url(), venue });
+    if (confirmation.orderNumber || Date.now() >= deadline) break;
+    await page.waitForTimeout(1000);
+  }
+  return hasConfirmationDetails(confirmation) ? confirmation : null;
+}
 
-      const buttons = row.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="submit"]');
-      for (const btn of buttons) {
-        const text = btn.textContent.trim().toUpperCase();
-        if (text.includes('ORDER') || text.includes('GET') || (text.includes('BUY') && text.includes('TICKET'))) {
-          btn.setAttribute('data-auto-purchase-target', 'true');
-          return true;
-        }
-      }
-    }
-    return false;
-  }, filmTitle);
+// The notification for how a purchase attempt ended
+export function purchaseChange(filmTitle, screeningTime, result, url) {
+  return {
+    type: result.dryRun ? 'PURCHASE_DRY_RUN' : result.success ? 'PURCHASE_SUCCESS' : 'PURCHASE_FAILED',
+    title: filmTitle,
+    screeningTime: screeningTime || '',
+    buttonText: result.reason,
+    url: result.url || url,
+    confirmation: result.confirmation || null,
+    recording: result.success ? null : result.recording || null
+  };
+}
 
+async function clickOrderTicketsButton(page, target) {
+  const { found } = await markOrderButton(page, target);
   if (!found) {
     return { success: false, reason: 'Order tickets button not found' };
   }
 
-  const popupPromise = page.context().waitForEvent('page', { timeout: 8000 }).catch(() => null);
+  // Only popups opened by this page: parallel checkouts share the browser context
+  const popupPromise = page.waitForEvent('popup', { timeout: 8000 }).catch(() => null);
   await page.click('[data-auto-purchase-target="true"]');
   const popup = await popupPromise;
 
@@ -581,74 +718,203 @@ async function clickOrderTicketsButton(page, filmTitle) {
   return { success: true, purchasePage, openedNewPage: !!popup };
 }
 
-// Attempt to purchase tickets for a specific film screening
-export async function attemptPurchase(page, filmTitle, screeningTime, config, sendNotification) {
-  console.log(`\n🛒 AUTO-PURCHASE: Starting purchase flow for "${filmTitle}"`);
+// Attempt to purchase tickets for a specific film screening.
+// options.screening is the scraped Screening record, when available, used to target its row.
+export async function attemptPurchase(page, filmTitle, screeningTime, config, sendNotification, options = {}) {
+  const id = Date.now();
+  const slug = slugify(filmTitle) || 'film';
+  const run = {
+    id,
+    slug,
+    key: options.screening?.key || `${filmTitle}_${screeningTime || ''}`,
+    title: filmTitle,
+    purchaseRunId: `${slug}-${id}`
+  };
+
+  // Everything logged during the checkout, here or in the helpers, names this run
+  return withLogContext({ key: run.key, title: filmTitle, purchaseRunId: run.purchaseRunId }, async () => {
+    const startedAt = Date.now();
+    const result = await runPurchase(page, filmTitle, screeningTime, config, sendNotification, options, run);
+    const outcome = result.dryRun ? 'dry_run' : result.success ? 'success' : 'failed';
+    log.summary(`Purchase ${outcome}: ${result.reason}`, {
+      outcome,
+      reason: result.reason,
+      orderNumber: result.confirmation?.orderNumber || null,
+      durationMs: Date.now() - startedAt
+    });
+    return result;
+  });
+}
+
+async function runPurchase(page, filmTitle, screeningTime, config, sendNotification, options, run) {
+  log.info(`\n🛒 AUTO-PURCHASE: Starting purchase flow for "${filmTitle}"`);
   if (screeningTime) {
-    console.log(`   Screening: ${screeningTime}`);
+    log.info(`   Screening: ${screeningTime}`);
   }
 
   const settings = config.settings || {};
   const filmSettings = getFilmSettings(filmTitle, screeningTime, config);
 
-  if (!filmSettings) {
-    return { success: false, reason: 'Film screening not found in auto-purchase list' };
+  // Re-check right before buying: an earlier purchase this cycle may have used up a limit
+  const decision = getPurchaseDecision(filmTitle, screeningTime, config, loadLedger(), options.screening);
+  if (!decision.allowed) {
+    return { success: false, reason: decision.reason };
   }
-
-  if (filmSettings.autoPurchase !== true) {
-    return { success: false, reason: 'Auto-purchase disabled for this screening' };
+  if (decision.reason) {
+    log.info(`   ⚠️  ${decision.reason}`);
   }
 
-  const runId = Date.now();
-  const slug = slugify(filmTitle) || 'film';
   const debug = settings.debugScreenshots === true;
+  const dryRun = (filmSettings.dryRun ?? settings.dryRun) === true;
+
+  if (dryRun) {
+    log.info('   🧪 Dry run: will stop before the final purchase button');
+  }
+
+  // The checkout's states (checkout-flow.json); a broken flow fails before anything is clicked
+  let flow;
+  try {
+    flow = loadCheckoutFlow();
+  } catch (error) {
+    log.error(`   ❌ ${error.message}`);
+    return { success: false, reason: error.message };
+  }
+
+  // Record the attempt before clicking anything, so a crash mid-checkout still blocks a re-buy
+  const unitPrice = filmSettings.ticketPrice ?? settings.ticketPrice ?? null;
+  const times = options.screening?.startsAt ? options.screening : parseScreeningTime(screeningTime);
+  const ledgerEntry = dryRun ? null : recordPurchase({
+    key: run.key,
+    title: filmTitle,
+    screeningTime: screeningTime || '',
+    venue: options.screening?.venue || '',
+    startsAt: times?.startsAt || null,
+    endsAt: times?.endsAt || null,
+    group: filmSettings.group || null,
+    quantity: decision.quantity,
+    unitPrice,
+    amount: unitPrice ? unitPrice * decision.quantity : null,
+    outcome: 'PENDING'
+  });
+  let submitted = false;
+  const settleLedger = (result) => {
+    if (!ledgerEntry) return;
+    const confirmation = result.confirmation || null;
+    // Limits count what was actually bought, when the confirmation says
+    const quantity = confirmation?.quantity || ledgerEntry.quantity;
+    const amount = confirmation?.total ?? (unitPrice ? unitPrice * quantity : null);
+    updatePurchase(ledgerEntry.id, {
+      outcome: result.success ? 'SUCCESS' : submitted ? 'UNCONFIRMED' : 'FAILED',
+      reason: result.reason,
+      confirmationUrl: result.success ? result.url || null : null,
+      confirmationNumber: confirmation?.orderNumber || null,
+      confirmation,
+      quantity,
+      amount
+    });
+  };
 
   let currentPage = page;
-  const screenshot = async (label) => {
-    if (!debug) return;
-    const path = `auto-purchase-${slug}-${runId}-${label}.png`;
+  const screenshot = async (label, { force = false } = {}) => {
+    if (!debug && !force) return null;
+    const path = screenshotPath(`auto-purchase-${run.slug}-${run.id}-${label}.png`);
     await currentPage.screenshot({ path, fullPage: true }).catch(() => {});
+    return path;
+  };
+
+  // settings.recordCheckouts: a trace, network log and page snapshots (see checkout-recorder.js)
+  const recorder = await createCheckoutRecorder(page, run, settings).catch((error) => {
+    log.warn(`   ⚠️  Could not start recording the checkout: ${error.message}`);
+    return null;
+  });
+  const record = async (label) => {
+    if (!recorder) return;
+    // A wedged page shouldn't hold up the checkout it is recording
+    const snapshot = async () => {
+      const buttons = await dumpVisibleButtons(currentPage, label, { quiet: true }).catch(() => []);
+      await recorder.snapshot(currentPage, label, buttons).catch(() => {});
+    };
+    let timer;
+    await Promise.race([snapshot(), new Promise((resolve) => { timer = setTimeout(resolve, 10000); })]);
+    clearTimeout(timer);
+  };
+  // Stop recording, adding where it was saved to the result
+  const finishRecording = async (result) => {
+    if (!recorder) return result;
+    await record('final');
+    const dir = await recorder.finish(result).catch((error) => {
+      log.warn(`   ⚠️  Could not save the checkout recording: ${error.message}`);
+      return null;
+    });
+    if (dir) {
+      log.info(`   🧾 Checkout recording: ${dir}`);
+    }
+    return dir ? { ...result, recording: dir } : result;
+  };
+  // Every attempt that got this far ends in a notification, failures with their recording
+  const notify = async (result) => {
+    if (!sendNotification || settings.notifyOnPurchaseUpdates === false) return;
+    const change = purchaseChange(filmTitle, screeningTime, result, currentPage.url());
+    await sendNotification([change], { urgent: !result.dryRun }).catch((error) => {
+      log.warn(`   ⚠️  Could not send the purchase notification: ${error.message}`);
+    });
   };
 
   try {
     // Step 1: Find and click the "Order tickets" button for this film
-    console.log('   Step 1: Finding Order tickets button...');
-    const orderResult = await clickOrderTicketsButton(page, filmTitle);
+    setLogContext({ step: 'order-tickets' });
+    log.info('   Step 1: Finding Order tickets button...');
+    const orderResult = await clickOrderTicketsButton(page, {
+      title: filmTitle,
+      screeningTime,
+      rowId: options.screening?.rowId
+    });
     if (!orderResult.success) {
-      return { success: false, reason: orderResult.reason };
+      const result = await finishRecording({ success: false, reason: orderResult.reason });
+      settleLedger(result);
+      await notify(result);
+      return result;
     }
 
     const purchasePage = orderResult.purchasePage;
     currentPage = purchasePage;
+    recorder?.watch(purchasePage);
     await waitForPageSettled(purchasePage);
-    await screenshot('after-order');
 
-    console.log('   Step 2+: Navigating checkout flow...');
-    const checkoutResult = await runCheckoutFlow(purchasePage, settings, { debug, screenshot });
+    log.info('   Step 2+: Following the checkout flow...');
+    const flowResult = await runCheckoutFlow(
+      purchasePage,
+      flow,
+      { ...settings, ticketQuantity: decision.quantity, dryRun },
+      { debug, screenshot, record, markSubmitted: () => { submitted = true; } }
+    );
+    if (flowResult.success && !flowResult.dryRun) {
+      flowResult.confirmation = await readConfirmation(purchasePage, options.screening?.venue);
+      if (flowResult.confirmation) {
+        log.info(`   🎟️  ${formatConfirmation(flowResult.confirmation)}`, { confirmation: flowResult.confirmation });
+      } else {
+        log.warn('   ⚠️  Could not read the order details from the confirmation page');
+      }
+    }
+    const checkoutResult = await finishRecording(flowResult);
+    settleLedger(checkoutResult);
 
+    await notify(checkoutResult);
     if (orderResult.openedNewPage && purchasePage !== page && settings.keepCheckoutOpen !== true) {
       await purchasePage.close().catch(() => {});
     }
 
-    if (sendNotification && settings.notifyOnPurchaseUpdates !== false) {
-      const change = {
-        type: checkoutResult.success ? 'PURCHASE_SUCCESS' : 'PURCHASE_FAILED',
-        title: filmTitle,
-        screeningTime: '',
-        buttonText: checkoutResult.reason,
-        url: checkoutResult.url || purchasePage.url()
-      };
-      await sendNotification([change]);
-    }
-
     return checkoutResult;
   } catch (error) {
-    console.error(`   ❌ Auto-purchase error: ${error.message}`);
+    log.error(`   ❌ Auto-purchase error: ${error.message}`);
     try {
-      await currentPage.screenshot({ path: `auto-purchase-error-${runId}.png`, fullPage: true });
+      await currentPage.screenshot({ path: screenshotPath(`auto-purchase-error-${run.id}.png`), fullPage: true });
     } catch (e) {
       // Ignore screenshot errors
     }
-    return { success: false, reason: error.message };
+    const result = await finishRecording({ success: false, reason: error.message });
+    settleLedger(result);
+    await notify(result);
+    return result;
   }
 }
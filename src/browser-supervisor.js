@@ -0,0 +1,190 @@
+import { chromium } from 'playwright';
+import { createLogger } from './logger.js';
+
+// Keeps the monitor's browser usable. A crashed or disconnected browser, a closed page,
+// a check that hangs or the same error over and over all lead to a relaunch: a new
+// browser, context and page, carrying the current session over.
+
+const log = createLogger();
+
+// Errors that mean the browser or page itself is gone, not just a slow or odd page
+const FATAL_ERROR_PATTERN = /Target (page, context or browser )?(has been )?closed|Browser has been closed|browser has disconnected|Page crashed|crashed|Session closed|Connection closed|Protocol error/i;
+
+// A check that runs longer than this is assumed to be stuck
+export const DEFAULT_CHECK_TIMEOUT_MS = 10 * 60000;
+
+// How long a hung check gets to wind down once its context is closed
+const STOP_WAIT_MS = 30000;
+
+// How many restarts the dashboard keeps
+const MAX_RESTARTS = 10;
+
+const TIMED_OUT = Symbol('timed out');
+
+function checkTimeoutError(ms) {
+  const error = new Error(`Check did not finish within ${Math.round(ms / 1000)}s`);
+  error.checkTimedOut = true;
+  return error;
+}
+
+// The same error this many times in a row restarts the browser
+function repeatedFailureLimit(env = process.env) {
+  return env.BROWSER_RESTART_AFTER_FAILURES ? parseInt(env.BROWSER_RESTART_AFTER_FAILURES, 10) : 3;
+}
+
+// Error messages with numbers and urls left out, so "timeout 30000ms at /a" repeats as itself
+function errorSignature(error) {
+  return String(error?.message || error).split('\n')[0].replace(/https?:\/\/\S+/g, '<url>').replace(/\d+/g, '#');
+}
+
+// Wait for promise, or ms, whichever comes first; resolves to value when time runs out
+async function within(promise, ms, value) {
+  let timer;
+  try {
+    return await Promise.race([promise, new Promise(resolve => { timer = setTimeout(resolve, ms, value); })]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Close with a time limit: closing a wedged browser can hang too
+async function closeQuietly(target, ms = 10000) {
+  if (!target) return;
+  await within(target.close().catch(() => {}), ms);
+}
+
+// options.storageState() returns the session for a fresh context (used when the old
+// context can no longer be asked for its cookies); options.setup({ browser, context, page })
+// runs after every launch, e.g. to attach listeners and sign in; options.onRestart(restart)
+// hears about each restart.
+export function createBrowserSupervisor(options = {}) {
+  const launch = options.launch || (() => chromium.launch({ headless: true }));
+  const maxRepeatedFailures = options.maxRepeatedFailures ?? repeatedFailureLimit();
+  const stopWaitMs = options.stopWaitMs ?? STOP_WAIT_MS;
+  let browser = null;
+  let context = null;
+  let page = null;
+  let lastSignature = null;
+  let repeatedFailures = 0;
+  const restarts = [];
+  let restartCount = 0;
+
+  const start = async (storageState) => {
+    browser = await launch();
+    context = await browser.newContext({ storageState });
+    page = await context.newPage();
+    await options.setup?.({ browser, context, page });
+  };
+
+  const supervisor = {
+    get browser() {
+      return browser;
+    },
+    get context() {
+      return context;
+    },
+    get page() {
+      return page;
+    },
+
+    async start() {
+      await start(await options.storageState?.());
+    },
+
+    // Run check(signal), failing (with error.checkTimedOut) if it takes longer than ms.
+    // A check that overruns is stopped before this returns, so it can't carry on alongside
+    // the next one: its signal is aborted, which it checks before changing anything, and its
+    // context is closed, which fails whatever page call it is stuck in.
+    async run(check, ms = DEFAULT_CHECK_TIMEOUT_MS) {
+      const controller = new AbortController();
+      const running = Promise.resolve().then(() => check(controller.signal));
+      const result = await within(running, ms, TIMED_OUT);
+      if (result !== TIMED_OUT) return result;
+
+      const error = checkTimeoutError(ms);
+      controller.abort(error);
+      await closeQuietly(context);
+      if (await within(running.then(() => null, () => null), stopWaitMs, TIMED_OUT) === TIMED_OUT) {
+        log.warn('   ⚠️  The hung check is still winding down; it won\'t change anything now');
+      }
+      throw error;
+    },
+
+    recordSuccess() {
+      lastSignature = null;
+      repeatedFailures = 0;
+    },
+
+    // After a failed check: the reason the browser should be restarted, or null
+    recordFailure(error) {
+      const signature = errorSignature(error);
+      repeatedFailures = signature === lastSignature ? repeatedFailures + 1 : 1;
+      lastSignature = signature;
+
+      // Checked first: stopping a hung check closes its page
+      if (error?.checkTimedOut) return 'check hung';
+      if (!browser?.isConnected()) return 'browser disconnected';
+      if (!page || page.isClosed()) return 'page closed';
+      if (FATAL_ERROR_PATTERN.test(error?.message || '')) return `browser error: ${signature}`;
+      if (repeatedFailures >= maxRepeatedFailures) return `same error ${repeatedFailures} times: ${signature}`;
+      return null;
+    },
+
+    // Before a check: the reason the browser needs replacing, or null
+    checkUsable() {
+      if (!browser) return 'browser not running';
+      if (!browser.isConnected()) return 'browser disconnected';
+      if (!page || page.isClosed()) return 'page closed';
+      return null;
+    },
+
+    // Tear everything down and launch again with the current session.
+    // Throws if the new browser can't be launched (the next check tries again).
+    async restart(reason) {
+      const at = new Date().toISOString();
+      log.warn(`♻️  Restarting the browser: ${reason}`);
+
+      // The live context has the freshest cookies, if it can still be asked
+      const storageState = (browser?.isConnected() && context
+        ? await Promise.race([context.storageState().catch(() => null), new Promise(resolve => setTimeout(() => resolve(null), 5000))])
+        : null) ?? await options.storageState?.();
+
+      await closeQuietly(browser);
+      browser = null;
+      context = null;
+      page = null;
+      lastSignature = null;
+      repeatedFailures = 0;
+
+      const restart = { at, reason, ok: false, error: null };
+      restartCount++;
+      restarts.unshift(restart);
+      restarts.splice(MAX_RESTARTS);
+      try {
+        await start(storageState);
+        restart.ok = true;
+        log.info('   ✅ Browser restarted');
+      } catch (error) {
+        restart.error = error.message;
+        log.error(`   ❌ Browser restart failed: ${error.message}`);
+        await closeQuietly(browser);
+        browser = null;
+        throw error;
+      } finally {
+        options.onRestart?.(restart);
+      }
+    },
+
+    // Restarts so far, and the most recent ones (newest first) for the dashboard
+    restarts() {
+      return { count: restartCount, recent: restarts.map(restart => ({ ...restart })) };
+    },
+
+    async close() {
+      await closeQuietly(browser);
+      browser = null;
+    }
+  };
+
+  return supervisor;
+}
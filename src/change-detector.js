@@ -0,0 +1,134 @@
+// Pseudo-status for a screening that is not on the schedule (before ADDED / after REMOVED)
+export const ABSENT = 'ABSENT';
+
+// Which transitions notify / trigger auto-purchase when nothing is configured.
+// Patterns are "FROM->TO" with * as a wildcard, or ADDED / REMOVED.
+export const DEFAULT_TRANSITION_RULES = {
+  notify: ['*->AVAILABLE'],
+  autoPurchase: ['*->AVAILABLE']
+};
+
+const PATTERN_ALIASES = {
+  ADDED: `${ABSENT}->*`,
+  REMOVED: `*->${ABSENT}`
+};
+
+function describeTransition(from, to) {
+  return `${from}->${to}`;
+}
+
+// Compare states and report every status transition, plus screenings added to or
+// removed from the schedule. Each change is the screening record plus
+// { type: 'ADDED' | 'REMOVED' | 'STATUS_CHANGED', from, to, transition }.
+export function detectChanges(previousState, currentState, options = {}) {
+  const reportRemovals = options.reportRemovals !== false;
+  const changes = [];
+
+  for (const [key, current] of Object.entries(currentState)) {
+    const previous = previousState[key];
+
+    // New screening found
+    if (!previous) {
+      changes.push({
+        ...current,
+        type: 'ADDED',
+        from: ABSENT,
+        to: current.status,
+        transition: describeTransition(ABSENT, current.status)
+      });
+      continue;
+    }
+
+    if (previous.status !== current.status) {
+      changes.push({
+        ...current,
+        type: 'STATUS_CHANGED',
+        from: previous.status,
+        to: current.status,
+        transition: describeTransition(previous.status, current.status)
+      });
+    }
+  }
+
+  if (reportRemovals) {
+    for (const [key, previous] of Object.entries(previousState)) {
+      if (currentState[key]) continue;
+      changes.push({
+        ...previous,
+        type: 'REMOVED',
+        from: previous.status,
+        to: ABSENT,
+        transition: describeTransition(previous.status, ABSENT)
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Stamp each screening in currentState with when its status last changed: now for the
+// ones in changes, carried over from previousState for the rest. Saved with the state,
+// so the dashboard's "last change" survives restarts.
+export function recordChangeTimes(previousState, currentState, changes, now = new Date()) {
+  const changed = new Map(changes.map(change => [change.key, change]));
+  for (const [key, current] of Object.entries(currentState)) {
+    const change = changed.get(key);
+    if (change) {
+      current.lastChangeAt = now.toISOString();
+      current.lastTransition = change.transition;
+    } else if (previousState[key]?.lastChangeAt) {
+      current.lastChangeAt = previousState[key].lastChangeAt;
+      current.lastTransition = previousState[key].lastTransition;
+    }
+  }
+  return currentState;
+}
+
+// Does a change match any of the "FROM->TO" / ADDED / REMOVED patterns?
+export function matchesTransition(change, patterns) {
+  return (patterns || []).some((rawPattern) => {
+    const pattern = PATTERN_ALIASES[rawPattern.trim().toUpperCase()] || rawPattern.trim().toUpperCase();
+    const [from, to] = pattern.split('->').map(part => part.trim());
+    if (!from || !to) return false;
+    return (from === '*' || from === change.from) && (to === '*' || to === change.to);
+  });
+}
+
+function parsePatternList(value) {
+  return value.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+// Resolve transition rules: NOTIFY_TRANSITIONS / AUTO_PURCHASE_TRANSITIONS env vars,
+// then settings.transitions in auto-purchase.json, then the defaults.
+export function getTransitionRules(settings = {}) {
+  const configured = settings.transitions || {};
+  return {
+    notify: process.env.NOTIFY_TRANSITIONS
+      ? parsePatternList(process.env.NOTIFY_TRANSITIONS)
+      : configured.notify || DEFAULT_TRANSITION_RULES.notify,
+    autoPurchase: process.env.AUTO_PURCHASE_TRANSITIONS
+      ? parsePatternList(process.env.AUTO_PURCHASE_TRANSITIONS)
+      : configured.autoPurchase || DEFAULT_TRANSITION_RULES.autoPurchase
+  };
+}
+
+// Only changes that end with tickets on sale can be bought
+export function isPurchasable(change, rules) {
+  return change.to === 'AVAILABLE' && matchesTransition(change, rules.autoPurchase);
+}
+
+// Human-readable label for notifications and logs
+export function changeLabel(change) {
+  const { from, to } = change;
+  if (to === ABSENT) return '🗑️ REMOVED FROM SCHEDULE';
+  if (to === 'AVAILABLE') {
+    if (from === ABSENT) return '✨ NEW TICKETS FOUND';
+    if (from === 'SOLD_OUT') return '🎟️ NOW AVAILABLE (was sold out)';
+    if (from === 'WAITLIST') return '🎟️ NOW AVAILABLE (was waitlist)';
+    return `🎟️ NOW AVAILABLE (was ${from.toLowerCase()})`;
+  }
+  if (from === ABSENT) return `➕ ADDED TO SCHEDULE (${to.toLowerCase().replace('_', ' ')})`;
+  if (to === 'SOLD_OUT') return from === 'AVAILABLE' ? '🚫 SOLD OUT AGAIN' : '🚫 NOW SOLD OUT';
+  if (to === 'WAITLIST') return '⏳ NOW WAITLIST';
+  return `🔄 ${from} → ${to}`;
+}
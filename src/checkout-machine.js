@@ -0,0 +1,281 @@
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { createLogger, setLogContext } from './logger.js';
+
+// Runs checkout as a set of named states read from checkout-flow.json, so next year's
+// site can be followed by editing that file rather than the code. Each state has:
+//
+//   detect     how to tell the page has reached it (states without one are entered as
+//              soon as the previous state's actions are done)
+//   actions    what may be done there, in order; the rest of the page is left alone
+//   next       the states it can move on to, tried in order
+//   timeoutMs  how long to wait for one of them before giving up
+//   outcome    "success" or "failure" for the states that end the run
+//
+// The failures listed at the top end the run from any state. A condition or action with
+// "in" looks only inside that scope: the first visible element its selector matches. The page itself is handled
+// by a driver (see createCheckoutDriver in auto-purchase.js) that answers detect()
+// for single conditions, performs act(), and waits.
+
+const log = createLogger();
+
+const FLOW_PATH = resolve(process.env.CHECKOUT_FLOW_PATH || 'checkout-flow.json');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const POLL_MS = 500;
+
+// What a condition can test, and the built-in checks and tasks the driver implements
+const CONDITION_KEYS = ['url', 'text', 'selector', 'button', 'check'];
+export const CHECKS = ['loginPage', 'quantitySet', 'paymentReady', 'termsAccepted'];
+const ACTION_KEYS = ['click', 'do', 'submit'];
+export const TASKS = ['setQuantity', 'selectSavedPayment', 'fillCard', 'acceptTerms'];
+
+function validRegex(source) {
+  try {
+    new RegExp(source, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateCondition(condition, where, flow, problems) {
+  if (!condition || typeof condition !== 'object') {
+    problems.push(`${where}: expected a condition object`);
+    return;
+  }
+  for (const combinator of ['any', 'all']) {
+    if (condition[combinator] !== undefined) {
+      if (!Array.isArray(condition[combinator]) || condition[combinator].length === 0) {
+        problems.push(`${where}.${combinator}: expected a list of conditions`);
+        return;
+      }
+      condition[combinator].forEach((child, i) => validateCondition(child, `${where}.${combinator}[${i}]`, flow, problems));
+      return;
+    }
+  }
+  if (condition.not !== undefined) {
+    validateCondition(condition.not, `${where}.not`, flow, problems);
+    return;
+  }
+
+  const keys = CONDITION_KEYS.filter(key => condition[key] !== undefined);
+  if (keys.length !== 1) {
+    problems.push(`${where}: expected exactly one of ${CONDITION_KEYS.join(', ')}, any, all or not`);
+    return;
+  }
+  const [key] = keys;
+  if (key === 'check' && !CHECKS.includes(condition.check)) {
+    problems.push(`${where}: unknown check "${condition.check}" (expected one of ${CHECKS.join(', ')})`);
+  }
+  for (const pattern of ['url', 'text', 'button'].includes(key) ? [condition[key]].flat() : []) {
+    if (!validRegex(pattern)) problems.push(`${where}.${key}: invalid pattern "${pattern}"`);
+  }
+  if (condition.in !== undefined && !flow.scopes?.[condition.in]) {
+    problems.push(`${where}.in: unknown scope "${condition.in}"`);
+  }
+}
+
+function validateAction(action, where, flow, problems) {
+  const keys = ACTION_KEYS.filter(key => action?.[key] !== undefined);
+  if (keys.length !== 1) {
+    problems.push(`${where}: expected exactly one of ${ACTION_KEYS.join(', ')}`);
+    return;
+  }
+  if (action.do !== undefined && !TASKS.includes(action.do)) {
+    problems.push(`${where}: unknown task "${action.do}" (expected one of ${TASKS.join(', ')})`);
+  }
+  for (const key of ['click', 'submit']) {
+    if (action[key] === undefined) continue;
+    if (!Array.isArray(action[key]) || action[key].length === 0) {
+      problems.push(`${where}.${key}: expected a list of button text patterns`);
+    } else {
+      for (const pattern of action[key]) {
+        if (!validRegex(pattern)) problems.push(`${where}.${key}: invalid pattern "${pattern}"`);
+      }
+    }
+  }
+  if (action.in !== undefined && !flow.scopes?.[action.in]) {
+    problems.push(`${where}.in: unknown scope "${action.in}"`);
+  }
+}
+
+// Everything wrong with a flow definition, as readable messages (empty when it's usable)
+export function validateCheckoutFlow(flow) {
+  const problems = [];
+  const states = flow?.states;
+  if (!states || typeof states !== 'object' || Object.keys(states).length === 0) {
+    return ['states: expected an object of named states'];
+  }
+  if (!states[flow.initial]) {
+    problems.push(`initial: "${flow.initial}" is not a state`);
+  }
+
+  const outcomes = Object.values(states).map(state => state?.outcome).filter(Boolean);
+  if (!outcomes.includes('success')) problems.push('states: no state has "outcome": "success"');
+  if (!outcomes.includes('failure')) problems.push('states: no state has "outcome": "failure"');
+
+  (flow.failures || []).forEach((failure, i) => {
+    if (!failure?.reason) problems.push(`failures[${i}]: missing reason`);
+    validateCondition(failure?.detect, `failures[${i}].detect`, flow, problems);
+  });
+
+  for (const [name, state] of Object.entries(states)) {
+    const where = `states.${name}`;
+    if (state.outcome !== undefined) {
+      if (!['success', 'failure'].includes(state.outcome)) problems.push(`${where}.outcome: expected "success" or "failure"`);
+      // Success is never assumed
+      if (state.outcome === 'success' && !state.detect) problems.push(`${where}.detect: a success state needs a detect`);
+      if (state.detect) validateCondition(state.detect, `${where}.detect`, flow, problems);
+      continue;
+    }
+    if (state.detect !== undefined) {
+      validateCondition(state.detect, `${where}.detect`, flow, problems);
+    }
+    (state.actions || []).forEach((action, i) => validateAction(action, `${where}.actions[${i}]`, flow, problems));
+
+    if (!Array.isArray(state.next) || state.next.length === 0) {
+      problems.push(`${where}.next: expected the states it can move on to`);
+      continue;
+    }
+    state.next.forEach((next, i) => {
+      if (!states[next]) {
+        problems.push(`${where}.next: "${next}" is not a state`);
+      } else if (!states[next].detect && states[next].outcome !== 'failure' && i < state.next.length - 1) {
+        // A state without a detector is always "reached", so nothing after it could be
+        problems.push(`${where}.next: "${next}" has no detect, so it can only be the last choice`);
+      }
+    });
+  }
+  return problems;
+}
+
+// The checkout flow: CHECKOUT_FLOW_JSON (for cloud deploys), else CHECKOUT_FLOW_PATH or
+// ./checkout-flow.json. Read on every attempt so edits apply without a restart.
+// Throws when it can't be read or doesn't validate.
+export function loadCheckoutFlow({ path = FLOW_PATH, env = process.env } = {}) {
+  let text = env.CHECKOUT_FLOW_JSON;
+  let source = 'CHECKOUT_FLOW_JSON';
+  if (!text) {
+    if (!existsSync(path)) throw new Error(`Checkout flow not found: ${path}`);
+    text = readFileSync(path, 'utf-8');
+    source = path;
+  }
+
+  let flow;
+  try {
+    flow = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Checkout flow in ${source} is not valid JSON: ${error.message}`);
+  }
+  const problems = validateCheckoutFlow(flow);
+  if (problems.length > 0) {
+    throw new Error(`Checkout flow in ${source} is invalid: ${problems.join('; ')}`);
+  }
+  return flow;
+}
+
+async function evaluate(condition, flow, driver) {
+  if (condition.any) {
+    for (const child of condition.any) {
+      if (await evaluate(child, flow, driver)) return true;
+    }
+    return false;
+  }
+  if (condition.all) {
+    for (const child of condition.all) {
+      if (!await evaluate(child, flow, driver)) return false;
+    }
+    return true;
+  }
+  if (condition.not) {
+    return !await evaluate(condition.not, flow, driver);
+  }
+  return !!await driver.detect(condition, flow.scopes?.[condition.in] || null).catch(() => false);
+}
+
+function describeAction(action) {
+  return action.label || action.do || (action.submit ? 'submit' : 'click');
+}
+
+// Run the flow from its initial state. Returns the result of the state it ended in:
+// { success, reason, url, states: [{ state, at, reason? }] }, or the result an action
+// ended the run with (a dry run stopping at the final button).
+export async function runCheckoutMachine(flow, driver) {
+  const states = [];
+  const failedState = Object.keys(flow.states).find(name => flow.states[name].outcome === 'failure');
+
+  const enter = (name, reason) => {
+    states.push({ state: name, at: new Date().toISOString(), ...(reason ? { reason } : {}) });
+    setLogContext({ step: name });
+    log.info(`   → ${name}${reason ? `: ${reason}` : ''}`);
+  };
+
+  const failure = async () => {
+    for (const rule of flow.failures || []) {
+      if (await evaluate(rule.detect, flow, driver)) return rule.reason;
+    }
+    return null;
+  };
+
+  const end = async (name, reason) => {
+    const state = flow.states[name];
+    enter(name, state.outcome === 'failure' ? reason : null);
+    await driver.entered?.(name);
+    return {
+      success: state.outcome === 'success',
+      reason: state.outcome === 'success' ? state.reason || `Reached ${name}` : reason,
+      url: driver.url(),
+      states
+    };
+  };
+
+  let name = flow.initial;
+  enter(name);
+  await driver.entered?.(name);
+
+  while (true) {
+    const state = flow.states[name];
+    const showing = await failure();
+    if (showing) return end(failedState, showing);
+
+    for (const action of state.actions || []) {
+      const scope = flow.scopes?.[action.in] || null;
+      const result = await driver.act(action, { scope, states: states.map(s => s.state) });
+      if (result?.done) return { ...result.done, states };
+      if (!result?.ok && !action.optional) {
+        return end(failedState, `Could not ${describeAction(action)} (${name})`);
+      }
+    }
+    if (state.actions?.length) {
+      await driver.settle(flow.settleMs);
+    }
+
+    // Wait for the page to reach one of the next states
+    const deadline = Date.now() + (state.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+    let reached = null;
+    while (!reached) {
+      for (const next of state.next) {
+        const target = flow.states[next];
+        if (target.outcome === 'failure') continue;
+        if (!target.detect || await evaluate(target.detect, flow, driver)) {
+          reached = next;
+          break;
+        }
+      }
+      if (reached) break;
+
+      const failed = await failure();
+      if (failed) return end(failedState, failed);
+      if (Date.now() >= deadline) {
+        return end(failedState, `Timed out in ${name} waiting for ${state.next.join(' or ')}`);
+      }
+      await driver.wait(POLL_MS);
+    }
+
+    if (flow.states[reached].outcome) return end(reached);
+    name = reached;
+    enter(name);
+    await driver.entered?.(name);
+  }
+}
@@ -0,0 +1,236 @@
+import { existsSync, mkdirSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { basename, join } from 'path';
+import { dataPath, writeJsonAtomic } from './data-dir.js';
+
+// Records a purchase attempt for working out afterwards why it failed. Each attempt gets
+// its own directory, DATA_DIR/checkouts/<time>-<film>/:
+//
+//   trace.zip        Playwright trace (npx playwright show-trace trace.zip)
+//   network.har      requests and responses, without bodies or cookies
+//   NN-<step>.html   the page at each checkout step
+//   NN-<step>.txt    its URL and visible buttons (what dumpVisibleButtons prints)
+//   recording.json   the run, its steps and how it ended
+//
+// Turned on by settings.recordCheckouts (true, or { trace, har, snapshots, keep }) or
+// RECORD_CHECKOUTS=true; RECORD_CHECKOUTS=false turns it off whatever the file says.
+
+const RECORDINGS_DIR = dataPath('checkouts');
+
+export const DEFAULT_RECORDING = {
+  trace: true,
+  har: true,
+  snapshots: true,
+  // Older recordings are deleted past this many
+  keep: 20
+};
+
+// Headers that would put the session in the HAR
+const REDACTED_HEADERS = new Set(['cookie', 'set-cookie', 'authorization', 'proxy-authorization', 'x-csrf-token', 'x-xsrf-token']);
+
+// Only one trace can run per browser context, so parallel checkouts take turns
+const tracing = new WeakSet();
+
+export function getRecordingSettings(settings = {}, env = process.env) {
+  const configured = settings.recordCheckouts;
+  const options = configured && typeof configured === 'object' ? configured : {};
+  let enabled = configured === true || (!!configured && typeof configured === 'object' && configured.enabled !== false);
+  if (env.RECORD_CHECKOUTS) {
+    enabled = env.RECORD_CHECKOUTS === 'true';
+  }
+  return { ...DEFAULT_RECORDING, ...options, enabled };
+}
+
+// Down to the millisecond: two checkouts of the same film can start in the same second
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/Z$/, '').replace(/[:.]/g, '-');
+}
+
+function headerList(headers) {
+  return Object.entries(headers).map(([name, value]) => ({
+    name,
+    value: REDACTED_HEADERS.has(name.toLowerCase()) ? '[redacted]' : value
+  }));
+}
+
+// One HAR 1.2 entry. Bodies are left out: checkout requests carry payment details.
+export function harEntry({ method, url, requestHeaders = {}, startedAt, endedAt, status = 0, statusText = '', responseHeaders = {}, failure = null }) {
+  const contentType = Object.entries(responseHeaders).find(([name]) => name.toLowerCase() === 'content-type')?.[1] || '';
+  const entry = {
+    startedDateTime: new Date(startedAt).toISOString(),
+    time: Math.max(0, endedAt - startedAt),
+    request: {
+      method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: headerList(requestHeaders),
+      queryString: [...new URL(url).searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status,
+      statusText,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: headerList(responseHeaders),
+      content: { size: -1, mimeType: contentType },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: Math.max(0, endedAt - startedAt), receive: 0 }
+  };
+  if (failure) {
+    entry.response._failureText = failure;
+  }
+  return entry;
+}
+
+// Delete all but the newest `keep` finished recordings (directory names start with the
+// time). Recordings without a recording.json are still running, in a parallel checkout.
+// `current` (a directory name) is always one of those kept.
+export function pruneRecordings(keep, dir = RECORDINGS_DIR, current = null) {
+  let names;
+  try {
+    names = readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== current && existsSync(join(dir, entry.name, 'recording.json')))
+      .map(entry => entry.name)
+      .sort();
+  } catch {
+    return [];
+  }
+  const removed = names.slice(0, Math.max(0, names.length - (current ? keep - 1 : keep)));
+  for (const name of removed) {
+    rmSync(join(dir, name), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+// Start recording a purchase attempt on page (the schedule tab it starts from).
+// Returns null when recording is off. run is { id, slug, key, title, purchaseRunId }.
+export async function createCheckoutRecorder(page, run, settings = {}, options = {}) {
+  const recording = getRecordingSettings(settings, options.env);
+  if (!recording.enabled) return null;
+
+  const root = options.dir || RECORDINGS_DIR;
+  const dir = join(root, `${timestamp(new Date(run.id))}-${run.slug}`);
+  mkdirSync(dir, { recursive: true });
+
+  const manifest = {
+    title: run.title,
+    key: run.key,
+    purchaseRunId: run.purchaseRunId,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    trace: null,
+    har: recording.har ? 'network.har' : null,
+    steps: []
+  };
+  const entries = [];
+  const pending = new Map();
+  const reading = new Set();
+  const watched = new Set();
+
+  const context = page.context();
+  if (recording.trace) {
+    if (tracing.has(context)) {
+      manifest.trace = 'skipped: another checkout was already tracing this browser';
+    } else {
+      try {
+        await context.tracing.start({ screenshots: true, snapshots: true, title: run.purchaseRunId });
+        tracing.add(context);
+        manifest.trace = 'trace.zip';
+      } catch (error) {
+        manifest.trace = `failed: ${error.message}`;
+      }
+    }
+  }
+
+  const onRequest = (request) => pending.set(request, Date.now());
+  const onFinished = (request, failure = null) => {
+    const startedAt = pending.get(request) ?? Date.now();
+    pending.delete(request);
+    // Entries stay in the order requests finished, however long reading the response takes
+    const index = entries.push(null) - 1;
+    const read = record(request, index, startedAt, failure).finally(() => reading.delete(read));
+    reading.add(read);
+  };
+  const record = async (request, index, startedAt, failure) => {
+    const response = failure ? null : await request.response().catch(() => null);
+    entries[index] = harEntry({
+      method: request.method(),
+      url: request.url(),
+      requestHeaders: request.headers(),
+      startedAt,
+      endedAt: Date.now(),
+      status: response?.status() ?? 0,
+      statusText: response?.statusText() ?? '',
+      responseHeaders: response?.headers() ?? {},
+      failure
+    });
+  };
+  const onFailed = request => onFinished(request, request.failure()?.errorText || 'failed');
+
+  const recorder = {
+    dir,
+
+    // Capture the network traffic of a page (the schedule tab, and the checkout popup)
+    watch(target) {
+      if (!recording.har || watched.has(target)) return;
+      watched.add(target);
+      target.on('request', onRequest);
+      target.on('requestfinished', onFinished);
+      target.on('requestfailed', onFailed);
+    },
+
+    // Save the page as it is now, with the buttons it shows
+    async snapshot(target, label, buttons = []) {
+      const step = { label, at: new Date().toISOString(), url: target.url(), files: [] };
+      manifest.steps.push(step);
+      if (!recording.snapshots) return;
+
+      const name = `${String(manifest.steps.length).padStart(2, '0')}-${label.replace(/[^a-z0-9-]+/gi, '-')}`;
+      try {
+        writeFileSync(join(dir, `${name}.html`), await target.content());
+        step.files.push(`${name}.html`);
+      } catch (error) {
+        step.error = error.message;
+      }
+      writeFileSync(join(dir, `${name}.txt`), `${target.url()}\n\nButtons: ${buttons.join(' | ') || '(none)'}\n`);
+      step.files.push(`${name}.txt`);
+    },
+
+    // Stop recording and write everything out. Returns the directory.
+    async finish(result) {
+      for (const target of watched) {
+        target.off('request', onRequest);
+        target.off('requestfinished', onFinished);
+        target.off('requestfailed', onFailed);
+      }
+      if (manifest.trace === 'trace.zip') {
+        await context.tracing.stop({ path: join(dir, 'trace.zip') }).catch((error) => {
+          manifest.trace = `failed: ${error.message}`;
+        });
+        tracing.delete(context);
+      }
+      if (recording.har) {
+        await Promise.all(reading);
+        writeJsonAtomic(join(dir, 'network.har'), {
+          log: { version: '1.2', creator: { name: 'sundance-ticket-monitor', version: '1.0' }, pages: [], entries: entries.filter(Boolean) }
+        });
+      }
+      manifest.finishedAt = new Date().toISOString();
+      manifest.result = { success: !!result?.success, dryRun: !!result?.dryRun, reason: result?.reason || null, url: result?.url || null };
+      writeJsonAtomic(join(dir, 'recording.json'), manifest);
+      // Never this one: its notification names the directory
+      pruneRecordings(recording.keep, root, basename(dir));
+      return dir;
+    }
+  };
+
+  recorder.watch(page);
+  return recorder;
+}
@@ -0,0 +1,142 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { getFilmSettings, readAutoPurchaseConfig, saveAutoPurchaseConfig, getAutoPurchasePath } from './auto-purchase.js';
+import { createLogger } from './logger.js';
+
+// Control API, served alongside the dashboard when CONTROL_TOKEN is set. Every request
+// needs the header `Authorization: Bearer <CONTROL_TOKEN>`.
+//
+//   GET   /api/screenings           screenings with their auto-purchase settings
+//   PATCH /api/screenings/:key      { autoPurchase, quantity, priority } for one screening
+//   POST  /api/pause                stop checking until resumed
+//   POST  /api/resume
+//   POST  /api/check                check now (once, even while paused)
+//
+// Edits are saved to AUTO_PURCHASE_PATH and picked up by the next check.
+
+const log = createLogger();
+
+function json(data, status = 200) {
+  return Response.json(data, { status, headers: { 'Cache-Control': 'no-store' } });
+}
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+// Constant-time comparison of the bearer token
+export function isAuthorized(req, token) {
+  if (!token) return false;
+  const match = (req.headers.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return !!match && timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+function validateUpdates(body) {
+  const updates = {};
+  if (body.autoPurchase !== undefined) {
+    if (typeof body.autoPurchase !== 'boolean') throw new Error('autoPurchase must be true or false');
+    updates.autoPurchase = body.autoPurchase;
+  }
+  if (body.quantity !== undefined) {
+    if (!Number.isInteger(body.quantity) || body.quantity < 1) throw new Error('quantity must be a whole number of at least 1');
+    updates.ticketQuantity = body.quantity;
+  }
+  if (body.priority !== undefined) {
+    if (body.priority !== null && !Number.isFinite(body.priority)) throw new Error('priority must be a number (or null to clear it)');
+    updates.priority = body.priority;
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new Error('Nothing to change; send autoPurchase, quantity and/or priority');
+  }
+  return updates;
+}
+
+// Apply updates to one screening's film entry, in place. A screening covered only by a
+// title-wide entry gets its own entry (copying the title-wide settings), so other
+// screenings of the film are left alone. Returns the updated entry.
+export function updateScreeningSettings(config, screening, updates) {
+  config.films = config.films || [];
+  let film = getFilmSettings(screening.title, screening.screeningTime, config);
+  if (!film || (!film.screeningTime && screening.screeningTime)) {
+    film = { ...film, title: screening.title, screeningTime: screening.screeningTime || undefined };
+    config.films.push(film);
+  }
+  for (const [field, value] of Object.entries(updates)) {
+    if (value === null) {
+      delete film[field];
+    } else {
+      film[field] = value;
+    }
+  }
+  return film;
+}
+
+// Routes in the dashboard server's [method, pattern, handler] form.
+// store is the status store; control the monitor loop's createMonitorControl().
+export function createControlRoutes({ store, control, token = process.env.CONTROL_TOKEN }) {
+  if (!token) return [];
+
+  const authorized = (handler) => (req, params) => {
+    if (!isAuthorized(req, token)) {
+      return json({ error: 'Unauthorized' }, 401);
+    }
+    return handler(req, params);
+  };
+
+  const setPaused = (paused) => {
+    store.update(paused ? { paused, nextCheckAt: null } : { paused });
+    return json({ paused });
+  };
+
+  return [
+    ['GET', /^\/api\/screenings$/, authorized(() => json(store.snapshot().screenings))],
+
+    ['PATCH', /^\/api\/screenings\/([^/]+)$/, authorized(async (req, [rawKey]) => {
+      const key = decodeURIComponent(rawKey);
+      const screening = store.snapshot().screenings.find(s => s.key === key);
+      if (!screening) return json({ error: `Unknown screening: ${key}` }, 404);
+
+      let updates;
+      try {
+        updates = validateUpdates(await req.json().catch(() => ({})));
+      } catch (error) {
+        return json({ error: error.message }, 400);
+      }
+
+      // Edits start from whatever config is in use (file or environment); a new one is enabled
+      const config = readAutoPurchaseConfig()?.config || { enabled: true, films: [], settings: {} };
+      const film = updateScreeningSettings(config, screening, updates);
+      try {
+        saveAutoPurchaseConfig(config);
+      } catch (error) {
+        log.error(`❌ Error saving auto-purchase config: ${error.message}`);
+        return json({ error: `Could not save ${getAutoPurchasePath()}: ${error.message}` }, 500);
+      }
+
+      log.info(`🎛️  ${screening.title}${screening.screeningTime ? ` (${screening.screeningTime})` : ''}: ${JSON.stringify(updates)}`, { key, updates });
+      store.refreshSettings(config);
+      return json({
+        screening: store.snapshot().screenings.find(s => s.key === key),
+        film,
+        enabled: config.enabled === true
+      });
+    })],
+
+    ['POST', /^\/api\/pause$/, authorized(() => {
+      control.pause();
+      log.info('⏸️  Monitoring paused');
+      return setPaused(true);
+    })],
+
+    ['POST', /^\/api\/resume$/, authorized(() => {
+      control.resume();
+      log.info('▶️  Monitoring resumed');
+      return setPaused(false);
+    })],
+
+    ['POST', /^\/api\/check$/, authorized(() => {
+      control.checkNow();
+      log.info('🔄 Check requested');
+      return json({ requested: true, paused: control.paused }, 202);
+    })]
+  ];
+}
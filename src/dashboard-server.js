@@ -0,0 +1,246 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { checkHealth } from './status-store.js';
+
+// Status dashboard for the running monitor: every screening with its current status,
+// last change and auto-purchase settings, recent purchase attempts, check count, last
+// error and session health. The page keeps itself up to date over server-sent events.
+//
+//   DASHBOARD_PORT=8080 bun run monitor
+//   open http://localhost:8080
+//
+// Platforms that route traffic set PORT (Railway); it is served there unless
+// DASHBOARD_ENABLED=false. The same server answers the platform health check (/healthz)
+// and Prometheus (/metrics).
+//
+// The page, /api/status and /events list the schedule and purchases, so on any address
+// other than loopback they need DASHBOARD_TOKEN, as ?token=<token> (open the page with it)
+// or `Authorization: Bearer <token>`. Without a token set they are refused there.
+
+// Comment lines keep idle proxies (Railway, Fly) from closing the event stream
+const KEEPALIVE_MS = 25000;
+
+// Port to serve on, or null when the dashboard is off
+export function getDashboardPort(env = process.env) {
+  if (env.DASHBOARD_ENABLED === 'false') return null;
+  if (env.DASHBOARD_PORT) return parseInt(env.DASHBOARD_PORT, 10);
+  if (env.PORT) return parseInt(env.PORT, 10);
+  if (env.DASHBOARD_ENABLED === 'true') return 8080;
+  return null;
+}
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+// The token from ?token= or the Authorization header, compared in constant time
+export function hasDashboardToken(req, token) {
+  if (!token) return false;
+  const bearer = (req.headers.get('authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const given = bearer || new URL(req.url).searchParams.get('token');
+  return !!given && timingSafeEqual(digest(given.trim()), digest(token));
+}
+
+function json(data, status = 200) {
+  return Response.json(data, { status, headers: { 'Cache-Control': 'no-store' } });
+}
+
+function html(body) {
+  return new Response(body, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+const DASHBOARD_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sundance Ticket Monitor</title>
+  <style>
+    body { font-family: -apple-system, system-ui, sans-serif; margin: 0; padding: 24px; color: #222; background: #fafafa; }
+    h1 { margin: 0 0 16px; font-size: 22px; }
+    h2 { margin: 28px 0 8px; font-size: 17px; }
+    .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+    .card { background: #fff; border: 1px solid #ddd; border-radius: 6px; padding: 10px 14px; min-width: 150px; }
+    .card .label { font-size: 12px; color: #666; text-transform: uppercase; }
+    .card .value { font-size: 16px; margin-top: 4px; }
+    table { border-collapse: collapse; width: 100%; background: #fff; }
+    th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #eee; font-size: 14px; vertical-align: top; }
+    th { background: #f0f0f0; font-weight: 600; }
+    .status { font-weight: 600; }
+    .AVAILABLE, .OK, .SUCCESS { color: #137333; }
+    .SOLD_OUT, .DEGRADED, .FAILED { color: #b00020; }
+    .WAITLIST, .PAUSED, .EXPIRING, .UNCONFIRMED, .PENDING, .DRY_RUN { color: #a05a00; }
+    .muted { color: #888; }
+    #connection { font-size: 12px; margin-left: 8px; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>🎬 Sundance Ticket Monitor <span id="connection" class="muted">connecting...</span></h1>
+  <div class="cards" id="cards"></div>
+  <h2>Screenings</h2>
+  <table>
+    <thead><tr><th>Film</th><th>Screening</th><th>Status</th><th>Last change</th><th>Auto-purchase</th></tr></thead>
+    <tbody id="screenings"></tbody>
+  </table>
+  <h2>Purchases</h2>
+  <table>
+    <thead><tr><th>When</th><th>Film</th><th>Screening</th><th>Result</th><th>Details</th></tr></thead>
+    <tbody id="purchases"></tbody>
+  </table>
+  <script>
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const when = (iso) => iso ? new Date(iso).toLocaleString() : '<span class="muted">never</span>';
+    const ago = (iso) => {
+      if (!iso) return '';
+      const seconds = Math.round((Date.now() - new Date(iso).getTime()) / 1000);
+      if (seconds < 90) return seconds + 's ago';
+      if (seconds < 5400) return Math.round(seconds / 60) + ' min ago';
+      return Math.round(seconds / 3600) + 'h ago';
+    };
+
+    // Order details as formatConfirmation (order-confirmation.js) writes them; the quantity shows with the result
+    const confirmation = (c) => [
+      c.orderNumber ? 'Order #' + c.orderNumber : null,
+      c.total != null ? '$' + c.total.toFixed(2) : null,
+      c.seats,
+      c.venue
+    ].filter(Boolean).join(' · ');
+
+    function card(label, value) {
+      return '<div class="card"><div class="label">' + label + '</div><div class="value">' + value + '</div></div>';
+    }
+
+    function render(status) {
+      const session = status.session || {};
+      document.getElementById('cards').innerHTML = [
+        card('Checks', status.checkCount + (status.checking ? ' <span class="muted">(checking)</span>' : '')),
+        card('Last check', when(status.lastCheckAt) + (status.lastCheckDurationMs != null ? ' <span class="muted">' + (status.lastCheckDurationMs / 1000).toFixed(1) + 's</span>' : '')),
+        card('Next check', status.paused ? '<span class="status PAUSED">paused</span>' : status.nextCheckAt ? new Date(status.nextCheckAt).toLocaleTimeString() : '<span class="muted">-</span>'),
+        card('Session', '<span class="status ' + escape(session.status) + '">' + escape(session.status || 'unknown') + '</span>' +
+          (session.reason ? '<div class="muted">' + escape(session.reason) + '</div>' : '') +
+          (session.expiresAt ? '<div class="muted">expires ' + when(session.expiresAt) + '</div>' : '')),
+        card('Last error', status.lastError
+          ? '<span class="error">' + escape(status.lastError.message) + '</span><div class="muted">check #' + status.lastError.checkCount + ', ' + ago(status.lastError.at) + '</div>'
+          : '<span class="muted">none</span>'),
+        card('Browser restarts', status.browser ? status.browser.count +
+          (status.browser.recent[0] ? '<div class="muted">' + when(status.browser.recent[0].at) + ': ' + escape(status.browser.recent[0].reason) +
+            (status.browser.recent[0].ok ? '' : ' (failed)') + '</div>' : '') : '<span class="muted">-</span>'),
+        card('Notifications', escape(status.notifications.join(', ') || 'console only')),
+        card('Running since', when(status.startedAt))
+      ].join('');
+
+      document.getElementById('screenings').innerHTML = status.screenings.map(s =>
+        '<tr><td>' + escape(s.title) + '</td>' +
+        '<td>' + escape(s.screeningTime) + (s.venue ? '<div class="muted">' + escape(s.venue) + '</div>' : '') + '</td>' +
+        '<td class="status ' + escape(s.status) + '">' + escape(s.status) + '</td>' +
+        '<td>' + (s.lastChangeAt ? ago(s.lastChangeAt) + (s.lastTransition ? '<div class="muted">' + escape(s.lastTransition) + '</div>' : '') : '<span class="muted">-</span>') + '</td>' +
+        '<td>' + (s.autoPurchase ? '✓ x' + escape(s.quantity) + (s.priority ? ' priority ' + escape(s.priority) : '') + (s.group ? ' <span class="muted">group ' + escape(s.group) + '</span>' : '') : '<span class="muted">-</span>') + '</td></tr>'
+      ).join('') || '<tr><td colspan="5" class="muted">No screenings yet</td></tr>';
+
+      document.getElementById('purchases').innerHTML = status.purchases.map(p =>
+        '<tr><td>' + when(p.at) + '</td><td>' + escape(p.title) + '</td><td>' + escape(p.screeningTime) + '</td>' +
+        '<td class="status ' + escape(p.outcome) + '">' + escape(p.outcome) + (p.quantity ? ' <span class="muted">x' + p.quantity + '</span>' : '') + '</td>' +
+        '<td>' + escape(p.reason) + (p.confirmation ? '<div class="muted">' + escape(confirmation(p.confirmation)) + '</div>' : '') + (p.url ? ' <a href="' + escape(p.url) + '" target="_blank" rel="noreferrer">link</a>' : '') + '</td></tr>'
+      ).join('') || '<tr><td colspan="5" class="muted">No purchase attempts</td></tr>';
+    }
+
+    const connection = document.getElementById('connection');
+    // The token the page was opened with (needed when served on a public address)
+    const token = new URLSearchParams(location.search).get('token');
+    const events = new EventSource('/events' + (token ? '?token=' + encodeURIComponent(token) : ''));
+    events.addEventListener('status', (event) => {
+      connection.textContent = 'live';
+      render(JSON.parse(event.data));
+    });
+    events.onerror = () => { connection.textContent = 'reconnecting...'; };
+  </script>
+</body>
+</html>`;
+
+// One server-sent events stream: the current status straight away, then every update
+function eventStream(store) {
+  let unsubscribe = null;
+  let keepalive = null;
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    start(controller) {
+      const send = (status) => {
+        try {
+          controller.enqueue(encoder.encode(`event: status\ndata: ${JSON.stringify(status)}\n\n`));
+        } catch {
+          // Client went away between updates; cancel() cleans up
+        }
+      };
+      send(store.snapshot());
+      unsubscribe = store.subscribe(send);
+      keepalive = setInterval(() => {
+        try {
+          controller.enqueue(encoder.encode(': keepalive\n\n'));
+        } catch {
+          // Same as above
+        }
+      }, KEEPALIVE_MS);
+    },
+    cancel() {
+      unsubscribe?.();
+      clearInterval(keepalive);
+    }
+  });
+}
+
+// Serve the dashboard for a status store (see status-store.js).
+// options.health is { intervalMs, maxMissedChecks } for /healthz (see checkHealth);
+// options.metrics a createMonitorMetrics() for /metrics;
+// options.routes adds more [method, pattern, handler] routes (the control API);
+// options.token is DASHBOARD_TOKEN.
+// Returns the Bun server; options.port 0 picks a free port.
+export function createDashboardServer(store, options = {}) {
+  const hostname = options.hostname ?? process.env.DASHBOARD_HOST ?? '0.0.0.0';
+  const token = options.token ?? process.env.DASHBOARD_TOKEN;
+  // Status is only open to this machine; anywhere else it takes the token
+  const guarded = (handler) => (req, params) => {
+    if (LOOPBACK_HOSTS.includes(hostname) || hasDashboardToken(req, token)) return handler(req, params);
+    return token
+      ? json({ error: 'Unauthorized' }, 401)
+      : json({ error: 'Set DASHBOARD_TOKEN to view the dashboard on a public address' }, 403);
+  };
+
+  const routes = [
+    ...(options.routes || []),
+    ['GET', /^\/$/, guarded(() => html(DASHBOARD_PAGE))],
+    ['GET', /^\/api\/status$/, guarded(() => json(store.snapshot()))],
+    ['GET', /^\/healthz$/, () => {
+      const health = checkHealth(store.snapshot(), { intervalMs: 60000, ...options.health });
+      return json(health, health.healthy ? 200 : 503);
+    }],
+    ['GET', /^\/metrics$/, () => options.metrics
+      ? new Response(options.metrics.render(), { headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' } })
+      : json({ error: 'Metrics not enabled' }, 404)],
+    ['GET', /^\/events$/, guarded(() => new Response(eventStream(store), {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      }
+    }))]
+  ];
+
+  return Bun.serve({
+    port: options.port ?? getDashboardPort() ?? 8080,
+    hostname,
+    // The event stream stays open between updates
+    idleTimeout: 0,
+    fetch(req) {
+      const { pathname } = new URL(req.url);
+      for (const [method, pattern, handler] of routes) {
+        if (req.method !== method) continue;
+        const match = pathname.match(pattern);
+        if (match) return handler(req, match.slice(1));
+      }
+      return json({ error: 'Not found' }, 404);
+    }
+  });
+}
@@ -0,0 +1,70 @@
+import { existsSync, mkdirSync, writeFileSync, renameSync, copyFileSync, unlinkSync, rmSync } from 'fs';
+import { resolve, dirname, join } from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger();
+
+// Where the monitor keeps what it writes: ticket state, the purchase ledger, the saved
+// session, screenshots and logs. Defaults to the working directory; point DATA_DIR at a
+// persistent volume on a cloud deploy (the Docker image uses /app/data) so a redeploy
+// doesn't forget what was already seen, bought or signed in to.
+export const DATA_DIR = resolve(process.env.DATA_DIR || '.');
+
+// Files that used to live in the working directory
+const LEGACY_FILES = ['ticket-state.json', 'purchase-ledger.json', 'session-state.json'];
+
+export function dataPath(...parts) {
+  return join(DATA_DIR, ...parts);
+}
+
+// Path for a screenshot in DATA_DIR/screenshots (created if needed)
+export function screenshotPath(name) {
+  const dir = dataPath('screenshots');
+  mkdirSync(dir, { recursive: true });
+  return join(dir, name);
+}
+
+// Write via a temporary file and rename, so a crash mid-write never leaves a truncated
+// file behind (the rename replaces the old file in one step)
+export function writeFileAtomic(path, data) {
+  mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, data);
+  try {
+    renameSync(tmpPath, path);
+  } catch (error) {
+    rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+export function writeJsonAtomic(path, value) {
+  writeFileAtomic(path, JSON.stringify(value, null, 2));
+}
+
+// Move state files from the working directory into DATA_DIR the first time it is used,
+// so setting DATA_DIR doesn't re-announce every screening or forget past purchases.
+// Files already in DATA_DIR are never overwritten. Returns the names moved.
+export function migrateLegacyFiles({ names = LEGACY_FILES, from = resolve('.'), to = DATA_DIR } = {}) {
+  const moved = [];
+  if (resolve(from) === resolve(to)) return moved;
+
+  for (const name of names) {
+    const legacy = join(from, name);
+    const target = join(to, name);
+    if (!existsSync(legacy) || existsSync(target)) continue;
+    try {
+      mkdirSync(to, { recursive: true });
+      // Copy then delete: the data directory is usually a different filesystem
+      const tmpPath = `${target}.${process.pid}.tmp`;
+      copyFileSync(legacy, tmpPath);
+      renameSync(tmpPath, target);
+      unlinkSync(legacy);
+      moved.push(name);
+      log.info(`📦 Moved ${name} to ${to}`);
+    } catch (error) {
+      log.warn(`⚠️  Could not move ${name} to ${to}: ${error.message}`);
+    }
+  }
+  return moved;
+}
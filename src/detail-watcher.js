@@ -0,0 +1,69 @@
+import { loadDetailPage, extractDetailStatuses } from './schedule-scraper.js';
+import { upcomingScreenings } from './polling-policy.js';
+import { createLogger } from './logger.js';
+
+// Between schedule checks, sold-out and waitlisted screenings starting soon are watched on
+// the film's own page, which is much lighter than reloading the whole schedule. What they
+// find goes through the same change detection and auto-purchase as a schedule check.
+//
+// Configured in settings.detailPages of auto-purchase.json (false turns it off):
+//
+//   "detailPages": { "hours": 3, "intervalSeconds": 15, "maxPages": 5 }
+
+const log = createLogger();
+
+export const DEFAULT_DETAIL_WATCH = {
+  hours: 3,
+  intervalSeconds: 15,
+  maxPages: 5
+};
+
+// DETAIL_WATCH_HOURS (0 turns it off) and DETAIL_WATCH_INTERVAL (seconds) override the file
+export function getDetailWatchSettings(settings = {}, env = process.env) {
+  const configured = settings.detailPages;
+  const watch = { ...DEFAULT_DETAIL_WATCH, ...(typeof configured === 'object' ? configured : {}) };
+  if (env.DETAIL_WATCH_HOURS) watch.hours = parseFloat(env.DETAIL_WATCH_HOURS);
+  if (env.DETAIL_WATCH_INTERVAL) watch.intervalSeconds = parseFloat(env.DETAIL_WATCH_INTERVAL);
+  watch.enabled = configured !== false && watch.hours > 0 && watch.intervalSeconds > 0;
+  return watch;
+}
+
+// The film pages to watch, soonest screening first: [{ url, screenings }].
+// One page can cover several screenings of the same film.
+export function selectDetailTargets(state, watch, now = new Date()) {
+  if (!watch.enabled) return [];
+
+  const soon = upcomingScreenings(Object.values(state), watch.hours, now)
+    .filter(screening => screening.detailUrl)
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+  const byUrl = new Map();
+  for (const screening of soon) {
+    if (!byUrl.has(screening.detailUrl)) byUrl.set(screening.detailUrl, []);
+    byUrl.get(screening.detailUrl).push(screening);
+  }
+  return [...byUrl].slice(0, watch.maxPages).map(([url, screenings]) => ({ url, screenings }));
+}
+
+// Visit each target page and read its screenings' statuses.
+// Returns the screenings read; a page that doesn't load is skipped.
+export async function checkDetailPages(page, targets) {
+  const found = [];
+  for (const { url, screenings } of targets) {
+    if (!await loadDetailPage(page, url)) {
+      log.warn(`   ⚠️  Timeout waiting for screenings on ${url}`);
+      continue;
+    }
+    found.push(...await extractDetailStatuses(page, screenings));
+  }
+  return found;
+}
+
+// The state with the statuses read from detail pages applied; everything else is unchanged
+export function applyDetailStatuses(state, found) {
+  const next = { ...state };
+  for (const { key, status, buttonText } of found) {
+    if (next[key]) next[key] = { ...next[key], status, buttonText };
+  }
+  return next;
+}
@@ -1,73 +1,27 @@
 import { chromium } from 'playwright';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { writeFileSync, existsSync } from 'fs';
 import { resolve } from 'path';
+import { establishSession, loadSchedule, extractScreenings } from './schedule-scraper.js';
+import { loadSession } from './session-store.js';
+import { screenshotPath } from './data-dir.js';
 
-const COOKIES_PATH = resolve('./cookies.json');
 const OUTPUT_PATH = resolve('./auto-purchase.json');
-const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-
-async function loadCookies() {
-  if (!existsSync(COOKIES_PATH)) {
-    throw new Error('cookies.json not found. Please export your Sundance cookies first.');
-  }
-  const cookiesJson = readFileSync(COOKIES_PATH, 'utf-8');
-  return JSON.parse(cookiesJson);
-}
-
-// No longer needed - we want to keep all screenings, even duplicates of the same film
-
-async function scrollSchedule(page) {
-  let lastHeight = await page.evaluate(() => document.body.scrollHeight);
-  for (let i = 0; i < 10; i++) {
-    await page.evaluate(() => {
-      const el = document.scrollingElement || document.body;
-      el.scrollBy(0, window.innerHeight);
-    });
-    await page.waitForTimeout(800);
-    const newHeight = await page.evaluate(() => document.body.scrollHeight);
-    if (newHeight === lastHeight) break;
-    lastHeight = newHeight;
-  }
-}
 
 async function scrapeScheduleScreenings(page) {
   // Load main page first to establish session (mirrors monitor.js)
-  await page.goto('https://festival.sundance.org/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-  await page.waitForTimeout(3000);
+  await establishSession(page);
 
   const start = Date.now();
-  await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
 
-  // Wait for schedule rows to appear
-  try {
-    await page.waitForSelector('.sd_schedule_film_desc', { timeout: 30000 });
-  } catch (err) {
+  // Wait for schedule rows, then force-load all rows (handles virtualized tables)
+  const loaded = await loadSchedule(page, { scroll: true });
+  if (!loaded) {
     console.warn('⚠️  Could not find .sd_schedule_film_desc; taking screenshot for debugging.');
-    await page.screenshot({ path: 'generate-auto-purchase-missing-selector.png', fullPage: true }).catch(() => {});
+    await page.screenshot({ path: screenshotPath('generate-auto-purchase-missing-selector.png'), fullPage: true }).catch(() => {});
   }
 
-  // Try to force-load all rows (handles virtualized tables)
-  await scrollSchedule(page);
-
-  // Extract titles AND screening times (matches monitor.js extraction logic)
-  const screenings = await page.evaluate(() => {
-    const out = [];
-    const descs = Array.from(document.querySelectorAll('.sd_schedule_film_desc'));
-    descs.forEach((desc) => {
-      const h3 = desc.querySelector('h3');
-      if (!h3) return;
-
-      const title = h3.textContent.trim();
-      if (!title || title.length < 2) return;
-
-      // Get screening time from date element (same as monitor.js)
-      const dateElement = desc.querySelector('.sd_start_end_date');
-      const screeningTime = dateElement ? dateElement.textContent.trim().replace(/\s+/g, ' ') : '';
-
-      out.push({ title, screeningTime });
-    });
-    return out;
-  });
+  // Same records the monitor uses, so titles and screening times match exactly
+  const screenings = await extractScreenings(page);
 
   const duration = Math.round((Date.now() - start) / 1000);
   console.log(`   ⏱️  Schedule load + scrape took ${duration}s`);
@@ -81,12 +35,14 @@ async function main() {
     return;
   }
 
-  const cookies = await loadCookies();
+  const session = loadSession();
+  if (!session) {
+    throw new Error('No session found. Please export your Sundance cookies first.');
+  }
 
   console.log('🎬 Loading schedule to build auto-purchase list...');
   const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  await context.addCookies(cookies);
+  const context = await browser.newContext({ storageState: session.state });
   const page = await context.newPage();
 
   const screenings = await scrapeScheduleScreenings(page);
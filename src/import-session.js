@@ -0,0 +1,44 @@
+import { readFileSync, existsSync } from 'fs';
+import { parseSession, validateSession, writeSessionState, SESSION_STATE_PATH } from './session-store.js';
+import { sessionCookieExpiry } from './session-health.js';
+
+// Convert a cookie export (storageState, cookie array, browser extension JSON or
+// Netscape cookies.txt) into session-state.json, reporting anything that looks wrong.
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.log('Usage: bun run import-session <cookies.txt | export.json>');
+    process.exit(1);
+  }
+  if (!existsSync(file)) {
+    console.error(`❌ ${file} not found`);
+    process.exit(1);
+  }
+
+  const { state, errors, warnings } = validateSession(parseSession(readFileSync(file, 'utf-8')));
+
+  console.log(`🍪 ${state.cookies.length} usable cookie(s), ${state.cookies.filter(c => c.httpOnly).length} httpOnly`);
+  const domains = [...new Set(state.cookies.map(c => c.domain))];
+  if (domains.length > 0) {
+    console.log(`   Domains: ${domains.join(', ')}`);
+  }
+  const expiry = sessionCookieExpiry(state.cookies);
+  if (expiry) {
+    console.log(`   ${expiry.name} expires ${expiry.expiresAt.toLocaleString()}`);
+  }
+  for (const warning of warnings) {
+    console.warn(`⚠️  ${warning}`);
+  }
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.join('; ')}`);
+    process.exit(1);
+  }
+
+  writeSessionState(state);
+  console.log(`✅ Saved to ${SESSION_STATE_PATH}`);
+}
+
+main().catch((err) => {
+  console.error('❌ Import failed:', err.message);
+  process.exit(1);
+});
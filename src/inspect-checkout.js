@@ -1,61 +1,35 @@
 import { chromium } from 'playwright';
-import { readFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
-
-const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-const COOKIES_PATH = resolve('./cookies.json');
+import { establishSession, loadSchedule, markOrderButton } from './schedule-scraper.js';
+import { loadSession } from './session-store.js';
+import { screenshotPath } from './data-dir.js';
 
 async function inspectCheckout() {
   const filmTitle = process.argv[2] || 'Public Access';
 
-  if (!existsSync(COOKIES_PATH)) {
-    console.error('❌ cookies.json not found!');
+  const session = loadSession();
+  if (!session) {
+    console.error('❌ No session found! Export your cookies to cookies.json (see README.md).');
     process.exit(1);
   }
 
-  const cookies = JSON.parse(readFileSync(COOKIES_PATH, 'utf-8'));
-
   console.log(`🔍 Inspecting checkout for: "${filmTitle}"\n`);
   const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
-  await context.addCookies(cookies);
+  const context = await browser.newContext({ storageState: session.state });
   const page = await context.newPage();
 
   try {
     // Load schedule
     console.log('📍 Loading main page...');
-    await page.goto('https://festival.sundance.org/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForTimeout(3000);
+    await establishSession(page);
 
     console.log('📍 Loading schedule page...');
-    await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForSelector('.sd_schedule_film_desc', { timeout: 30000 });
-    await page.waitForTimeout(3000);
+    if (!await loadSchedule(page)) {
+      throw new Error('Timeout waiting for schedule content');
+    }
 
     // Find and click Order tickets
     console.log('🔍 Finding Order tickets button...');
-    const found = await page.evaluate((title) => {
-      const filmDescs = Array.from(document.querySelectorAll('.sd_schedule_film_desc'));
-      for (const desc of filmDescs) {
-        const titleEl = desc.querySelector('h3');
-        if (!titleEl) continue;
-        const filmTitle = titleEl.textContent.trim();
-        if (!filmTitle.toLowerCase().includes(title.toLowerCase())) continue;
-
-        const row = desc.closest('.rdt_TableRow, [class*="TableRow"]');
-        if (!row) continue;
-
-        const buttons = row.querySelectorAll('button, [role="button"], a');
-        for (const btn of buttons) {
-          const text = btn.textContent.trim().toUpperCase();
-          if (text.includes('ORDER') || (text.includes('BUY') && text.includes('TICKET'))) {
-            btn.setAttribute('data-inspect-target', 'true');
-            return { found: true, buttonText: btn.textContent.trim() };
-          }
-        }
-      }
-      return { found: false };
-    }, filmTitle);
+    const found = await markOrderButton(page, { title: filmTitle }, 'data-inspect-target');
 
     if (!found.found) {
       console.log('❌ Order tickets button not found for this film');
@@ -72,8 +46,8 @@ async function inspectCheckout() {
     await page.waitForTimeout(2000);
 
     // Take screenshot of the dropdown
-    await page.screenshot({ path: 'checkout-step1-dropdown.png', fullPage: true });
-    console.log('📸 Screenshot saved: checkout-step1-dropdown.png');
+    await page.screenshot({ path: screenshotPath('checkout-step1-dropdown.png'), fullPage: true });
+    console.log(`📸 Screenshot saved: ${screenshotPath('checkout-step1-dropdown.png')}`);
 
     // Look for "Buy additional tickets..." in the dropdown
     console.log('\n🔍 Looking for "Buy additional tickets..." button...');
@@ -103,8 +77,8 @@ async function inspectCheckout() {
       await page.waitForTimeout(3000);
 
       // Screenshot after clicking
-      await page.screenshot({ path: 'checkout-step2-after-buy-additional.png', fullPage: true });
-      console.log('📸 Screenshot saved: checkout-step2-after-buy-additional.png');
+      await page.screenshot({ path: screenshotPath('checkout-step2-after-buy-additional.png'), fullPage: true });
+      console.log(`📸 Screenshot saved: ${screenshotPath('checkout-step2-after-buy-additional.png')}`);
     } else {
       console.log('❌ "Buy additional tickets..." not found');
     }
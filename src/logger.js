@@ -0,0 +1,98 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { format as formatArgs } from 'util';
+
+// Log output. The default is the emoji lines people read in a terminal. LOG_FORMAT=json
+// writes one JSON object per line instead, for searching in Railway's and Fly's log viewers:
+//
+//   {"timestamp":"…","level":"info","message":"Check #12 - Loading schedule...","check":12}
+//
+// Lines carry the context they were written in: the check number (check), and during a
+// checkout the screening (key, title), the purchase run (purchaseRunId) and the step it
+// has reached (step). Summaries of each check and purchase add durationMs.
+
+const scope = new AsyncLocalStorage();
+
+// The console as it was before setupLogging() routed it here
+const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+const TEXT_METHODS = { info: 'log', warn: 'warn', error: 'error' };
+
+let options = { format: getLogFormat(), file: null };
+let routed = false;
+
+export function getLogFormat(env = process.env) {
+  return (env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'text';
+}
+
+// Run fn with fields added to everything logged inside it, including by the code it calls
+export function withLogContext(fields, fn) {
+  return scope.run({ ...scope.getStore(), ...fields }, fn);
+}
+
+// Add fields to the current context from here on, e.g. the step a checkout has reached
+export function setLogContext(fields) {
+  const store = scope.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// One JSON log line: context fields, then the entry's own
+export function formatLogLine(level, message, fields = {}, time = new Date()) {
+  return JSON.stringify({ timestamp: time.toISOString(), level, message: message.trim(), ...scope.getStore(), ...fields });
+}
+
+// Banners and spacer lines mean nothing in a log viewer
+function isDecoration(message) {
+  return !/[\p{L}\p{N}]/u.test(message);
+}
+
+function appendToFile(line) {
+  if (!options.file) return;
+  try {
+    appendFileSync(options.file, `${line}\n`);
+  } catch {
+    // A full or read-only disk shouldn't stop the monitor
+  }
+}
+
+function write(level, message, fields) {
+  if (options.format === 'json') {
+    if (isDecoration(message)) return;
+    const line = formatLogLine(level, message, fields);
+    (level === 'info' ? process.stdout : process.stderr).write(`${line}\n`);
+    appendToFile(line);
+  } else {
+    (routed ? original : console)[TEXT_METHODS[level]](message);
+    appendToFile(`${new Date().toISOString()} ${message}`);
+  }
+}
+
+// Send all console output through the logger, so modules that log with console.log
+// come out as JSON too. file also gets a copy of every line (LOG_TO_FILE).
+export function setupLogging({ format = getLogFormat(), file = null } = {}) {
+  options = { format, file };
+  if (file) {
+    mkdirSync(dirname(file), { recursive: true });
+  }
+  if (format !== 'json' && !file) return;
+  routed = true;
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    console[method] = (...args) => write(level, formatArgs(...args));
+  }
+}
+
+// log.info(message, fields): fields only appear in JSON output. log.summary(message, fields)
+// is JSON-only, for the one record per check or purchase that the human lines tell in full.
+export function createLogger(fields = {}) {
+  const entry = level => (message, extra) => write(level, message, { ...fields, ...extra });
+  return {
+    info: entry('info'),
+    warn: entry('warn'),
+    error: entry('error'),
+    summary(message, extra) {
+      if (options.format === 'json') write('info', message, { ...fields, ...extra });
+    },
+    child: more => createLogger({ ...fields, ...more })
+  };
+}
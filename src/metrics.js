@@ -0,0 +1,137 @@
+// Prometheus metrics for the monitor, served at /metrics by the dashboard server.
+// Written out by hand in the text exposition format; there are only a handful.
+
+const PREFIX = 'sundance_monitor_';
+
+// Check duration buckets, in seconds (a check is a page load plus any checkouts)
+const DURATION_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// A counter or gauge, one value per label set
+function createSeries(name, help, type) {
+  const values = new Map();
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labels);
+      values.set(key, { labels, value: (values.get(key)?.value || 0) + amount });
+    },
+    set(labels, value) {
+      values.set(JSON.stringify(labels), { labels, value });
+    },
+    reset() {
+      values.clear();
+    },
+    render() {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`];
+      for (const { labels, value } of values.values()) {
+        lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join('\n');
+    }
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+  return {
+    observe(value) {
+      buckets.forEach((bound, i) => {
+        if (value <= bound) counts[i]++;
+      });
+      sum += value;
+      count++;
+    },
+    render() {
+      const lines = [`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} histogram`];
+      buckets.forEach((bound, i) => lines.push(`${PREFIX}${name}_bucket{le="${bound}"} ${counts[i]}`));
+      lines.push(`${PREFIX}${name}_bucket{le="+Inf"} ${count}`);
+      lines.push(`${PREFIX}${name}_sum ${sum}`);
+      lines.push(`${PREFIX}${name}_count ${count}`);
+      return lines.join('\n');
+    }
+  };
+}
+
+// Everything the monitor reports. Call the record* functions from the check loop;
+// render() produces the /metrics response body.
+export function createMonitorMetrics() {
+  const checks = createSeries('checks_total', 'Schedule checks, by result (ok, empty, error, session_degraded)', 'counter');
+  const checkDuration = createHistogram('check_duration_seconds', 'Time taken by each schedule check', DURATION_BUCKETS);
+  const lastSuccess = createSeries('last_successful_check_timestamp_seconds', 'Unix time of the last check that read the schedule', 'gauge');
+  const screenings = createSeries('screenings', 'Screenings on the schedule, by status', 'gauge');
+  const changes = createSeries('changes_detected_total', 'Status changes detected, by transition', 'counter');
+  const purchases = createSeries('purchase_attempts_total', 'Auto-purchase attempts, by outcome (success, failed, dry_run)', 'counter');
+  const notifications = createSeries('notifications_total', 'Notifications sent, by channel and result (ok, failed)', 'counter');
+  const notificationFailures = createSeries('notification_failures_total', 'Notifications that failed to send, by channel', 'counter');
+  const session = createSeries('session_status', 'Session health (1 for the current status: OK, EXPIRING, DEGRADED)', 'gauge');
+  const paused = createSeries('paused', 'Whether monitoring is paused from the control API', 'gauge');
+  paused.set({}, 0);
+  const browserRestarts = createSeries('browser_restarts_total', 'Browser relaunches after a crash, hang or repeated failure, by result (ok, failed)', 'counter');
+
+  const all = [checks, checkDuration, lastSuccess, screenings, changes, purchases, notifications, notificationFailures, session, paused, browserRestarts];
+
+  return {
+    // result: 'ok', 'empty' (schedule never rendered), 'error' or 'session_degraded'
+    recordCheck(result, durationMs) {
+      checks.inc({ result });
+      checkDuration.observe(durationMs / 1000);
+      if (result === 'ok') {
+        lastSuccess.set({}, Math.floor(Date.now() / 1000));
+      }
+    },
+
+    recordScreenings(state) {
+      screenings.reset();
+      for (const screening of Object.values(state)) {
+        screenings.inc({ status: screening.status });
+      }
+    },
+
+    recordChanges(detected) {
+      for (const change of detected) {
+        changes.inc({ transition: change.transition });
+      }
+    },
+
+    recordPurchase(result) {
+      purchases.inc({ outcome: result.dryRun ? 'dry_run' : result.success ? 'success' : 'failed' });
+    },
+
+    // results from notifier.notify(): [{ channel, ok, error }]
+    recordNotifications(results) {
+      for (const { channel, ok } of results || []) {
+        notifications.inc({ channel, result: ok ? 'ok' : 'failed' });
+        if (!ok) notificationFailures.inc({ channel });
+      }
+    },
+
+    recordSession(status) {
+      for (const name of ['OK', 'EXPIRING', 'DEGRADED']) {
+        session.set({ status: name }, name === status ? 1 : 0);
+      }
+    },
+
+    recordPaused(isPaused) {
+      paused.set({}, isPaused ? 1 : 0);
+    },
+
+    recordBrowserRestart(ok) {
+      browserRestarts.inc({ result: ok ? 'ok' : 'failed' });
+    },
+
+    render() {
+      return `${all.map(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
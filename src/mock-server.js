@@ -0,0 +1,453 @@
+import { parseScreeningTime } from './screening-time.js';
+
+// Local stand-in for festival.sundance.org, for rehearsing the monitor and checkout flow.
+//
+//   bun run mock-server
+//   SUNDANCE_BASE_URL=http://localhost:4010 bun run monitor
+//
+// Each screening has a status (what the schedule shows) and a scenario (how checkout ends).
+// Flip them while the monitor runs to simulate tickets being released:
+//
+//   curl -X POST localhost:4010/__mock/screenings/2 -d '{"status":"AVAILABLE"}'
+
+const MOCK_PORT = process.env.MOCK_PORT ? parseInt(process.env.MOCK_PORT) : 4010;
+
+// Credentials the mock sign-in form accepts
+const MOCK_EMAIL = process.env.MOCK_EMAIL || 'mock@example.com';
+const MOCK_PASSWORD = process.env.MOCK_PASSWORD || 'mock-password';
+
+export const MOCK_SCENARIOS = ['success', 'queue', 'login', 'declined', 'unavailable'];
+
+const DEFAULT_SCREENINGS = [
+  { title: 'Mock Film: Happy Path', day: 'Thursday, January 22', time: '9:00 PM - 10:45 PM MST', venue: 'Eccles Theatre', status: 'AVAILABLE', scenario: 'success', price: 30 },
+  { title: 'Mock Film: Popup Checkout', day: 'Friday, January 23', time: '12:30 PM - 2:15 PM MST', venue: 'Egyptian Theatre', status: 'AVAILABLE', scenario: 'success', price: 30, popup: true },
+  { title: 'Mock Film: Sold Out', day: 'Friday, January 23', time: '6:00 PM - 7:40 PM MST', venue: 'The Ray Theatre', status: 'SOLD_OUT', scenario: 'success', price: 25 },
+  { title: 'Mock Film: Waitlist', day: 'Saturday, January 24', time: '3:00 PM - 4:30 PM MST', venue: 'Library Center Theatre', status: 'WAITLIST', scenario: 'success', price: 25 },
+  { title: 'Mock Film: Queue', day: 'Saturday, January 24', time: '8:30 PM - 10:00 PM MST', venue: 'Prospector Square Theatre', status: 'AVAILABLE', scenario: 'queue', price: 30 },
+  { title: 'Mock Film: Login Redirect', day: 'Sunday, January 25', time: '11:30 AM - 1:15 PM MST', venue: 'Redstone Cinema 1', status: 'AVAILABLE', scenario: 'login', price: 30 },
+  { title: 'Mock Film: Declined Card', day: 'Sunday, January 25', time: '2:00 PM - 3:35 PM MST', venue: 'Eccles Theatre', status: 'AVAILABLE', scenario: 'declined', price: 30 },
+  { title: 'Mock Film: No Longer Available', day: 'Monday, January 26', time: '5:15 PM - 6:50 PM MST', venue: 'Egyptian Theatre', status: 'AVAILABLE', scenario: 'unavailable', price: 30 }
+];
+
+const STATUS_BUTTONS = {
+  AVAILABLE: '<button type="button" class="sd_btn sd_order_btn">Order tickets</button>',
+  SOLD_OUT: '<button type="button" class="sd_btn sd_btn_disabled" disabled>Sold out</button>',
+  WAITLIST: '<button type="button" class="sd_btn">Join Wait List</button>'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]));
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} | Sundance Film Festival (mock)</title>
+  <style>
+    body { font-family: sans-serif; margin: 0; padding: 24px; }
+    .rdt_TableRow { display: flex; align-items: center; gap: 24px; padding: 12px 0; border-bottom: 1px solid #ddd; }
+    .rdt_TableCell { position: relative; }
+    .sd_order_dropdown { position: absolute; top: 100%; left: 0; background: #fff; border: 1px solid #999; padding: 8px; z-index: 5; }
+    .sd_order_dropdown div { cursor: pointer; padding: 4px 8px; }
+    .sd_overlay { position: fixed; inset: 0; background: rgba(0, 0, 0, 0.4); display: flex; align-items: center; justify-content: center; }
+    .sd_dialog { background: #fff; padding: 24px; min-width: 360px; }
+    .sd_dialog_alert { color: #b00020; font-weight: 600; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function html(markup, status = 200) {
+  return new Response(markup, { status, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+}
+
+function json(data, status = 200) {
+  return Response.json(data, { status });
+}
+
+// Client-side script that drives the order dropdown and the purchase dialog
+const CHECKOUT_SCRIPT = `
+  function closeDropdowns() {
+    document.querySelectorAll('.sd_order_dropdown').forEach(el => el.remove());
+  }
+
+  function openDropdown(button, id) {
+    closeDropdowns();
+    const dropdown = document.createElement('div');
+    dropdown.className = 'sd_order_dropdown';
+    const option = document.createElement('div');
+    option.textContent = 'Buy additional tickets...';
+    option.addEventListener('click', () => startCheckout(id));
+    dropdown.appendChild(option);
+    button.parentElement.appendChild(dropdown);
+  }
+
+  async function startCheckout(id) {
+    closeDropdowns();
+    const response = await fetch('/api/mock/checkout/' + id, { method: 'POST' });
+    const data = await response.json();
+    if (data.redirect) {
+      window.location.href = data.redirect;
+      return;
+    }
+    renderDialog(data);
+  }
+
+  function renderDialog(data) {
+    const overlay = document.createElement('div');
+    overlay.className = 'sd_overlay';
+    const dialog = document.createElement('div');
+    dialog.className = 'sd_dialog';
+    dialog.setAttribute('role', 'dialog');
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const heading = document.createElement('h2');
+    heading.textContent = data.title;
+    dialog.appendChild(heading);
+
+    if (data.message) {
+      const alert = document.createElement('p');
+      alert.className = 'sd_dialog_alert';
+      alert.textContent = data.message;
+      dialog.appendChild(alert);
+      return;
+    }
+
+    const options = Array.from({ length: data.maxQuantity }, (_, i) => '<option value="' + (i + 1) + '">' + (i + 1) + '</option>').join('');
+    dialog.insertAdjacentHTML('beforeend', \`
+      <p>\${data.venue} &middot; \${data.when}</p>
+      <p>
+        <label for="ticket-quantity">Tickets</label>
+        <select id="ticket-quantity" name="quantity">\${options}</select>
+        <span>$\${data.price}.00 each</span>
+      </p>
+      <p>
+        <input type="radio" id="saved-card" name="payment" value="saved">
+        <label for="saved-card">Visa ending in 4242</label>
+      </p>
+      <p>
+        <input type="checkbox" id="purchase-terms">
+        <label for="purchase-terms">I agree to the Purchasing Terms</label>
+      </p>
+      <p class="sd_dialog_alert" id="purchase-alert"></p>
+      <button type="button" id="complete-purchase" disabled>COMPLETE PURCHASE</button>
+    \`);
+
+    const terms = dialog.querySelector('#purchase-terms');
+    const submit = dialog.querySelector('#complete-purchase');
+    terms.addEventListener('change', () => { submit.disabled = !terms.checked; });
+    submit.addEventListener('click', async () => {
+      submit.disabled = true;
+      const quantity = parseInt(dialog.querySelector('#ticket-quantity').value, 10);
+      const savedCard = dialog.querySelector('#saved-card').checked;
+      const response = await fetch('/api/mock/purchase/' + data.id, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quantity, savedCard })
+      });
+      const result = await response.json();
+      if (result.redirect) {
+        window.location.href = result.redirect;
+        return;
+      }
+      dialog.querySelector('#purchase-alert').textContent = result.message;
+    });
+  }
+
+  document.addEventListener('click', (event) => {
+    const button = event.target.closest('.sd_order_btn');
+    if (!button) return;
+    const id = button.dataset.screeningId;
+    if (button.dataset.popup === 'true') {
+      window.open('/order/' + id, '_blank');
+    } else {
+      openDropdown(button, id);
+    }
+  });
+`;
+
+function renderScheduleRow(screening) {
+  const button = STATUS_BUTTONS[screening.status] || '';
+  const orderButton = button.replace(
+    'class="sd_btn sd_order_btn"',
+    `class="sd_btn sd_order_btn" data-screening-id="${screening.id}" data-popup="${screening.popup === true}"`
+  );
+  return `
+      <div id="row-${screening.id}" role="row" class="rdt_TableRow">
+        <div class="rdt_TableCell">
+          <div class="sd_schedule_film_desc">
+            <h3><a href="/program/film/${screening.id}">${escapeHtml(screening.title)}</a></h3>
+            <p class="sd_start_end_date">${escapeHtml(screening.day)}<br> ${escapeHtml(screening.time)}</p>
+            <p class="sd_schedule_film_venue">${escapeHtml(screening.venue)}</p>
+          </div>
+        </div>
+        <div class="rdt_TableCell"><button type="button" class="sd_fav_btn" aria-label="Favorite">&#9825;</button></div>
+        <div class="rdt_TableCell">${orderButton}</div>
+      </div>`;
+}
+
+function renderSchedule(screenings) {
+  return layout('My Schedule', `
+  <main class="sd_my_schedule">
+    <h1>My Schedule</h1>
+    <div role="table" class="rdt_Table">
+      ${screenings.map(renderScheduleRow).join('')}
+    </div>
+  </main>
+  <script>
+    ${CHECKOUT_SCRIPT}
+    // The real page renders from a request like this; the mock only fetches it
+    fetch('/api/festival/my-schedule');
+  </script>`);
+}
+
+// The schedule as JSON, the way the API behind the real page might send it
+function scheduleData(screenings) {
+  return {
+    data: {
+      screenings: screenings.map((screening) => {
+        const times = parseScreeningTime(`${screening.day} ${screening.time}`);
+        return {
+          id: screening.id,
+          film: { title: screening.title, url: `/program/film/${screening.id}` },
+          startTime: times?.startsAt || null,
+          endTime: times?.endsAt || null,
+          venue: { name: screening.venue },
+          ticketStatus: screening.status
+        };
+      })
+    }
+  };
+}
+
+function renderLogin(returnTo, error) {
+  return layout('Sign In', `
+  <main>
+    <h1>Sign in</h1>
+    ${error ? `<p class="sd_dialog_alert">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/login">
+      <input type="hidden" name="returnTo" value="${escapeHtml(returnTo || '/my-festival/my-schedule')}">
+      <label>Email <input type="email" name="email"></label>
+      <label>Password <input type="password" name="password"></label>
+      <button type="submit">Log in</button>
+    </form>
+  </main>`);
+}
+
+// A film's own page, listing every screening of that title with its ticket button
+function renderFilmPage(title, screenings) {
+  return layout(title, `
+  <main class="sd_film_detail">
+    <h1>${escapeHtml(title)}</h1>
+    <ul class="sd_film_screenings">
+      ${screenings.map(screening => `
+      <li class="sd_film_screening">
+        <p class="sd_start_end_date">${escapeHtml(screening.day)}<br> ${escapeHtml(screening.time)}</p>
+        <p>${escapeHtml(screening.venue)}</p>
+        ${STATUS_BUTTONS[screening.status] || ''}
+      </li>`).join('')}
+    </ul>
+  </main>`);
+}
+
+// Standalone order page used by screenings with popup: true
+function renderOrderPage(screening) {
+  return layout(screening.title, `
+  <main>
+    <h1>${escapeHtml(screening.title)}</h1>
+    <p>${escapeHtml(screening.day)} ${escapeHtml(screening.time)} &middot; ${escapeHtml(screening.venue)}</p>
+    <div class="rdt_TableCell">
+      <button type="button" class="sd_btn" id="order-options">Ticket options</button>
+    </div>
+  </main>
+  <script>
+    ${CHECKOUT_SCRIPT}
+    openDropdown(document.getElementById('order-options'), ${JSON.stringify(String(screening.id))});
+  </script>`);
+}
+
+export function createMockServer(options = {}) {
+  let screenings = [];
+  let purchases = [];
+  let nextOrderNumber = 100001;
+  // Flip with POST /__mock/session to rehearse an expired login
+  let loggedIn = true;
+
+  const reset = () => {
+    loggedIn = true;
+    screenings = (options.screenings || DEFAULT_SCREENINGS).map((s, i) => ({ id: String(i + 1), ...s }));
+    purchases = [];
+  };
+  reset();
+
+  const findScreening = (id) => screenings.find(s => s.id === id);
+
+  const routes = [
+    ['GET', /^\/$/, () => html(layout('Home', `
+  <main>
+    <h1>Sundance Film Festival (mock)</h1>
+    <p><a href="/my-festival/my-schedule">My Schedule</a></p>
+  </main>`))],
+
+    ['GET', /^\/my-festival\/my-schedule$/, () => loggedIn
+      ? html(renderSchedule(screenings))
+      : new Response(null, { status: 302, headers: { Location: `/login?returnTo=${encodeURIComponent('/my-festival/my-schedule')}` } })],
+
+    ['GET', /^\/api\/festival\/my-schedule$/, () => loggedIn ? json(scheduleData(screenings)) : json({ error: 'Not signed in' }, 401)],
+
+    ['GET', /^\/program\/film\/([^/]+)$/, (req, [id]) => {
+      const screening = findScreening(id);
+      if (!screening) return html(layout('Not found', '<h1>Not found</h1>'), 404);
+      return html(renderFilmPage(screening.title, screenings.filter(s => s.title === screening.title)));
+    }],
+
+    ['GET', /^\/order\/([^/]+)$/, (req, [id]) => {
+      const screening = findScreening(id);
+      return screening ? html(renderOrderPage(screening)) : html(layout('Not found', '<h1>Not found</h1>'), 404);
+    }],
+
+    ['GET', /^\/queue$/, () => html(layout('Waiting Room', `
+  <main>
+    <h1>You are in the waiting room</h1>
+    <p>Your place in the queue is being held. This page refreshes automatically.</p>
+  </main>`))],
+
+    ['GET', /^\/login$/, (req) => html(renderLogin(new URL(req.url).searchParams.get('returnTo')))],
+
+    // Signs the mock session back in (automatic sign-in rehearsals)
+    ['POST', /^\/login$/, async (req) => {
+      const form = await req.formData().catch(() => new FormData());
+      const returnTo = form.get('returnTo');
+      if (form.get('email') !== MOCK_EMAIL || form.get('password') !== MOCK_PASSWORD) {
+        return html(renderLogin(returnTo, 'Invalid email or password.'), 401);
+      }
+      loggedIn = true;
+      console.log('🔧 Mock session: signed in');
+      const location = typeof returnTo === 'string' && returnTo.startsWith('/') ? returnTo : '/my-festival/my-schedule';
+      return new Response(null, {
+        status: 302,
+        headers: { Location: location, 'Set-Cookie': `sd_session=mock-${Date.now()}; Path=/; Max-Age=86400; HttpOnly` }
+      });
+    }],
+
+    ['GET', /^\/my-festival\/order-confirmation\/([^/]+)$/, (req, [orderNumber]) => {
+      const purchase = purchases.find(p => p.orderNumber === orderNumber);
+      if (!purchase) return html(layout('Not found', '<h1>Not found</h1>'), 404);
+      return html(layout('Order Confirmation', `
+  <main>
+    <h1>Thank you for your order!</h1>
+    <p>Order number: <strong class="sd_order_number">${purchase.orderNumber}</strong></p>
+    <p>${escapeHtml(purchase.title)}</p>
+    <p>${escapeHtml(purchase.when)} &middot; ${escapeHtml(purchase.venue)}</p>
+    <p>${purchase.quantity} ticket${purchase.quantity === 1 ? '' : 's'}</p>
+    <p>Seats: General Admission</p>
+    <p>Total charged: $${purchase.total.toFixed(2)}</p>
+  </main>`));
+    }],
+
+    // Called when "Buy additional tickets..." is clicked
+    ['POST', /^\/api\/mock\/checkout\/([^/]+)$/, (req, [id]) => {
+      const screening = findScreening(id);
+      if (!screening) return json({ title: 'Tickets', message: 'These tickets are no longer available.' });
+
+      if (screening.scenario === 'queue') return json({ redirect: '/queue' });
+      if (screening.scenario === 'login') return json({ redirect: `/login?returnTo=${encodeURIComponent('/my-festival/my-schedule')}` });
+      if (screening.scenario === 'unavailable' || screening.status !== 'AVAILABLE') {
+        return json({ id, title: screening.title, message: 'These tickets are no longer available.' });
+      }
+
+      return json({
+        id,
+        title: screening.title,
+        venue: screening.venue,
+        when: `${screening.day} ${screening.time}`,
+        price: screening.price,
+        maxQuantity: screening.maxQuantity || 4
+      });
+    }],
+
+    // Called when COMPLETE PURCHASE is clicked
+    ['POST', /^\/api\/mock\/purchase\/([^/]+)$/, async (req, [id]) => {
+      const screening = findScreening(id);
+      const body = await req.json().catch(() => ({}));
+      if (!screening || screening.status !== 'AVAILABLE') {
+        return json({ message: 'These tickets are no longer available.' });
+      }
+      if (screening.scenario === 'declined') {
+        return json({ message: 'Your card was declined.' });
+      }
+
+      const quantity = Math.max(1, parseInt(body.quantity, 10) || 1);
+      const purchase = {
+        orderNumber: String(nextOrderNumber++),
+        screeningId: id,
+        title: screening.title,
+        when: `${screening.day} ${screening.time}`,
+        venue: screening.venue,
+        quantity,
+        total: quantity * screening.price,
+        savedCard: body.savedCard === true,
+        purchasedAt: new Date().toISOString()
+      };
+      purchases.push(purchase);
+      console.log(`🎟️  Mock purchase #${purchase.orderNumber}: ${quantity} x ${screening.title}`);
+      return json({ redirect: `/my-festival/order-confirmation/${purchase.orderNumber}` });
+    }],
+
+    // Test controls
+    ['GET', /^\/__mock\/screenings$/, () => json(screenings)],
+    ['GET', /^\/__mock\/purchases$/, () => json(purchases)],
+    ['POST', /^\/__mock\/screenings\/([^/]+)$/, async (req, [id]) => {
+      const screening = findScreening(id);
+      if (!screening) return json({ error: 'Unknown screening' }, 404);
+      const updates = await req.json().catch(() => ({}));
+      if (updates.scenario && !MOCK_SCENARIOS.includes(updates.scenario)) {
+        return json({ error: `Unknown scenario; expected one of ${MOCK_SCENARIOS.join(', ')}` }, 400);
+      }
+      for (const field of ['status', 'scenario', 'price', 'maxQuantity', 'popup']) {
+        if (updates[field] !== undefined) screening[field] = updates[field];
+      }
+      console.log(`🔧 Mock screening ${id} (${screening.title}): ${screening.status} / ${screening.scenario}`);
+      return json(screening);
+    }],
+    ['GET', /^\/__mock\/session$/, () => json({ loggedIn })],
+    ['POST', /^\/__mock\/session$/, async (req) => {
+      const updates = await req.json().catch(() => ({}));
+      if (typeof updates.loggedIn === 'boolean') loggedIn = updates.loggedIn;
+      console.log(`🔧 Mock session: ${loggedIn ? 'logged in' : 'logged out'}`);
+      return json({ loggedIn });
+    }],
+    ['POST', /^\/__mock\/reset$/, () => {
+      reset();
+      return json({ ok: true });
+    }]
+  ];
+
+  return Bun.serve({
+    port: options.port ?? MOCK_PORT,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      for (const [method, pattern, handler] of routes) {
+        if (req.method !== method) continue;
+        const match = pathname.match(pattern);
+        if (match) return handler(req, match.slice(1));
+      }
+      return html(layout('Not found', '<h1>Not found</h1>'), 404);
+    }
+  });
+}
+
+if (import.meta.main) {
+  const server = createMockServer();
+  const baseUrl = `http://localhost:${server.port}`;
+  console.log(`🎭 Mock Sundance server running at ${baseUrl}`);
+  console.log(`   Schedule: ${baseUrl}/my-festival/my-schedule`);
+  console.log(`   Controls: GET ${baseUrl}/__mock/screenings, POST ${baseUrl}/__mock/screenings/:id`);
+  console.log(`\n💡 Point the monitor at it with: SUNDANCE_BASE_URL=${baseUrl} bun run monitor\n`);
+}
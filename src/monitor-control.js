@@ -0,0 +1,60 @@
+// Pause, resume and check-now for the monitor loop, driven by the control API.
+// The loop waits with sleep() instead of Bun.sleep so these take effect straight away.
+export function createMonitorControl() {
+  let paused = false;
+  let checkRequested = false;
+  let wake = null;
+
+  const wakeUp = () => {
+    const resolve = wake;
+    wake = null;
+    resolve?.();
+  };
+
+  const waitForWake = (ms) => new Promise((resolve) => {
+    const timer = ms === undefined ? null : setTimeout(() => {
+      wake = null;
+      resolve(false);
+    }, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+  });
+
+  return {
+    get paused() {
+      return paused;
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      if (!paused) return;
+      paused = false;
+      wakeUp();
+    },
+
+    // Run a check now, even while paused (a single check; it stays paused afterwards)
+    checkNow() {
+      checkRequested = true;
+      wakeUp();
+    },
+
+    // Wait between checks; cut short by checkNow() or resume(). Returns true when cut short.
+    async sleep(ms) {
+      if (checkRequested) return true;
+      return await waitForWake(ms);
+    },
+
+    // Call before each check: waits while paused, unless a check was requested
+    async waitWhilePaused() {
+      while (paused && !checkRequested) {
+        await waitForWake();
+      }
+      checkRequested = false;
+    }
+  };
+}
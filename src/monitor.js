@@ -1,58 +1,63 @@
-import { chromium } from 'playwright';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
-import { Resend } from 'resend';
-import { loadAutoPurchaseConfig, shouldAutoPurchase, attemptPurchase } from './auto-purchase.js';
-
-const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-const COOKIES_PATH = resolve('./cookies.json');
-const STATE_PATH = resolve('./ticket-state.json');
-const CHECK_INTERVAL = process.env.CHECK_INTERVAL ? parseInt(process.env.CHECK_INTERVAL) : 60000;
-
-// Email configuration (optional)
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
-const RESEND_FROM_EMAIL = process.env.RESEND_FROM_EMAIL;
-const RESEND_TO_EMAIL = process.env.RESEND_TO_EMAIL;
-
-const resend = RESEND_API_KEY ? new Resend(RESEND_API_KEY) : null;
-
-// Load cookies from file or environment variable
-function loadCookies() {
-  // Try base64-encoded environment variable first (for cloud deployment)
-  if (process.env.COOKIES_JSON_BASE64) {
-    try {
-      const decoded = Buffer.from(process.env.COOKIES_JSON_BASE64, 'base64').toString('utf-8');
-      return JSON.parse(decoded);
-    } catch (error) {
-      console.error('❌ Error parsing COOKIES_JSON_BASE64 environment variable:', error.message);
-      process.exit(1);
-    }
-  }
+import { readFileSync, existsSync } from 'fs';
+import { loadAutoPurchaseConfig, readAutoPurchaseConfig } from './auto-purchase.js';
+import { planPurchases, runPurchaseQueue } from './purchase-scheduler.js';
+import { SUNDANCE_BASE_URL, SCHEDULE_URL, establishSession, loadSchedule, indexScreenings } from './schedule-scraper.js';
+import { createScheduleCapture, readSchedule, getScheduleSource } from './schedule-api.js';
+import { detectChanges, recordChangeTimes, getTransitionRules, matchesTransition, isPurchasable, changeLabel } from './change-detector.js';
+import { createNotifier } from './notifiers.js';
+import { createSessionMonitor, sessionCookieExpiry } from './session-health.js';
+import { getLoginCredentials, createAutoLogin } from './session-login.js';
+import { loadSession, createSessionWriter } from './session-store.js';
+import { loadLedger } from './purchase-ledger.js';
+import { createStatusStore } from './status-store.js';
+import { createDashboardServer, getDashboardPort } from './dashboard-server.js';
+import { createControlRoutes } from './control-api.js';
+import { createMonitorControl } from './monitor-control.js';
+import { createMonitorMetrics } from './metrics.js';
+import { DATA_DIR, dataPath, writeJsonAtomic, migrateLegacyFiles } from './data-dir.js';
+import { createPollingPolicy, getPollingSettings } from './polling-policy.js';
+import { createBrowserSupervisor, DEFAULT_CHECK_TIMEOUT_MS } from './browser-supervisor.js';
+import { createLogger, setupLogging, withLogContext } from './logger.js';
+import { getDetailWatchSettings, selectDetailTargets, checkDetailPages, applyDetailStatuses } from './detail-watcher.js';
+
+const STATE_PATH = dataPath('ticket-state.json');
+const LOG_PATH = dataPath('logs', 'monitor.log');
+// /healthz fails after this many intervals without a successful check
+const HEALTH_MAX_MISSED_CHECKS = process.env.HEALTH_MAX_MISSED_CHECKS ? parseInt(process.env.HEALTH_MAX_MISSED_CHECKS) : 3;
+// A check (including any checkouts) still running after this long is taken as hung
+const CHECK_TIMEOUT_MS = process.env.CHECK_TIMEOUT_MINUTES ? parseFloat(process.env.CHECK_TIMEOUT_MINUTES) * 60000 : DEFAULT_CHECK_TIMEOUT_MS;
+
+// Console lines, or JSON lines with LOG_FORMAT=json (see logger.js)
+const log = createLogger();
+
+// Notification channels (email, webhook, ntfy, Pushover, Slack, Discord, Telegram) are configured by env vars
+const notifier = createNotifier();
+
+// Counters and gauges for /metrics
+const metrics = createMonitorMetrics();
+
+// Send changes to every configured notification channel
+async function sendNotification(changes, options) {
+  const results = await notifier.notify(changes, options);
+  metrics.recordNotifications(results);
+  return results;
+}
 
-  // Try plain JSON environment variable (for Railway deployment)
-  if (process.env.COOKIES_JSON) {
-    try {
-      return JSON.parse(process.env.COOKIES_JSON);
-    } catch (error) {
-      console.error('❌ Error parsing COOKIES_JSON environment variable:', error.message);
-      process.exit(1);
-    }
-  }
+// Login state and cookie expiry, checked after every schedule load
+const sessionHealth = createSessionMonitor({ notify: sendNotification, url: SCHEDULE_URL });
 
-  // Fall back to file (for local development)
-  if (!existsSync(COOKIES_PATH)) {
-    console.error('❌ cookies.json not found and COOKIES_JSON env var not set! Please run the setup instructions first.');
-    process.exit(1);
-  }
+// Signs in again with SUNDANCE_EMAIL / SUNDANCE_PASSWORD when the session dies (optional)
+const autoLogin = createAutoLogin();
 
-  try {
-    const cookiesJson = readFileSync(COOKIES_PATH, 'utf-8');
-    return JSON.parse(cookiesJson);
-  } catch (error) {
-    console.error('❌ Error reading cookies.json:', error.message);
-    process.exit(1);
-  }
-}
+// What the dashboard shows (DASHBOARD_PORT / DASHBOARD_ENABLED)
+const status = createStatusStore({ notifications: notifier.channels });
+
+// Time between checks: CHECK_INTERVAL, adjusted by settings.polling (see polling-policy.js)
+const polling = createPollingPolicy();
+
+// Pause / resume / check now, from the control API (CONTROL_TOKEN)
+const control = createMonitorControl();
+status.subscribe(snapshot => metrics.recordPaused(snapshot.paused));
 
 // Load previous ticket state
 function loadPreviousState() {
@@ -62,7 +67,7 @@ function loadPreviousState() {
   try {
     return JSON.parse(readFileSync(STATE_PATH, 'utf-8'));
   } catch (error) {
-    console.warn('⚠️  Could not load previous state:', error.message);
+    log.warn(`⚠️  Could not load previous state: ${error.message}`);
     return {};
   }
 }
@@ -70,349 +75,373 @@ function loadPreviousState() {
 // Save current ticket state
 function saveState(state) {
   try {
-    writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+    writeJsonAtomic(STATE_PATH, state);
   } catch (error) {
-    console.error('❌ Error saving state:', error.message);
+    log.error(`❌ Error saving state: ${error.message}`);
   }
 }
 
-// Extract ticket information from the page
-async function extractTicketInfo(page) {
-  return await page.evaluate(() => {
-    const tickets = {};
-
-    // Sundance uses react-data-table with rdt_TableRow
-    // Each film description is in one cell, action buttons in sibling cells
-    const filmDescs = Array.from(document.querySelectorAll('.sd_schedule_film_desc'));
-
-    filmDescs.forEach((filmDesc, index) => {
-      // Get film title from h3
-      const titleElement = filmDesc.querySelector('h3');
-      if (!titleElement) return;
-
-      const title = titleElement.textContent.trim();
-      if (!title || title.length < 2) return;
-
-      // Get screening time from date element
-      const dateElement = filmDesc.querySelector('.sd_start_end_date');
-      const screeningTime = dateElement ? dateElement.textContent.trim().replace(/\s+/g, ' ') : '';
-
-      // Navigate up to the table row container
-      const tableRow = filmDesc.closest('.rdt_TableRow, [class*="TableRow"]');
-
-      if (!tableRow) {
-        // Fallback if structure changes
-        tickets[`${title}_${index}`] = {
-          title,
-          screeningTime,
-          status: 'UNKNOWN',
-          buttonText: 'No row container found',
-          url: window.location.href
-        };
-        return;
-      }
-
-      // Find all table cells in this row
-      const tableCells = Array.from(tableRow.querySelectorAll('.rdt_TableCell, [class*="TableCell"]'));
-
-      // Look for buttons in ALL cells (they're in sibling cells, not the film desc cell)
-      let status = 'UNKNOWN';
-      let buttonText = '';
-
-      tableCells.forEach(cell => {
-        // Skip favorite buttons
-        const buttons = Array.from(cell.querySelectorAll('button, a.button, .btn')).filter(
-          btn => !btn.className.includes('fav')
-        );
-
-        buttons.forEach((button) => {
-          const text = button.textContent.trim();
-          const upperText = text.toUpperCase();
-
-          // Only process if it looks like an action button
-          if (text.length > 0 && !text.match(/^[^a-zA-Z]*$/)) {
-            // Has actual text, not just icons
-            if (upperText.includes('SOLD OUT')) {
-              status = 'SOLD_OUT';
-              buttonText = text;
-            } else if (upperText.includes('WAITLIST') || upperText.includes('WAIT LIST')) {
-              status = 'WAITLIST';
-              buttonText = text;
-            } else if (
-              upperText.includes('ORDER') ||
-              upperText.includes('BUY') ||
-              upperText.includes('GET') ||
-              upperText.includes('TICKETS') ||
-              upperText.includes('TICKET') ||
-              upperText.includes('PURCHASE') ||
-              upperText.includes('AVAILABLE')
-            ) {
-              status = 'AVAILABLE';
-              buttonText = text;
-            }
-          }
-        });
-      });
+// Display notifications for changes
+async function notifyChanges(changes) {
+  if (changes.length === 0) return;
 
-      // Create unique key
-      const key = `${title}_${screeningTime || index}`;
+  log.info('\n🎬 ═══════════════════════════════════════════════════════');
+  log.info('🚨 TICKET AVAILABILITY ALERT! 🚨');
+  log.info('═══════════════════════════════════════════════════════\n');
 
-      tickets[key] = {
-        title,
-        screeningTime,
-        status,
-        buttonText,
-        url: window.location.href
-      };
-    });
+  changes.forEach((change) => {
+    const changeLog = log.child({ key: change.key, transition: change.transition });
+    changeLog.info(`${changeLabel(change)}:`);
 
-    return tickets;
+    changeLog.info(`   📽️  ${change.title}`);
+    if (change.screeningTime) {
+      changeLog.info(`   ⏰ ${change.screeningTime}`);
+    }
+    changeLog.info(`   🔘 ${change.buttonText}`);
+    changeLog.info(`   🔗 ${change.url}`);
+    log.info('');
   });
-}
 
-// Compare states and detect changes
-function detectChanges(previousState, currentState) {
-  const changes = [];
+  log.info('═══════════════════════════════════════════════════════\n');
 
-  for (const [key, current] of Object.entries(currentState)) {
-    const previous = previousState[key];
-
-    // New screening found
-    if (!previous) {
-      if (current.status === 'AVAILABLE') {
-        changes.push({
-          type: 'NEW_AVAILABLE',
-          ...current
-        });
-      }
-      continue;
-    }
+  await sendNotification(changes);
+}
 
-    // Status changed from SOLD_OUT to AVAILABLE
-    if (previous.status === 'SOLD_OUT' && current.status === 'AVAILABLE') {
-      changes.push({
-        type: 'NOW_AVAILABLE',
-        ...current
-      });
-    }
-  }
+// Main monitoring function
+async function monitorSchedule() {
+  // LOG_TO_FILE=true: also append console output to DATA_DIR/logs/monitor.log
+  setupLogging({ file: process.env.LOG_TO_FILE === 'true' ? LOG_PATH : null });
 
-  return changes;
-}
+  // State files from before DATA_DIR was set move into it
+  migrateLegacyFiles();
 
-// Send email notification
-async function sendEmailNotification(changes) {
-  if (!resend || !RESEND_FROM_EMAIL || !RESEND_TO_EMAIL) {
-    return; // Email not configured
+  // Exported cookies, or the session saved by sign-in / cookie write-back
+  const session = loadSession();
+  if (!session && !getLoginCredentials()) {
+    log.error('❌ No session found! Export cookies to cookies.json (or COOKIES_JSON), or set SUNDANCE_EMAIL and SUNDANCE_PASSWORD.');
+    process.exit(1);
   }
+  const storageState = session?.state || { cookies: [], origins: [] };
+  const saveSessionIfChanged = createSessionWriter(storageState);
+  let previousState = loadPreviousState();
 
-  const typeLabels = {
-    NOW_AVAILABLE: '🎟️ NOW AVAILABLE (was sold out)',
-    NEW_AVAILABLE: '✨ NEW TICKETS FOUND',
-    PURCHASE_SUCCESS: '✅ PURCHASE COMPLETED',
-    PURCHASE_FAILED: '❌ PURCHASE FAILED',
-    PURCHASE_ATTEMPT: '🤖 AUTO-PURCHASE ATTEMPT',
-    PURCHASE_READY: '🛒 PURCHASE READY'
-  };
-
-  const filmsList = changes.map(c => {
-    const type = typeLabels[c.type] || '🎬 UPDATE';
-    return `${type}\n📽️  ${c.title}\n⏰ ${c.screeningTime}\n🔗 ${c.url}\n`;
-  }).join('\n');
-
-  // Create subject line with film names
-  const filmNames = changes.map(c => c.title).join(', ');
-  const subject = changes.length === 1
-    ? `🎬 Sundance: ${filmNames} - Tickets Available!`
-    : `🎬 Sundance: ${changes.length} Films Available (${filmNames})`;
-
-  const html = `
-    <h2>🎬 Sundance Ticket Alert!</h2>
-    <p><strong>${changes.length} film${changes.length > 1 ? 's have' : ' has'} tickets available:</strong></p>
-    ${changes.map(c => {
-      const label = typeLabels[c.type] || '🎬 UPDATE';
-      return `
-      <div style="margin: 20px 0; padding: 15px; border-left: 4px solid #ff6b35; background: #f9f9f9;">
-        <div style="font-weight: 600; margin-bottom: 6px;">${label}</div>
-        <h3 style="margin: 0 0 10px 0;">${c.title}</h3>
-        <p style="margin: 5px 0;"><strong>Time:</strong> ${c.screeningTime}</p>
-        <p style="margin: 5px 0;"><strong>Details:</strong> ${c.buttonText}</p>
-        <p style="margin: 5px 0;"><a href="${c.url}" style="color: #ff6b35; text-decoration: none;">→ Go to Schedule</a></p>
-      </div>
-    `;
-    }).join('')}
-    <p style="margin-top: 20px; color: #666; font-size: 12px;">
-      Generated by Sundance Ticket Monitor
-    </p>
-  `;
+  log.info('🎬 Sundance Ticket Monitor Starting...');
+  log.info(`📍 Monitoring: ${SCHEDULE_URL}`);
+  const pollingSettings = getPollingSettings(readAutoPurchaseConfig()?.config?.settings);
+  log.info(`⏱️  Check interval: ${pollingSettings.intervalSeconds} seconds${pollingSettings.windows.length > 0 ? `, faster in ${pollingSettings.windows.map(w => `${w.start}-${w.end}`).join(', ')} (${pollingSettings.timezone})` : ''}`);
+  log.info(`📡 Schedule source: ${{ auto: 'API, falling back to the page', api: 'API only', dom: 'page only' }[getScheduleSource()]}`);
+  log.info(`💾 Data directory: ${DATA_DIR}`);
+  log.info(`🔔 Notifications: ${notifier.channels.length > 0 ? notifier.channels.join(', ') : 'console only'}`);
+  const expiry = sessionCookieExpiry(storageState.cookies);
+  log.info(`🍪 Session (${session?.source || 'none yet'}): ${expiry ? `${expiry.name} expires ${expiry.expiresAt.toLocaleString()}` : 'no expiry found'}`);
+  log.info(`🔑 Automatic sign-in: ${autoLogin.enabled ? 'enabled' : 'off (set SUNDANCE_EMAIL and SUNDANCE_PASSWORD)'}`);
+
+  const dashboardPort = getDashboardPort();
+  if (dashboardPort !== null) {
+    const routes = createControlRoutes({ store: status, control });
+    const server = createDashboardServer(status, {
+      port: dashboardPort,
+      routes,
+      metrics,
+      health: { intervalMs: pollingSettings.intervalSeconds * 1000, maxMissedChecks: HEALTH_MAX_MISSED_CHECKS }
+    });
+    log.info(`📊 Dashboard: http://localhost:${server.port} (health: /healthz, metrics: /metrics)`);
+    if (!process.env.DASHBOARD_TOKEN && !['127.0.0.1', 'localhost', '::1'].includes(server.hostname)) {
+      log.warn('   ⚠️  DASHBOARD_TOKEN is not set: the status page is refused on public addresses (health and metrics still answer)');
+    }
+    log.info(`🎛️  Control API: ${routes.length > 0 ? 'enabled' : 'off (set CONTROL_TOKEN)'}`);
+  }
+  log.info('');
+
+  status.setScreenings(previousState, loadAutoPurchaseConfig());
+  status.setPurchases(loadLedger().purchases);
+
+  // Where the last state came from ('api' or 'dom'); older state files are from the page
+  let scheduleSource = Object.keys(previousState).length === 0 ? null
+    : Object.values(previousState).some(screening => screening.source === 'api') ? 'api' : 'dom';
+  // Set when the site answers 429 (see the response listener below)
+  let rateLimit = null;
+
+  // The current browser context and page, replaced whenever the supervisor relaunches them
+  let context = null;
+  let page = null;
+  // The JSON the schedule page fetches, read in place of its markup when recognised
+  let capture = null;
+  // Film pages are read in their own tab, so the schedule tab stays ready for checkouts
+  let detailPage = null;
+
+  const supervisor = createBrowserSupervisor({
+    // Cookies saved since start-up (session-state.json) beat the original export
+    storageState: () => loadSession()?.state || storageState,
+    setup: async (session) => {
+      ({ context, page } = session);
+      detailPage = null;
+      capture = createScheduleCapture(page);
+
+      // Rate limiting shows up as 429s from the site's pages and API calls
+      context.on('response', (response) => {
+        if (response.status() !== 429 || !response.url().startsWith(SUNDANCE_BASE_URL)) return;
+        const retryAfter = parseInt(response.headers()['retry-after'], 10);
+        rateLimit = { retryAfterSeconds: Number.isFinite(retryAfter) ? retryAfter : null };
+      });
 
+      // Navigate to the main page first to establish the session
+      log.info('🔐 Establishing session...');
+      await establishSession(page).catch(error => log.warn(`⚠️  Could not load the home page: ${error.message}`));
+    },
+    onRestart: (restart) => {
+      status.update({ browser: supervisor.restarts() });
+      metrics.recordBrowserRestart(restart.ok);
+    }
+  });
+  // Without a browser there is nothing to monitor; exit so the host restarts us
   try {
-    await resend.emails.send({
-      from: RESEND_FROM_EMAIL,
-      to: RESEND_TO_EMAIL,
-      subject,
-      html
-    });
-    console.log('   ✓ Email notification sent');
+    await supervisor.start();
   } catch (error) {
-    console.error('   ❌ Failed to send email:', error.message);
+    log.error(`❌ Could not start the browser: ${error.message}`);
+    await supervisor.close();
+    process.exit(1);
   }
-}
+  status.update({ browser: supervisor.restarts() });
+
+  // Compare screenings with the last known state, then notify and buy as configured.
+  // Returns every change found and how many were notified.
+  const handleScreenings = async (currentState, { reportRemovals, reportAdditions = true, reloadSchedule = false }) => {
+    const autoPurchaseConfig = loadAutoPurchaseConfig();
+    const rules = getTransitionRules(autoPurchaseConfig?.settings);
+
+    const allChanges = detectChanges(previousState, currentState, { reportRemovals })
+      .filter(change => reportAdditions || change.type !== 'ADDED');
+    const changes = allChanges.filter(change => matchesTransition(change, rules.notify));
+    recordChangeTimes(previousState, currentState, allChanges);
+    metrics.recordChanges(allChanges);
+    if (Object.keys(currentState).length > 0) {
+      status.setScreenings(currentState, autoPurchaseConfig);
+      metrics.recordScreenings(currentState);
+    }
 
-// Display notifications for changes
-async function notifyChanges(changes) {
-  if (changes.length === 0) return;
+    if (allChanges.length > changes.length) {
+      log.info(`   ${allChanges.length - changes.length} status change(s) not configured to notify`);
+    }
+
+    if (changes.length > 0) {
+      await notifyChanges(changes);
+    }
 
-  console.log('\n🎬 ═══════════════════════════════════════════════════════');
-  console.log('🚨 TICKET AVAILABILITY ALERT! 🚨');
-  console.log('═══════════════════════════════════════════════════════\n');
+    // Check for auto-purchase opportunities, highest priority first
+    if (autoPurchaseConfig) {
+      const { queue, skipped } = planPurchases(allChanges.filter(c => isPurchasable(c, rules)), autoPurchaseConfig);
 
-  changes.forEach((change) => {
-    if (change.type === 'NOW_AVAILABLE') {
-      console.log('🎟️  NOW AVAILABLE (was sold out):');
-    } else if (change.type === 'NEW_AVAILABLE') {
-      console.log('✨ NEW TICKETS FOUND:');
+      // Only mention skips for screenings that are meant to be bought
+      for (const { change, reason, configured } of skipped) {
+        if (configured) {
+          log.info(`   ⏭️  Skipping auto-purchase for ${change.title}: ${reason}`, { key: change.key });
+        }
+      }
+
+      if (queue.length > 0) {
+        // Checkout starts from the schedule's order button
+        if (reloadSchedule) {
+          await loadSchedule(page);
+        }
+        const results = await runPurchaseQueue(page, queue, autoPurchaseConfig, sendNotification);
+        for (const { change, result } of results) {
+          status.recordPurchase(change, result);
+          metrics.recordPurchase(result);
+        }
+      }
     }
 
-    console.log(`   📽️  ${change.title}`);
-    if (change.screeningTime) {
-      console.log(`   ⏰ ${change.screeningTime}`);
+    return { allChanges, notified: changes.length };
+  };
+
+  // Read the film pages of screenings starting soon and act on anything that changed
+  const checkDetails = async (targets) => {
+    try {
+      detailPage ??= await context.newPage();
+      const found = await checkDetailPages(detailPage, targets);
+      const currentState = applyDetailStatuses(previousState, found);
+      const { allChanges } = await handleScreenings(currentState, { reportRemovals: false, reloadSchedule: true });
+      if (allChanges.length > 0) {
+        log.info(`   👀 ${allChanges.length} change(s) seen on film pages\n`);
+        saveState(currentState);
+        previousState = currentState;
+      }
+    } catch (error) {
+      log.error(`❌ Error checking film pages: ${error.message}`);
     }
-    console.log(`   🔘 ${change.buttonText}`);
-    console.log(`   🔗 ${change.url}`);
-    console.log('');
-  });
+  };
 
-  console.log('═══════════════════════════════════════════════════════\n');
+  // Wait for the next schedule check, meanwhile watching the film pages of screenings
+  // starting soon (see detail-watcher.js). Stops early on a check request or resume.
+  const waitWatchingDetails = async (delayMs, settings) => {
+    const until = Date.now() + delayMs;
+    const watch = getDetailWatchSettings(settings);
+    let announced = false;
+
+    while (true) {
+      const remainingMs = until - Date.now();
+      const targets = control.paused || rateLimit || supervisor.checkUsable() ? [] : selectDetailTargets(previousState, watch);
+      if (targets.length === 0 || remainingMs <= watch.intervalSeconds * 1000) {
+        if (remainingMs > 0) await control.sleep(remainingMs);
+        return;
+      }
+      if (!announced) {
+        log.info(`   👀 Watching ${targets.length} film page(s) every ${watch.intervalSeconds}s until the next check`);
+        announced = true;
+      }
+      if (await control.sleep(watch.intervalSeconds * 1000)) return;
+      await checkDetails(targets);
+    }
+  };
 
-  // System notification (macOS)
-  const titlesList = changes.map(c => c.title).join(', ');
-  const message = `${changes.length} ticket(s) available: ${titlesList}`;
+  // Record how a check went, then wait for the next one (cut short by a check request or resume)
+  const waitForNextCheck = async ({ result, startedAt, changeCount = 0 }) => {
+    const configSettings = readAutoPurchaseConfig()?.config?.settings;
+    const settings = getPollingSettings(configSettings);
+    metrics.recordCheck(result, Date.now() - startedAt);
+    polling.recordCheck({ result, changeCount, rateLimited: !!rateLimit, retryAfterSeconds: rateLimit?.retryAfterSeconds }, settings);
+    if (rateLimit) {
+      log.info(`   🐢 Rate limited by the site${rateLimit.retryAfterSeconds ? ` (Retry-After ${rateLimit.retryAfterSeconds}s)` : ''}`);
+    }
 
-  try {
-    // Use osascript for macOS notifications (only works on macOS)
-    Bun.spawn(['osascript', '-e', `display notification "${message.replace(/"/g, '\\"')}" with title "Sundance Tickets Available!"`]);
-  } catch (error) {
-    // Silently fail if osascript is not available (e.g., on Linux/Docker)
-  }
+    const { delayMs, reason } = polling.nextDelay(settings, Object.values(previousState));
+    if (reason !== 'base interval') {
+      log.info(`   ⏱️  Next check in ${Math.round(delayMs / 1000)}s (${reason})`);
+    }
+    status.finishCheck({ nextCheckAt: control.paused ? null : Date.now() + delayMs, succeeded: result === 'ok' });
+    // Film pages are no use without a working session
+    if (result === 'session_degraded') {
+      await control.sleep(delayMs);
+    } else {
+      await waitWatchingDetails(delayMs, configSettings);
+    }
+  };
 
-  // Send email notification
-  await sendEmailNotification(changes);
-}
+  // One schedule check: load, read, compare, notify and buy. Returns { result, changeCount }.
+  // signal is aborted when the check is taking too long (see supervisor.run); it stops
+  // before saving the session, acting on changes or saving state.
+  const runCheck = async (checkCount, signal) => {
+    log.info(`[${new Date().toLocaleString()}] Check #${checkCount} - Loading schedule...`, { step: 'load-schedule' });
+
+    // Navigate to schedule page and wait for rows to render
+    let scheduleLoaded = await loadSchedule(page);
+
+    // A logged-out page has no screenings; don't mistake that for an empty schedule
+    const health = await sessionHealth.check(page, scheduleLoaded, {
+      recover: autoLogin.enabled ? async () => {
+        const result = await autoLogin.attempt(context);
+        if (!result?.success) return result;
+        scheduleLoaded = await loadSchedule(page);
+        return { ...result, scheduleLoaded };
+      } : null
+    });
+    status.update({ session: { ...health } });
+    metrics.recordSession(health.status);
+    if (health.status === 'DEGRADED') {
+      log.info(`   🚨 Session degraded since ${new Date(health.since).toLocaleString()} - ${autoLogin.enabled ? 'will retry signing in' : 'refresh cookies.json / COOKIES_JSON'}`);
+      log.info('   Skipping this check\n');
+      return { result: 'session_degraded', changeCount: 0 };
+    }
+    if (!scheduleLoaded) {
+      log.info('   ⚠️  Timeout waiting for schedule content');
+    }
 
-// Main monitoring function
-async function monitorSchedule() {
-  const cookies = loadCookies();
-  let previousState = loadPreviousState();
+    // Keep cookies the site refreshed, so a restart doesn't fall back to the original export
+    signal.throwIfAborted();
+    await saveSessionIfChanged(context);
 
-  console.log('🎬 Sundance Ticket Monitor Starting...');
-  console.log(`📍 Monitoring: ${SCHEDULE_URL}`);
-  console.log(`⏱️  Check interval: ${CHECK_INTERVAL / 1000} seconds\n`);
+    // Extract current ticket information, from the API responses or the page
+    const { screenings, source } = await readSchedule(page, capture);
+    const currentState = indexScreenings(screenings);
 
-  const browser = await chromium.launch({
-    headless: true
-  });
+    const ticketCount = Object.keys(currentState).length;
+    log.info(`   Found ${ticketCount} screening(s) on schedule${source === 'api' ? ' (from the API)' : ''}`, { step: 'read-schedule', screenings: ticketCount, source });
 
-  const context = await browser.newContext();
+    // The API and the page can word screenings differently, so when the source switches
+    // this check becomes the new baseline for screenings added and removed
+    const switched = scheduleSource !== null && source !== scheduleSource && ticketCount > 0;
+    if (switched) {
+      log.info(`   🔀 Reading the schedule from the ${source === 'api' ? 'API' : 'page'} now; additions and removals not reported this check`);
+    }
+    if (ticketCount > 0) {
+      scheduleSource = source;
+    }
 
-  // Add cookies to context
-  await context.addCookies(cookies);
+    // Detect changes. An empty scrape is more likely a failed load than an emptied
+    // schedule, so it doesn't count as every screening being removed.
+    signal.throwIfAborted();
+    const { allChanges, notified } = await handleScreenings(currentState, {
+      reportRemovals: ticketCount > 0 && !switched,
+      reportAdditions: !switched
+    });
+    // The first check finds every screening "added"; that isn't a release worth a burst
+    const changeCount = Object.keys(previousState).length > 0 ? allChanges.length : 0;
+    if (notified === 0) {
+      log.info('   ✓ No new tickets available\n');
+    }
 
-  const page = await context.newPage();
+    // Save current state (keeping the last good one if this scrape came back empty)
+    signal.throwIfAborted();
+    if (ticketCount > 0 || Object.keys(previousState).length === 0) {
+      saveState(currentState);
+      previousState = currentState;
+    }
 
-  // First load: navigate to main page then schedule to establish session
-  console.log('🔐 Establishing session...');
-  await page.goto('https://festival.sundance.org/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-  await page.waitForTimeout(3000);
+    // A schedule that never rendered doesn't count as a successful check
+    return { result: scheduleLoaded || ticketCount > 0 ? 'ok' : 'empty', changeCount };
+  };
 
   let checkCount = 0;
 
   while (true) {
-    checkCount++;
-    const timestamp = new Date().toLocaleString();
-
-    try {
-      console.log(`[${timestamp}] Check #${checkCount} - Loading schedule...`);
+    if (control.paused) {
+      log.info('⏸️  Paused - waiting for resume or a check request');
+    }
+    await control.waitWhilePaused();
 
-      // Navigate to schedule page
-      await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    checkCount++;
+    // Everything logged during this check and the wait after it carries its number
+    await withLogContext({ check: checkCount }, async () => {
+      const checkStartedAt = Date.now();
+      let checkResult = 'error';
+      let changeCount = 0;
+      rateLimit = null;
+      status.startCheck(checkCount);
 
-      // Wait for schedule content to load (it's rendered by JavaScript)
       try {
-        await page.waitForSelector('.sd_schedule_film_desc', { timeout: 30000 });
-      } catch (e) {
-        console.log('   ⚠️  Timeout waiting for schedule content');
-      }
-
-      // Give dynamic content a bit more time to settle
-      await page.waitForTimeout(3000);
-
-      // Extract current ticket information
-      const currentState = await extractTicketInfo(page);
-
-      const ticketCount = Object.keys(currentState).length;
-      console.log(`   Found ${ticketCount} screening(s) on schedule`);
-
-      // Detect changes
-      const changes = detectChanges(previousState, currentState);
-
-      if (changes.length > 0) {
-        await notifyChanges(changes);
-
-        // Check for auto-purchase opportunities
-        const autoPurchaseConfig = loadAutoPurchaseConfig();
-        if (autoPurchaseConfig) {
-          for (const change of changes) {
-            if ((change.type === 'NOW_AVAILABLE' || change.type === 'NEW_AVAILABLE') &&
-                shouldAutoPurchase(change.title, change.screeningTime, autoPurchaseConfig)) {
-              console.log(`\n🤖 Auto-purchase triggered for: ${change.title}`);
-              if (change.screeningTime) {
-                console.log(`   Screening: ${change.screeningTime}`);
-              }
-
-              const result = await attemptPurchase(
-                page,
-                change.title,
-                change.screeningTime,
-                autoPurchaseConfig,
-                sendEmailNotification
-              );
-
-              if (result.success) {
-                console.log(`   ✓ Auto-purchase ${result.reason}`);
-                if (result.url) {
-                  console.log(`   🔗 ${result.url}`);
-                }
-              } else {
-                console.log(`   ❌ Auto-purchase failed: ${result.reason}`);
-              }
-
-              // Navigate back to schedule for next check
-              await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
-              await page.waitForTimeout(3000);
-            }
-          }
+        // A crashed browser or closed page is replaced before checking, rather than failing
+        const unusable = supervisor.checkUsable();
+        if (unusable) {
+          await supervisor.restart(unusable);
+        }
+        capture.reset();
+        ({ result: checkResult, changeCount } = await supervisor.run(signal => runCheck(checkCount, signal), CHECK_TIMEOUT_MS));
+        supervisor.recordSuccess();
+      } catch (error) {
+        log.error(`❌ Error during check #${checkCount}: ${error.message}`);
+        status.recordError(error);
+        const restartReason = supervisor.recordFailure(error);
+        if (restartReason && supervisor.browser) {
+          // A failed relaunch is logged and retried before the next check
+          await supervisor.restart(restartReason).catch(() => {});
+        } else {
+          log.info('   Retrying on next check...\n');
         }
-      } else {
-        console.log('   ✓ No new tickets available\n');
       }
 
-      // Save current state
-      saveState(currentState);
-      previousState = currentState;
-
-    } catch (error) {
-      console.error(`❌ Error during check #${checkCount}:`, error.message);
-      console.log('   Retrying on next check...\n');
-    }
-
-    // Wait before next check
-    await Bun.sleep(CHECK_INTERVAL);
+      log.summary(`Check #${checkCount} finished: ${checkResult}`, { result: checkResult, changes: changeCount, durationMs: Date.now() - checkStartedAt });
+      await waitForNextCheck({ result: checkResult, startedAt: checkStartedAt, changeCount });
+    });
   }
 
   // Cleanup (won't be reached in normal operation)
-  await browser.close();
+  await supervisor.close();
 }
 
-// Run the monitor
-monitorSchedule().catch(console.error);
+// Run the monitor. It only returns by failing; the dashboard server would keep a failed
+// monitor's process alive, so exit.
+monitorSchedule().catch((error) => {
+  log.error(`❌ Monitor stopped: ${error.stack || error.message}`);
+  process.exit(1);
+});
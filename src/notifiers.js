@@ -0,0 +1,242 @@
+import { Resend } from 'resend';
+import { changeLabel } from './change-detector.js';
+import { formatConfirmation } from './order-confirmation.js';
+import { createLogger } from './logger.js';
+
+// Notification channels. Each one is enabled by setting its env vars and can be
+// switched off with <CHANNEL>_ENABLED=false; all enabled channels are sent in parallel.
+//
+//   email     RESEND_API_KEY, RESEND_FROM_EMAIL, RESEND_TO_EMAIL
+//   webhook   WEBHOOK_URL (JSON POST of the raw changes)
+//   ntfy      NTFY_TOPIC, optional NTFY_SERVER (default https://ntfy.sh), NTFY_TOKEN
+//   pushover  PUSHOVER_TOKEN, PUSHOVER_USER, optional PUSHOVER_API_URL
+//   slack     SLACK_WEBHOOK_URL
+//   discord   DISCORD_WEBHOOK_URL
+//   telegram  TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID, optional TELEGRAM_API_URL
+//   desktop   macOS notification center (only on darwin)
+
+const NOTIFY_TIMEOUT_MS = 10000;
+
+const log = createLogger();
+
+const TYPE_LABELS = {
+  PURCHASE_SUCCESS: '✅ PURCHASE COMPLETED',
+  PURCHASE_FAILED: '❌ PURCHASE FAILED',
+  PURCHASE_ATTEMPT: '🤖 AUTO-PURCHASE ATTEMPT',
+  PURCHASE_DRY_RUN: '🧪 DRY RUN REACHED FINAL STEP',
+  PURCHASE_READY: '🛒 PURCHASE READY',
+  SESSION_EXPIRED: '🚨 SESSION EXPIRED',
+  SESSION_EXPIRING: '⏳ SESSION EXPIRING SOON',
+  SESSION_RESTORED: '✅ SESSION RESTORED'
+};
+
+export function labelFor(change) {
+  return TYPE_LABELS[change.type] || (change.transition ? changeLabel(change) : '🎬 UPDATE');
+}
+
+// Subject line and plain-text body shared by every channel
+export function formatMessage(changes) {
+  // Status changes other than "now available" (sold out again, removed...) get a neutral subject
+  const onlyAvailability = changes.every(c => !c.transition || c.to === 'AVAILABLE');
+
+  // Session alerts aren't about a film; their title is the subject
+  const sessionOnly = changes.every(c => c.type?.startsWith('SESSION_'));
+
+  const filmNames = changes.map(c => c.title).join(', ');
+  let title;
+  if (sessionOnly) {
+    title = `⚠️ ${filmNames}`;
+  } else if (!onlyAvailability) {
+    title = `🎬 Sundance: ${changes.length} schedule update${changes.length > 1 ? 's' : ''} (${filmNames})`;
+  } else if (changes.length === 1) {
+    title = `🎬 Sundance: ${filmNames} - Tickets Available!`;
+  } else {
+    title = `🎬 Sundance: ${changes.length} Films Available (${filmNames})`;
+  }
+
+  const text = changes.map(c => {
+    const lines = [labelFor(c), c.type?.startsWith('SESSION_') ? c.title : `📽️  ${c.title}`];
+    if (c.screeningTime) lines.push(`⏰ ${c.screeningTime}`);
+    if (c.buttonText) lines.push(`🔘 ${c.buttonText}`);
+    if (c.confirmation) lines.push(`🎟️  ${formatConfirmation(c.confirmation)}`);
+    if (c.url) lines.push(`🔗 ${c.url}`);
+    if (c.recording) lines.push(`🧾 Checkout recording: ${c.recording}`);
+    return lines.join('\n');
+  }).join('\n\n');
+
+  return { title, text, onlyAvailability: onlyAvailability && !sessionOnly, url: changes.find(c => c.url)?.url || null };
+}
+
+function renderEmailHtml(changes, message) {
+  return `
+    <h2>🎬 Sundance Ticket Alert!</h2>
+    <p><strong>${message.onlyAvailability
+      ? `${changes.length} film${changes.length > 1 ? 's have' : ' has'} tickets available:`
+      : `${changes.length} schedule update${changes.length > 1 ? 's' : ''}:`}</strong></p>
+    ${changes.map(c => `
+      <div style="margin: 20px 0; padding: 15px; border-left: 4px solid #ff6b35; background: #f9f9f9;">
+        <div style="font-weight: 600; margin-bottom: 6px;">${labelFor(c)}</div>
+        <h3 style="margin: 0 0 10px 0;">${c.title}</h3>
+        <p style="margin: 5px 0;"><strong>Time:</strong> ${c.screeningTime}</p>
+        <p style="margin: 5px 0;"><strong>Details:</strong> ${c.buttonText}</p>
+        ${c.confirmation ? `<p style="margin: 5px 0;"><strong>Confirmation:</strong> ${formatConfirmation(c.confirmation)}</p>` : ''}
+        <p style="margin: 5px 0;"><a href="${c.url}" style="color: #ff6b35; text-decoration: none;">→ Go to Schedule</a></p>
+        ${c.recording ? `<p style="margin: 5px 0;"><strong>Checkout recording:</strong> ${c.recording}</p>` : ''}
+      </div>
+    `).join('')}
+    <p style="margin-top: 20px; color: #666; font-size: 12px;">
+      Generated by Sundance Ticket Monitor
+    </p>
+  `;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return response;
+}
+
+function isEnabled(env, name) {
+  return env[`${name.toUpperCase()}_ENABLED`] !== 'false';
+}
+
+// Build the list of configured channels from environment variables
+export function createChannels(env = process.env) {
+  const channels = [];
+
+  if (env.RESEND_API_KEY && env.RESEND_FROM_EMAIL && env.RESEND_TO_EMAIL && isEnabled(env, 'email')) {
+    const resend = new Resend(env.RESEND_API_KEY);
+    channels.push({
+      name: 'email',
+      async send(changes, message) {
+        const { error } = await resend.emails.send({
+          from: env.RESEND_FROM_EMAIL,
+          to: env.RESEND_TO_EMAIL,
+          subject: message.urgent ? `🚨 ${message.title}` : message.title,
+          html: renderEmailHtml(changes, message)
+        });
+        if (error) throw new Error(error.message);
+      }
+    });
+  }
+
+  if (env.WEBHOOK_URL && isEnabled(env, 'webhook')) {
+    channels.push({
+      name: 'webhook',
+      send: (changes, message) => postJson(env.WEBHOOK_URL, {
+        event: 'sundance.changes',
+        title: message.title,
+        text: message.text,
+        urgent: message.urgent,
+        sentAt: new Date().toISOString(),
+        changes
+      })
+    });
+  }
+
+  if (env.NTFY_TOPIC && isEnabled(env, 'ntfy')) {
+    const server = (env.NTFY_SERVER || 'https://ntfy.sh').replace(/\/+$/, '');
+    channels.push({
+      name: 'ntfy',
+      send: (changes, message) => postJson(server, {
+        topic: env.NTFY_TOPIC,
+        title: message.title,
+        message: message.text,
+        priority: message.urgent ? 5 : 4,
+        tags: ['ticket'],
+        ...(message.url ? { click: message.url } : {})
+      }, env.NTFY_TOKEN ? { Authorization: `Bearer ${env.NTFY_TOKEN}` } : {})
+    });
+  }
+
+  if (env.PUSHOVER_TOKEN && env.PUSHOVER_USER && isEnabled(env, 'pushover')) {
+    channels.push({
+      name: 'pushover',
+      send: (changes, message) => postJson(env.PUSHOVER_API_URL || 'https://api.pushover.net/1/messages.json', {
+        token: env.PUSHOVER_TOKEN,
+        user: env.PUSHOVER_USER,
+        title: message.title,
+        message: message.text.slice(0, 1024),
+        priority: message.urgent ? 1 : 0,
+        ...(message.url ? { url: message.url } : {})
+      })
+    });
+  }
+
+  if (env.SLACK_WEBHOOK_URL && isEnabled(env, 'slack')) {
+    channels.push({
+      name: 'slack',
+      send: (changes, message) => postJson(env.SLACK_WEBHOOK_URL, {
+        text: `*${message.title}*\n\n${message.text}`
+      })
+    });
+  }
+
+  if (env.DISCORD_WEBHOOK_URL && isEnabled(env, 'discord')) {
+    channels.push({
+      name: 'discord',
+      send: (changes, message) => postJson(env.DISCORD_WEBHOOK_URL, {
+        content: `**${message.title}**\n\n${message.text}`.slice(0, 2000)
+      })
+    });
+  }
+
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID && isEnabled(env, 'telegram')) {
+    const apiUrl = (env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+    channels.push({
+      name: 'telegram',
+      send: (changes, message) => postJson(`${apiUrl}/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+        chat_id: env.TELEGRAM_CHAT_ID,
+        text: `${message.title}\n\n${message.text}`.slice(0, 4096),
+        disable_web_page_preview: true
+      })
+    });
+  }
+
+  if (process.platform === 'darwin' && isEnabled(env, 'desktop')) {
+    channels.push({
+      name: 'desktop',
+      async send(changes, message) {
+        const summary = changes.map(c => c.title).join(', ').replace(/"/g, '\\"');
+        const proc = Bun.spawn(['osascript', '-e', `display notification "${summary}" with title "${message.title.replace(/"/g, '\\"')}"`]);
+        await proc.exited;
+      }
+    });
+  }
+
+  return channels;
+}
+
+// Fan a list of changes out to every channel in parallel.
+// Returns one { channel, ok, error } per channel; a failing channel never blocks the others.
+export function createNotifier(env = process.env) {
+  const channels = createChannels(env);
+
+  async function notify(changes, options = {}) {
+    if (changes.length === 0 || channels.length === 0) return [];
+
+    const message = { ...formatMessage(changes), urgent: options.urgent === true };
+    const settled = await Promise.allSettled(channels.map(channel => channel.send(changes, message)));
+
+    return settled.map((outcome, i) => {
+      const channel = channels[i].name;
+      if (outcome.status === 'fulfilled') {
+        log.info(`   ✓ Notification sent via ${channel}`, { channel });
+        return { channel, ok: true };
+      }
+      const error = outcome.reason?.message || String(outcome.reason);
+      log.error(`   ❌ Failed to send via ${channel}: ${error}`, { channel, error });
+      return { channel, ok: false, error };
+    });
+  }
+
+  return { channels: channels.map(c => c.name), notify };
+}
@@ -0,0 +1,69 @@
+// Reads what was bought off the order confirmation page: the order number, how many
+// tickets, what was charged, and the seats and venue. The page isn't under our control,
+// so every field is optional and null when it can't be found.
+
+// "Order number: 100001", "Confirmation #A1B2-C3", "Order ID 5521"
+const ORDER_NUMBER = /\b(?:order|confirmation|reference|booking)\s*(?:number|no\.?|#|id)\s*[:#]?\s*#?\s*([A-Z0-9][A-Z0-9-]{3,})/gi;
+const ORDER_URL = /\/(?:order-confirmation|confirmation|orders?|receipt)\/([A-Z0-9-]{4,})(?:[/?#]|$)/i;
+const QUANTITY = [/\b(?:quantity|qty|tickets)\s*:?\s*(\d{1,2})\b/i, /\b(\d{1,2})\s*(?:x\s*)?(?:tickets?|admissions?)\b/i];
+const TOTAL = /\b(?:total(?:\s+charged|\s+paid)?|order\s+total|amount\s+(?:charged|paid)|charged|paid)\s*:?\s*\$\s*([\d,]+(?:\.\d{1,2})?)/i;
+const SEATS = [/\bseats?\s*:\s*([^\n]+)/i, /\b(row\s+\w+\s*,?\s*seats?\s+[\w ,&-]+)/i];
+const VENUE_LABEL = /\b(?:venue|location)\s*:\s*([^\n]+)/i;
+const VENUE_WORDS = /\b(?:theatre|theater|cinema|center|centre|hall|auditorium|library|screening room)\b/i;
+
+function clean(value) {
+  return value ? value.replace(/\s+/g, ' ').trim() : null;
+}
+
+function findOrderNumber(text, url) {
+  for (const match of text.matchAll(ORDER_NUMBER)) {
+    // Skips words that follow the label ("Order ID pending")
+    if (/\d/.test(match[1])) return match[1];
+  }
+  return url?.match(ORDER_URL)?.[1] || null;
+}
+
+function findVenue(text, knownVenue) {
+  if (knownVenue && text.toLowerCase().includes(knownVenue.toLowerCase())) return knownVenue;
+  const labelled = text.match(VENUE_LABEL)?.[1];
+  if (labelled) return clean(labelled);
+  // "Friday, January 23 12:30 PM · Eccles Theatre"
+  const line = text.split('\n').find(l => VENUE_WORDS.test(l));
+  if (!line) return null;
+  const part = line.split(/\s+[·|•-]\s+/).find(p => VENUE_WORDS.test(p));
+  return clean(part);
+}
+
+// The confirmation details in the page's text. url is the confirmation page's address
+// (some sites only put the order number there); venue is the one the schedule showed.
+// Returns { orderNumber, quantity, total, seats, venue }.
+export function parseConfirmation(text, { url = null, venue = null } = {}) {
+  const body = text || '';
+  const quantity = QUANTITY.map(pattern => body.match(pattern)?.[1]).find(Boolean);
+  const total = body.match(TOTAL)?.[1];
+  return {
+    orderNumber: findOrderNumber(body, url),
+    quantity: quantity ? parseInt(quantity, 10) : null,
+    total: total ? parseFloat(total.replace(/,/g, '')) : null,
+    seats: clean(SEATS.map(pattern => body.match(pattern)?.[1]).find(Boolean)),
+    venue: findVenue(body, venue)
+  };
+}
+
+// Whether anything at all was read
+export function hasConfirmationDetails(confirmation) {
+  return !!confirmation && Object.values(confirmation).some(value => value !== null);
+}
+
+// One line for logs and notifications: "Order #100001 · 2 tickets · $60.00 · General Admission · Eccles Theatre"
+export function formatConfirmation(confirmation) {
+  if (!hasConfirmationDetails(confirmation)) return '';
+  const { orderNumber, quantity, total, seats, venue } = confirmation;
+  return [
+    orderNumber ? `Order #${orderNumber}` : null,
+    quantity ? `${quantity} ticket${quantity === 1 ? '' : 's'}` : null,
+    total !== null ? `$${total.toFixed(2)}` : null,
+    seats,
+    venue
+  ].filter(Boolean).join(' · ');
+}
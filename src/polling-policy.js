@@ -0,0 +1,163 @@
+import { createLogger } from './logger.js';
+
+// How long to wait between checks. Starts from the base interval (CHECK_INTERVAL), then:
+//
+//   windows         faster polling at set times of day (festival time, America/Denver)
+//   beforeScreening faster polling in the hours before a sold-out screening starts,
+//                   when returned tickets tend to be released
+//   burst           faster polling for a few minutes after any change is seen
+//   backoff         slower polling after consecutive failed checks or rate limiting
+//   jitter          every wait is randomly stretched or shrunk a little
+//
+// Configured in settings.polling of auto-purchase.json:
+//
+//   "polling": {
+//     "windows": [{ "start": "08:00", "end": "10:00", "intervalSeconds": 15 }],
+//     "beforeScreening": { "hours": 3, "intervalSeconds": 30 },
+//     "burst": { "minutes": 5, "intervalSeconds": 10 },
+//     "jitter": 0.2
+//   }
+
+const log = createLogger();
+
+// Never check more often than this, whatever is configured
+const MIN_INTERVAL_SECONDS = 5;
+
+export const DEFAULT_POLLING = {
+  intervalSeconds: 60,
+  timezone: 'America/Denver',
+  windows: [],
+  beforeScreening: null,
+  burst: { minutes: 5, intervalSeconds: 15 },
+  backoff: { factor: 2, maxSeconds: 600, rateLimitSeconds: 300 },
+  jitter: 0.2
+};
+
+// "08:00-10:00=15,17:30-19:00=20" (times, then seconds between checks)
+export function parseWindows(value) {
+  return value.split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+    const match = part.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*=\s*(\d+(?:\.\d+)?)s?$/);
+    if (!match) {
+      throw new Error(`Bad polling window "${part}"; expected HH:MM-HH:MM=SECONDS`);
+    }
+    return { start: match[1], end: match[2], intervalSeconds: parseFloat(match[3]) };
+  });
+}
+
+// Resolve polling settings: POLL_WINDOWS / POLL_JITTER / POLL_TIMEZONE env vars and
+// CHECK_INTERVAL (milliseconds, the base interval), then settings.polling, then the defaults.
+export function getPollingSettings(settings = {}, env = process.env) {
+  const configured = settings.polling || {};
+  const polling = {
+    ...DEFAULT_POLLING,
+    ...configured,
+    burst: configured.burst === null ? null : { ...DEFAULT_POLLING.burst, ...configured.burst },
+    backoff: { ...DEFAULT_POLLING.backoff, ...configured.backoff }
+  };
+
+  if (env.CHECK_INTERVAL) polling.intervalSeconds = parseInt(env.CHECK_INTERVAL, 10) / 1000;
+  if (env.POLL_TIMEZONE) polling.timezone = env.POLL_TIMEZONE;
+  if (env.POLL_JITTER) polling.jitter = parseFloat(env.POLL_JITTER);
+  if (env.POLL_WINDOWS) {
+    try {
+      polling.windows = parseWindows(env.POLL_WINDOWS);
+    } catch (error) {
+      log.warn(`⚠️  ${error.message}; ignoring POLL_WINDOWS`);
+    }
+  }
+  return polling;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes since midnight in the given time zone
+function minutesOfDay(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(now);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// The windows open at `now`; a window whose end is before its start runs past midnight
+export function activeWindows(windows, now, timezone) {
+  const minutes = minutesOfDay(now, timezone);
+  return (windows || []).filter((window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  });
+}
+
+// Sold-out or waitlisted screenings starting within the next `hours`
+export function upcomingScreenings(screenings, hours, now) {
+  const horizon = now.getTime() + hours * 3600000;
+  return (screenings || []).filter((screening) => {
+    if (!screening.startsAt || screening.status === 'AVAILABLE') return false;
+    const startsAt = new Date(screening.startsAt).getTime();
+    return startsAt > now.getTime() && startsAt <= horizon;
+  });
+}
+
+// Tracks recent checks and decides the wait before the next one
+export function createPollingPolicy({ random = Math.random } = {}) {
+  let consecutiveFailures = 0;
+  let burstUntil = 0;
+  let rateLimit = null;
+
+  return {
+    // result is the check's outcome ('ok', 'empty', 'error', 'session_degraded');
+    // changeCount the changes it found; rateLimited whether the site answered 429,
+    // with the Retry-After seconds if it sent one.
+    recordCheck({ result, changeCount = 0, rateLimited = false, retryAfterSeconds = null }, settings, now = new Date()) {
+      consecutiveFailures = result === 'ok' && !rateLimited ? 0 : consecutiveFailures + 1;
+      rateLimit = rateLimited ? { retryAfterSeconds } : null;
+      if (changeCount > 0 && settings.burst) {
+        burstUntil = now.getTime() + settings.burst.minutes * 60000;
+      }
+    },
+
+    // Returns { delayMs, reason }. screenings are the current ones (with startsAt and status).
+    nextDelay(settings, screenings = [], now = new Date()) {
+      let seconds = settings.intervalSeconds;
+      let reason = 'base interval';
+      const faster = (candidate, why) => {
+        if (candidate < seconds) {
+          seconds = candidate;
+          reason = why;
+        }
+      };
+
+      for (const window of activeWindows(settings.windows, now, settings.timezone)) {
+        faster(window.intervalSeconds, `window ${window.start}-${window.end}`);
+      }
+      if (settings.beforeScreening) {
+        const soon = upcomingScreenings(screenings, settings.beforeScreening.hours, now);
+        if (soon.length > 0) {
+          faster(settings.beforeScreening.intervalSeconds, `${soon[0].title} starts within ${settings.beforeScreening.hours}h`);
+        }
+      }
+      if (settings.burst && now.getTime() < burstUntil) {
+        faster(settings.burst.intervalSeconds, 'burst after a change');
+      }
+
+      if (consecutiveFailures > 0) {
+        const { factor, maxSeconds, rateLimitSeconds } = settings.backoff;
+        seconds = Math.min(seconds * factor ** consecutiveFailures, maxSeconds);
+        reason = `backing off after ${consecutiveFailures} failed check(s)`;
+        if (rateLimit) {
+          seconds = Math.max(seconds, rateLimit.retryAfterSeconds ?? rateLimitSeconds);
+          reason = `rate limited${rateLimit.retryAfterSeconds ? ` (Retry-After ${rateLimit.retryAfterSeconds}s)` : ''}`;
+        }
+      }
+
+      // Stretch or shrink by up to ±jitter, but never below the rate-limit wait
+      const jittered = seconds * (1 + (random() * 2 - 1) * (settings.jitter || 0));
+      const rateLimitWait = rateLimit ? rateLimit.retryAfterSeconds ?? settings.backoff.rateLimitSeconds : 0;
+      const floor = Math.max(MIN_INTERVAL_SECONDS, rateLimitWait);
+      return { delayMs: Math.round(Math.max(jittered, floor) * 1000), reason };
+    }
+  };
+}
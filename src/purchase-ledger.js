@@ -0,0 +1,162 @@
+import { readFileSync, existsSync } from 'fs';
+import { dataPath, writeJsonAtomic } from './data-dir.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger();
+
+const LEDGER_PATH = dataPath('purchase-ledger.json');
+
+// Outcomes that mean tickets were (or may have been) bought. PENDING only survives
+// if the process died mid-checkout, so it is treated as bought until someone checks.
+const HELD_OUTCOMES = ['SUCCESS', 'UNCONFIRMED', 'PENDING'];
+
+function normalize(value) {
+  return (value || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// The same film at the same time. The wording of screeningTime depends on whether it came
+// from the page or the API, so the start time decides when both entries have one.
+function sameScreening(entry, title, screeningTime, startsAt = null) {
+  if (normalize(entry.title) !== normalize(title)) return false;
+  if (entry.startsAt && startsAt) {
+    return new Date(entry.startsAt).getTime() === new Date(startsAt).getTime();
+  }
+  return normalize(entry.screeningTime) === normalize(screeningTime);
+}
+
+// Load the purchase ledger, or an empty one if none exists yet
+export function loadLedger() {
+  if (!existsSync(LEDGER_PATH)) {
+    return { purchases: [] };
+  }
+  try {
+    const ledger = JSON.parse(readFileSync(LEDGER_PATH, 'utf-8'));
+    return { purchases: Array.isArray(ledger.purchases) ? ledger.purchases : [] };
+  } catch (error) {
+    log.warn(`⚠️  Error loading purchase-ledger.json: ${error.message}`);
+    return { purchases: [] };
+  }
+}
+
+function saveLedger(ledger) {
+  try {
+    writeJsonAtomic(LEDGER_PATH, ledger);
+  } catch (error) {
+    log.error(`❌ Error saving purchase ledger: ${error.message}`);
+  }
+}
+
+// Add an entry and persist; returns the entry so its outcome can be updated later
+export function recordPurchase(entry) {
+  const ledger = loadLedger();
+  const record = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: new Date().toISOString(),
+    confirmationUrl: null,
+    confirmationNumber: null,
+    ...entry
+  };
+  ledger.purchases.push(record);
+  saveLedger(ledger);
+  return record;
+}
+
+// Update a previously recorded entry (e.g. PENDING -> SUCCESS)
+export function updatePurchase(id, updates) {
+  const ledger = loadLedger();
+  const record = ledger.purchases.find(p => p.id === id);
+  if (!record) return null;
+  Object.assign(record, updates, { updatedAt: new Date().toISOString() });
+  saveLedger(ledger);
+  return record;
+}
+
+// Entries that hold tickets (counted toward limits and duplicate checks)
+export function heldPurchases(ledger) {
+  return ledger.purchases.filter(p => HELD_OUTCOMES.includes(p.outcome));
+}
+
+export function findHeldPurchase(ledger, title, screeningTime, startsAt = null) {
+  return heldPurchases(ledger).find(p => sameScreening(p, title, screeningTime, startsAt)) || null;
+}
+
+// A held purchase from an alternates group ("any one of these screenings")
+export function findHeldGroupPurchase(ledger, group) {
+  if (!group) return null;
+  return heldPurchases(ledger).find(p => normalize(p.group) === normalize(group)) || null;
+}
+
+function totals(entries) {
+  return {
+    tickets: entries.reduce((sum, p) => sum + (p.quantity || 0), 0),
+    purchases: entries.length,
+    spend: entries.reduce((sum, p) => sum + (p.amount || 0), 0)
+  };
+}
+
+// How many tickets a limit block still allows, or a reason it allows none
+function remainingTickets(limits, used, unitPrice, label) {
+  let remaining = Infinity;
+
+  if (limits.maxPurchases !== undefined && used.purchases >= limits.maxPurchases) {
+    return { remaining: 0, reason: `${label} maxPurchases (${limits.maxPurchases}) reached` };
+  }
+  if (limits.maxTickets !== undefined) {
+    remaining = Math.min(remaining, limits.maxTickets - used.tickets);
+    if (remaining <= 0) {
+      return { remaining: 0, reason: `${label} maxTickets (${limits.maxTickets}) reached` };
+    }
+  }
+  if (limits.maxSpend !== undefined) {
+    if (!unitPrice) {
+      return { remaining: 0, reason: `${label} maxSpend is set but no ticketPrice is configured` };
+    }
+    remaining = Math.min(remaining, Math.floor((limits.maxSpend - used.spend) / unitPrice));
+    if (remaining <= 0) {
+      return { remaining: 0, reason: `${label} maxSpend ($${limits.maxSpend}) reached` };
+    }
+  }
+
+  return { remaining };
+}
+
+// Decide whether a screening may be bought given what the ledger already holds.
+// Returns { allowed, reason, quantity } where quantity may be lowered to fit the limits.
+export function checkPurchaseLimits(ledger, { title, screeningTime, startsAt = null, quantity, unitPrice }, film = {}, settings = {}) {
+  const existing = findHeldPurchase(ledger, title, screeningTime, startsAt);
+  if (existing) {
+    return { allowed: false, reason: `Already purchased (${existing.outcome} at ${existing.timestamp})`, quantity: 0 };
+  }
+
+  const alternate = findHeldGroupPurchase(ledger, film.group);
+  if (alternate) {
+    return {
+      allowed: false,
+      reason: `Alternate in group "${film.group}" already purchased: ${alternate.title} (${alternate.screeningTime || 'any time'})`,
+      quantity: 0
+    };
+  }
+
+  const held = heldPurchases(ledger);
+  const globalLimits = settings.limits || {};
+  const filmLimits = { ...(globalLimits.perFilm || {}), ...(film.limits || {}) };
+
+  const checks = [
+    remainingTickets(globalLimits, totals(held), unitPrice, 'Global'),
+    remainingTickets(filmLimits, totals(held.filter(p => normalize(p.title) === normalize(title))), unitPrice, 'Per-film')
+  ];
+
+  let allowedQuantity = quantity;
+  for (const check of checks) {
+    if (check.remaining === 0) {
+      return { allowed: false, reason: check.reason, quantity: 0 };
+    }
+    allowedQuantity = Math.min(allowedQuantity, check.remaining);
+  }
+
+  return {
+    allowed: true,
+    reason: allowedQuantity < quantity ? `Quantity lowered to ${allowedQuantity} to stay within limits` : null,
+    quantity: allowedQuantity
+  };
+}
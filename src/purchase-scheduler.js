@@ -0,0 +1,139 @@
+import { getFilmSettings, getPurchaseDecision, attemptPurchase } from './auto-purchase.js';
+import { loadLedger } from './purchase-ledger.js';
+import { loadSchedule } from './schedule-scraper.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger();
+
+// Films without a priority rank 0; higher numbers are bought first
+export function getPurchasePriority(title, screeningTime, config) {
+  const priority = Number(getFilmSettings(title, screeningTime, config)?.priority);
+  return Number.isFinite(priority) ? priority : 0;
+}
+
+// Build the purchase queue for one check: purchasable changes sorted by priority
+// (ties keep page order), with the ledger limits, schedule conflicts and alternates
+// groups applied in that order so a low-priority screening can't take the budget,
+// the time slot or the group's single ticket from a higher one.
+// Returns { queue: [{ change, decision, priority }], skipped: [{ change, reason, configured }] }.
+export function planPurchases(changes, config, ledger = loadLedger()) {
+  const settings = config.settings || {};
+  const candidates = changes
+    .map((change, index) => ({ change, index, priority: getPurchasePriority(change.title, change.screeningTime, config) }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+  // Planned purchases count against the limits of the ones after them
+  const planned = { purchases: [...ledger.purchases] };
+  const queue = [];
+  const skipped = [];
+
+  for (const { change, priority } of candidates) {
+    const film = getFilmSettings(change.title, change.screeningTime, config);
+    const decision = getPurchaseDecision(change.title, change.screeningTime, config, planned, change);
+    if (!decision.allowed) {
+      skipped.push({ change, reason: decision.reason, configured: film?.autoPurchase === true });
+      continue;
+    }
+
+    queue.push({ change, decision, priority });
+
+    // Dry runs never reach the ledger
+    if ((film.dryRun ?? settings.dryRun) !== true) {
+      const unitPrice = film.ticketPrice ?? settings.ticketPrice ?? null;
+      planned.purchases.push({
+        title: change.title,
+        screeningTime: change.screeningTime || '',
+        venue: change.venue || '',
+        startsAt: change.startsAt || null,
+        endsAt: change.endsAt || null,
+        group: film.group || null,
+        quantity: decision.quantity,
+        amount: unitPrice ? unitPrice * decision.quantity : null,
+        outcome: 'PENDING'
+      });
+    }
+  }
+
+  return { queue, skipped };
+}
+
+function logResult(runLog, title, result) {
+  if (result.dryRun) {
+    runLog.info(`   🧪 ${title}: ${result.reason}`, { outcome: 'dry_run' });
+  } else if (result.success) {
+    runLog.info(`   ✓ Auto-purchase ${result.reason} (${title})`, { outcome: 'success', url: result.url || null });
+    if (result.url) {
+      runLog.info(`   🔗 ${result.url}`);
+    }
+  } else {
+    runLog.warn(`   ❌ Auto-purchase failed for ${title}: ${result.reason}`, { outcome: 'failed', reason: result.reason });
+  }
+}
+
+async function purchaseOne(page, { change, priority }, config, sendNotification) {
+  const runLog = log.child({ key: change.key, title: change.title });
+  runLog.info(`\n🤖 Auto-purchase triggered for: ${change.title}${priority ? ` (priority ${priority})` : ''}`, { priority });
+  if (change.screeningTime) {
+    runLog.info(`   Screening: ${change.screeningTime}`);
+  }
+
+  const result = await attemptPurchase(
+    page,
+    change.title,
+    change.screeningTime,
+    config,
+    sendNotification,
+    { screening: change }
+  );
+  logResult(runLog, change.title, result);
+
+  const group = getFilmSettings(change.title, change.screeningTime, config)?.group;
+  if (group && result.success && !result.dryRun) {
+    runLog.info(`   🔒 Other screenings in group "${group}" won't be bought`, { group });
+  }
+  return { change, result };
+}
+
+// Run the queue. With settings.parallelCheckouts > 1, that many checkouts run at
+// once, each in its own page of the monitor's browser context (sharing its session);
+// otherwise they run one after another on the monitor page.
+// Returns [{ change, result }] in queue order.
+export async function runPurchaseQueue(page, queue, config, sendNotification) {
+  const parallel = Math.max(1, Math.min(parseInt(config.settings?.parallelCheckouts, 10) || 1, queue.length));
+  const results = new Array(queue.length);
+
+  if (parallel === 1) {
+    for (let i = 0; i < queue.length; i++) {
+      results[i] = await purchaseOne(page, queue[i], config, sendNotification);
+      // Navigate back to the schedule for the next purchase or check
+      await loadSchedule(page);
+    }
+    return results;
+  }
+
+  log.info(`\n🛒 Running ${queue.length} checkouts, ${parallel} at a time`, { checkouts: queue.length, parallel });
+
+  let next = 0;
+  const worker = async () => {
+    const workerPage = await page.context().newPage();
+    try {
+      while (next < queue.length) {
+        const i = next++;
+        try {
+          if (!await loadSchedule(workerPage)) {
+            log.warn(`   ⚠️  Timeout waiting for schedule before buying ${queue[i].change.title}`, { key: queue[i].change.key });
+          }
+          results[i] = await purchaseOne(workerPage, queue[i], config, sendNotification);
+        } catch (error) {
+          log.error(`   ❌ Checkout for ${queue[i].change.title} crashed: ${error.message}`, { key: queue[i].change.key });
+          results[i] = { change: queue[i].change, result: { success: false, reason: error.message } };
+        }
+      }
+    } finally {
+      await workerPage.close().catch(() => {});
+    }
+  };
+
+  await Promise.all(Array.from({ length: parallel }, worker));
+  return results;
+}
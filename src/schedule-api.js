@@ -0,0 +1,285 @@
+import { SUNDANCE_BASE_URL, SCHEDULE_URL, screeningKey, extractScreenings } from './schedule-scraper.js';
+import { DEFAULT_UTC_OFFSET, formatScreeningTime } from './screening-time.js';
+import { dataPath, writeJsonAtomic } from './data-dir.js';
+import { createLogger } from './logger.js';
+
+// The schedule page fills itself in from JSON it fetches. Reading availability from that
+// data survives a redesign of the page's markup and button wording; the DOM scrape is the
+// fallback when no response has a shape we recognise.
+//
+// SCHEDULE_SOURCE=auto (default) prefers the API, =dom ignores it, =api never falls back.
+// SCHEDULE_DEBUG=true keeps the last check's schedule payload in
+// DATA_DIR/debug/schedule-responses.json (see scheduleDebugRecord).
+
+const log = createLogger();
+
+const DEBUG_PATH = dataPath('debug', 'schedule-responses.json');
+
+// Responses bigger than this are not the schedule
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+
+// How deep to look for the list of screenings in a response
+const MAX_DEPTH = 6;
+
+export function getScheduleSource(env = process.env) {
+  const source = (env.SCHEDULE_SOURCE || 'auto').toLowerCase();
+  return ['auto', 'api', 'dom'].includes(source) ? source : 'auto';
+}
+
+// Collect the JSON the page fetches. Call reset() before loading the schedule and take()
+// after it has rendered.
+export function createScheduleCapture(page) {
+  let pending = [];
+
+  page.on('response', (response) => {
+    const type = response.request().resourceType();
+    if (type !== 'xhr' && type !== 'fetch') return;
+    const headers = response.headers();
+    if (!(headers['content-type'] || '').includes('json')) return;
+    if (parseInt(headers['content-length'], 10) > MAX_RESPONSE_BYTES) return;
+
+    pending.push(response.json()
+      .then(body => ({ url: response.url(), status: response.status(), body }))
+      .catch(() => null));
+  });
+
+  return {
+    reset() {
+      pending = [];
+    },
+    async take() {
+      const responses = (await Promise.all(pending)).filter(Boolean);
+      pending = [];
+      return responses;
+    }
+  };
+}
+
+function text(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number') return String(value);
+  return '';
+}
+
+function first(item, paths) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((obj, name) => obj?.[name], item);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+// ISO strings, epoch seconds or milliseconds. Times without a zone are festival time.
+function parseTime(value) {
+  if (value === null) return null;
+  let date;
+  if (typeof value === 'number') {
+    date = new Date(value < 1e12 ? value * 1000 : value);
+  } else if (typeof value === 'string') {
+    const local = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value.trim());
+    date = new Date(local ? `${value.trim().replace(' ', 'T')}${DEFAULT_UTC_OFFSET}` : value);
+  } else {
+    return null;
+  }
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const SOLD_OUT_FLAGS = ['soldOut', 'isSoldOut', 'sold_out', 'is_sold_out'];
+const WAITLIST_FLAGS = ['waitlist', 'isWaitlist', 'waitlisted', 'waitlistOnly', 'is_waitlist'];
+const AVAILABLE_FLAGS = ['available', 'isAvailable', 'onSale', 'isOnSale', 'on_sale', 'ticketsAvailable'];
+const STATUS_FIELDS = ['status', 'availability', 'ticketStatus', 'ticket_status', 'saleStatus', 'inventoryStatus', 'tickets.status'];
+const REMAINING_FIELDS = ['remaining', 'ticketsRemaining', 'availableTickets', 'seatsAvailable', 'inventory.available'];
+
+// Map an API status word onto the statuses the button text gives
+function classifyApiStatus(value) {
+  const word = text(value).toUpperCase().replace(/[-_\s]+/g, ' ');
+  if (!word) return null;
+  if (/SOLD ?OUT|UNAVAILABLE|NOT AVAILABLE|NO TICKETS|CLOSED/.test(word)) return 'SOLD_OUT';
+  if (/WAIT ?LIST/.test(word)) return 'WAITLIST';
+  if (/AVAILABLE|ON ?SALE|\bOPEN\b|IN STOCK|\bLOW\b/.test(word)) return 'AVAILABLE';
+  return null;
+}
+
+// A screening's status from its flags, status word or remaining count; null if none of them
+function apiStatus(item) {
+  if (SOLD_OUT_FLAGS.some(flag => item[flag] === true)) return { status: 'SOLD_OUT', detail: 'soldOut' };
+  if (WAITLIST_FLAGS.some(flag => item[flag] === true)) return { status: 'WAITLIST', detail: 'waitlist' };
+
+  const word = first(item, STATUS_FIELDS);
+  const status = classifyApiStatus(word);
+  if (status) return { status, detail: text(word) };
+
+  const flag = AVAILABLE_FLAGS.find(name => typeof item[name] === 'boolean');
+  if (flag) return { status: item[flag] ? 'AVAILABLE' : 'SOLD_OUT', detail: `${flag}: ${item[flag]}` };
+
+  const remaining = first(item, REMAINING_FIELDS);
+  if (typeof remaining === 'number') return { status: remaining > 0 ? 'AVAILABLE' : 'SOLD_OUT', detail: `${remaining} remaining` };
+
+  return null;
+}
+
+function absoluteUrl(value) {
+  const url = text(value);
+  if (!url) return null;
+  try {
+    return new URL(url, `${SUNDANCE_BASE_URL}/`).href;
+  } catch {
+    return null;
+  }
+}
+
+// One API item as a Screening (see schedule-scraper.js), or null if it doesn't look like one
+export function screeningFromApi(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+  const title = text(first(item, ['title', 'filmTitle', 'film.title', 'film.name', 'event.title', 'program.title', 'name']));
+  const startsAt = parseTime(first(item, ['startsAt', 'startTime', 'start_time', 'startDateTime', 'startDate', 'start_date', 'start', 'datetime']));
+  const status = apiStatus(item);
+  if (!title || !startsAt || !status) return null;
+
+  const endsAt = parseTime(first(item, ['endsAt', 'endTime', 'end_time', 'endDateTime', 'endDate', 'end_date', 'end']));
+  const screeningTime = formatScreeningTime(startsAt, endsAt);
+  return {
+    key: screeningKey(title, screeningTime),
+    title,
+    screeningTime,
+    startsAt,
+    endsAt,
+    venue: text(first(item, ['venue.name', 'venueName', 'venue', 'location.name', 'location'])),
+    status: status.status,
+    buttonText: status.detail,
+    rowId: '',
+    url: SCHEDULE_URL,
+    detailUrl: absoluteUrl(first(item, ['detailUrl', 'url', 'film.url', 'filmUrl', 'link']))
+  };
+}
+
+// Every array of objects in a response, with where it was found
+function findArrays(value, path = '$', depth = 0, found = []) {
+  if (depth > MAX_DEPTH || !value || typeof value !== 'object') return found;
+  if (Array.isArray(value)) {
+    if (value.some(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      found.push({ path, items: value });
+    }
+    value.forEach((item, i) => findArrays(item, `${path}[${i}]`, depth + 1, found));
+  } else {
+    for (const [name, child] of Object.entries(value)) {
+      findArrays(child, `${path}.${name}`, depth + 1, found);
+    }
+  }
+  return found;
+}
+
+// The screenings in the captured responses: the list where most items read as screenings.
+// Returns { screenings, url, path } or null when no response has a recognisable list.
+function sameScreening(a, b) {
+  return a.title.trim().toLowerCase() === b.title.trim().toLowerCase() &&
+    !!a.startsAt && new Date(a.startsAt).getTime() === new Date(b.startsAt).getTime();
+}
+
+// The page also fetches other lists of screenings (recommendations, a film's other
+// showings, the whole festival). When the page shows rows with start times, a list has to
+// hold at least half of them to be the schedule, and the one closest to the page wins.
+// Without rows to compare, the longest list wins. Returns { screenings, url, path } or null.
+export function parseScheduleResponses(responses, domScreenings = []) {
+  const rows = domScreenings.filter(row => row.startsAt);
+  let best = null;
+  for (const response of responses) {
+    if (response.status >= 400) continue;
+    for (const { path, items } of findArrays(response.body)) {
+      const screenings = items.map(screeningFromApi).filter(Boolean);
+      // Most of the list has to read as screenings, so a stray list of films doesn't count
+      if (screenings.length === 0 || screenings.length < items.length / 2) continue;
+      const matched = rows.filter(row => screenings.some(screening => sameScreening(row, screening))).length;
+      if (matched < rows.length / 2) continue;
+      const better = !best || (rows.length > 0
+        ? matched > best.matched || (matched === best.matched && screenings.length < best.screenings.length)
+        : screenings.length > best.screenings.length);
+      if (better) {
+        best = { screenings, url: response.url, path, matched };
+      }
+    }
+  }
+  if (!best) return null;
+  const { matched, ...result } = best;
+  return result;
+}
+
+// API screenings, with the key, wording, row and link of the matching schedule row where
+// the page still renders one, so state, config and the ledger keep the same keys and
+// checkout can find the row. Rows the API didn't mention are kept as scraped.
+export function mergeWithDom(apiScreenings, domScreenings) {
+  const unmatched = [...domScreenings];
+  const merged = apiScreenings.map((screening) => {
+    const index = unmatched.findIndex(row => sameScreening(row, screening));
+    if (index === -1) return { ...screening, source: 'api' };
+    const [row] = unmatched.splice(index, 1);
+    return {
+      ...screening,
+      key: row.key,
+      screeningTime: row.screeningTime,
+      venue: screening.venue || row.venue,
+      rowId: row.rowId,
+      detailUrl: screening.detailUrl || row.detailUrl,
+      source: 'api'
+    };
+  });
+  return [...merged, ...unmatched.map(row => ({ ...row, source: 'dom' }))];
+}
+
+// Just the key names of a payload, for spotting a schedule in a new shape
+function shape(value, depth = 0) {
+  if (Array.isArray(value)) return value.length > 0 && depth < MAX_DEPTH ? [shape(value[0], depth + 1)] : [];
+  if (value && typeof value === 'object') {
+    return depth < MAX_DEPTH ? Object.fromEntries(Object.keys(value).map(key => [key, shape(value[key], depth + 1)])) : {};
+  }
+  return typeof value;
+}
+
+// What SCHEDULE_DEBUG keeps of a check's responses. The page also fetches account and
+// session data, so only the recognised schedule payload is kept whole; the rest are
+// listed by URL, and when nothing was recognised, by their key names without values.
+export function scheduleDebugRecord(responses, result) {
+  return {
+    capturedAt: new Date().toISOString(),
+    recognised: result ? { url: result.url, path: result.path, screenings: result.screenings.length } : null,
+    schedule: result ? responses.find(response => response.url === result.url)?.body ?? null : null,
+    responses: responses.map(response => ({
+      url: response.url,
+      status: response.status,
+      ...(result ? {} : { shape: shape(response.body) })
+    }))
+  };
+}
+
+// Keep the last check's schedule payload for debugging a schedule that reads wrong
+function saveResponses(responses, result, env = process.env) {
+  if (env.SCHEDULE_DEBUG !== 'true') return;
+  try {
+    writeJsonAtomic(DEBUG_PATH, scheduleDebugRecord(responses, result));
+  } catch (error) {
+    log.warn(`⚠️  Could not save schedule responses: ${error.message}`);
+  }
+}
+
+// Read the loaded schedule: from the captured API responses when one is recognised,
+// otherwise from the page. Returns { screenings, source: 'api' | 'dom' }.
+export async function readSchedule(page, capture, source = getScheduleSource()) {
+  const domScreenings = await extractScreenings(page);
+  if (source === 'dom') {
+    return { screenings: domScreenings.map(screening => ({ ...screening, source: 'dom' })), source: 'dom' };
+  }
+
+  const responses = await capture.take();
+  const result = parseScheduleResponses(responses, domScreenings);
+  saveResponses(responses, result);
+
+  if (result) {
+    return { screenings: mergeWithDom(result.screenings, domScreenings), source: 'api' };
+  }
+  if (source === 'api') {
+    log.warn(`   ⚠️  No schedule data recognised in ${responses.length} API response(s); set SCHEDULE_DEBUG=true to save them to ${DEBUG_PATH}`);
+    return { screenings: [], source: 'api' };
+  }
+  return { screenings: domScreenings.map(screening => ({ ...screening, source: 'dom' })), source: 'dom' };
+}
@@ -0,0 +1,301 @@
+import { parseScreeningTime } from './screening-time.js';
+
+// Point SUNDANCE_BASE_URL at the mock server (src/mock-server.js) to rehearse without the real site
+export const SUNDANCE_BASE_URL = (process.env.SUNDANCE_BASE_URL || 'https://festival.sundance.org').replace(/\/+$/, '');
+export const HOME_URL = `${SUNDANCE_BASE_URL}/`;
+export const SCHEDULE_URL = `${SUNDANCE_BASE_URL}/my-festival/my-schedule`;
+
+const FILM_DESC_SELECTOR = '.sd_schedule_film_desc';
+const SCREENING_TIME_SELECTOR = '.sd_start_end_date';
+
+/**
+ * A single screening row scraped from the my-schedule page.
+ *
+ * @typedef {Object} Screening
+ * @property {string} key - Stable state key (`title_screeningTime`, or `title_index` when no time)
+ * @property {string} title
+ * @property {string} screeningTime - Raw text of `.sd_start_end_date`, whitespace-collapsed
+ * @property {string|null} startsAt - ISO start time parsed from screeningTime, if it could be read
+ * @property {string|null} endsAt - ISO end time (start + default runtime when the page shows none)
+ * @property {string} venue
+ * @property {'AVAILABLE' | 'SOLD_OUT' | 'WAITLIST' | 'UNKNOWN'} status
+ * @property {string} buttonText - Text of the button that decided the status
+ * @property {string} rowId - `id` of the react-data-table row, if any
+ * @property {string} url
+ * @property {string|null} detailUrl - The film's own page (linked from the row), if any
+ */
+
+// Build the state key used to identify a screening across checks
+export function screeningKey(title, screeningTime, index) {
+  return `${title}_${screeningTime || index}`;
+}
+
+// Classify a row's action button texts into a ticket status.
+// Later buttons win, matching the order they appear in the row.
+export function classifyStatus(buttonTexts) {
+  let status = 'UNKNOWN';
+  let buttonText = '';
+
+  for (const text of buttonTexts) {
+    // Only process if it looks like an action button (has actual text, not just icons)
+    if (!text || /^[^a-zA-Z]*$/.test(text)) continue;
+
+    const upperText = text.toUpperCase();
+    if (upperText.includes('SOLD OUT')) {
+      status = 'SOLD_OUT';
+      buttonText = text;
+    } else if (upperText.includes('WAITLIST') || upperText.includes('WAIT LIST')) {
+      status = 'WAITLIST';
+      buttonText = text;
+    } else if (
+      upperText.includes('ORDER') ||
+      upperText.includes('BUY') ||
+      upperText.includes('GET') ||
+      upperText.includes('TICKET') ||
+      upperText.includes('PURCHASE') ||
+      upperText.includes('AVAILABLE')
+    ) {
+      status = 'AVAILABLE';
+      buttonText = text;
+    }
+  }
+
+  return { status, buttonText };
+}
+
+// Read the raw row data from the page; classification happens in classifyStatus
+async function readScheduleRows(page) {
+  return await page.evaluate((filmDescSelector) => {
+    // Sundance uses react-data-table with rdt_TableRow
+    // Each film description is in one cell, action buttons in sibling cells
+    const filmDescs = Array.from(document.querySelectorAll(filmDescSelector));
+
+    return filmDescs.map((filmDesc, index) => {
+      const titleElement = filmDesc.querySelector('h3');
+      const title = titleElement ? titleElement.textContent.trim() : '';
+
+      const dateElement = filmDesc.querySelector('.sd_start_end_date');
+      const screeningTime = dateElement ? dateElement.textContent.trim().replace(/\s+/g, ' ') : '';
+
+      // The title (or another link in the description) goes to the film's page
+      const link = filmDesc.querySelector('h3 a[href], a[href]');
+      const detailUrl = link && /^https?:/.test(link.href) ? link.href : null;
+
+      const tableRow = filmDesc.closest('.rdt_TableRow, [class*="TableRow"]');
+      const scope = tableRow || filmDesc;
+      const venueElement = scope.querySelector('[class*="venue"], [class*="Venue"], [class*="location"], [class*="Location"]');
+      const venue = venueElement ? venueElement.textContent.trim().replace(/\s+/g, ' ') : '';
+
+      if (!tableRow) {
+        return { index, title, screeningTime, venue, detailUrl, hasRow: false, rowId: '', buttonTexts: [] };
+      }
+
+      // Buttons live in sibling cells, not the film desc cell; skip favorite buttons
+      const tableCells = Array.from(tableRow.querySelectorAll('.rdt_TableCell, [class*="TableCell"]'));
+      const buttonTexts = [];
+      tableCells.forEach(cell => {
+        Array.from(cell.querySelectorAll('button, a.button, .btn'))
+          .filter(btn => !btn.className.includes('fav'))
+          .forEach(btn => buttonTexts.push(btn.textContent.trim()));
+      });
+
+      return { index, title, screeningTime, venue, detailUrl, hasRow: true, rowId: tableRow.id || '', buttonTexts };
+    });
+  }, FILM_DESC_SELECTOR);
+}
+
+// Extract every screening on the schedule page as Screening records
+export async function extractScreenings(page) {
+  const rows = await readScheduleRows(page);
+  const url = page.url();
+  const screenings = [];
+
+  for (const row of rows) {
+    if (!row.title || row.title.length < 2) continue;
+
+    const times = parseScreeningTime(row.screeningTime);
+    const startsAt = times?.startsAt || null;
+    const endsAt = times?.endsAt || null;
+
+    if (!row.hasRow) {
+      // Fallback if structure changes
+      screenings.push({
+        key: screeningKey(row.title, '', row.index),
+        title: row.title,
+        screeningTime: row.screeningTime,
+        startsAt,
+        endsAt,
+        venue: row.venue,
+        status: 'UNKNOWN',
+        buttonText: 'No row container found',
+        rowId: '',
+        url,
+        detailUrl: row.detailUrl
+      });
+      continue;
+    }
+
+    const { status, buttonText } = classifyStatus(row.buttonTexts);
+    screenings.push({
+      key: screeningKey(row.title, row.screeningTime, row.index),
+      title: row.title,
+      screeningTime: row.screeningTime,
+      startsAt,
+      endsAt,
+      venue: row.venue,
+      status,
+      buttonText,
+      rowId: row.rowId,
+      url,
+      detailUrl: row.detailUrl
+    });
+  }
+
+  return screenings;
+}
+
+// Index screenings by key (the shape stored in ticket-state.json)
+export function indexScreenings(screenings) {
+  const byKey = {};
+  for (const screening of screenings) {
+    byKey[screening.key] = screening;
+  }
+  return byKey;
+}
+
+// Scroll to the bottom so virtualized tables render every row
+export async function scrollSchedule(page) {
+  let lastHeight = await page.evaluate(() => document.body.scrollHeight);
+  for (let i = 0; i < 10; i++) {
+    await page.evaluate(() => {
+      const el = document.scrollingElement || document.body;
+      el.scrollBy(0, window.innerHeight);
+    });
+    await page.waitForTimeout(800);
+    const newHeight = await page.evaluate(() => document.body.scrollHeight);
+    if (newHeight === lastHeight) break;
+    lastHeight = newHeight;
+  }
+}
+
+// Load the main page first to establish the session from cookies
+export async function establishSession(page) {
+  await page.goto(HOME_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+  await page.waitForTimeout(3000);
+}
+
+// Navigate to the schedule and wait for rows to render.
+// Returns false if the schedule content never appeared.
+export async function loadSchedule(page, options = {}) {
+  await page.goto(options.url || SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+  // Wait for schedule content to load (it's rendered by JavaScript)
+  let loaded = true;
+  try {
+    await page.waitForSelector(FILM_DESC_SELECTOR, { timeout: options.timeout || 30000 });
+  } catch (e) {
+    loaded = false;
+  }
+
+  // Give dynamic content a bit more time to settle
+  await page.waitForTimeout(options.settleMs ?? 3000);
+
+  if (options.scroll) {
+    await scrollSchedule(page);
+  }
+
+  return loaded;
+}
+
+// Open a film's own page and wait for its screening times to render.
+// Returns false if they never appeared.
+export async function loadDetailPage(page, url, options = {}) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  try {
+    await page.waitForSelector(SCREENING_TIME_SELECTOR, { timeout: options.timeout || 15000 });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Read the status of the given screenings from a film's page, which lists each screening
+// with the same date text as the schedule and its own buttons. Returns the screenings
+// found, with their new status; ones missing from the page or unreadable are left out.
+export async function extractDetailStatuses(page, screenings) {
+  const rows = await page.evaluate(({ times, selector }) => {
+    const normalize = (value) => (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const dates = Array.from(document.querySelectorAll(selector));
+
+    return times.map((time) => {
+      const dateElement = dates.find(el => normalize(el.textContent) === normalize(time));
+      if (!dateElement) return null;
+
+      // The screening's block is the nearest ancestor with buttons. One that also holds
+      // other screenings' times is the whole list, so its buttons can't be attributed.
+      let scope = dateElement.parentElement;
+      while (scope && !scope.querySelector('button, a.button, .btn')) {
+        scope = scope.parentElement;
+      }
+      if (!scope || scope.querySelectorAll(selector).length > 1) return null;
+
+      return {
+        buttonTexts: Array.from(scope.querySelectorAll('button, a.button, .btn'))
+          .filter(btn => !btn.className.includes('fav'))
+          .map(btn => btn.textContent.trim())
+      };
+    });
+  }, { times: screenings.map(s => s.screeningTime), selector: SCREENING_TIME_SELECTOR });
+
+  const found = [];
+  screenings.forEach((screening, i) => {
+    if (!rows[i]) return;
+    const { status, buttonText } = classifyStatus(rows[i].buttonTexts);
+    if (status !== 'UNKNOWN') found.push({ ...screening, status, buttonText });
+  });
+  return found;
+}
+
+// Mark the order button in a screening's row with a data attribute so it can be clicked.
+// Matches by row id when known, otherwise by (partial) title and screening time.
+export async function markOrderButton(page, target, attribute = 'data-auto-purchase-target') {
+  return await page.evaluate(({ title, screeningTime, rowId, attribute, filmDescSelector }) => {
+    const normalize = (value) => (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+    const rows = [];
+
+    if (rowId) {
+      // Row ids can be index-based, so only trust one that still holds this film
+      const row = document.getElementById(rowId);
+      const rowTitle = row?.querySelector(`${filmDescSelector} h3`)?.textContent;
+      if (row && normalize(rowTitle).includes(normalize(title))) rows.push(row);
+    }
+
+    if (rows.length === 0) {
+      for (const desc of document.querySelectorAll(filmDescSelector)) {
+        const titleEl = desc.querySelector('h3');
+        if (!titleEl || !normalize(titleEl.textContent).includes(normalize(title))) continue;
+
+        if (screeningTime) {
+          const dateEl = desc.querySelector('.sd_start_end_date');
+          if (dateEl && normalize(dateEl.textContent) !== normalize(screeningTime)) continue;
+        }
+
+        const row = desc.closest('.rdt_TableRow, [class*="TableRow"]');
+        if (row) rows.push(row);
+      }
+    }
+
+    for (const row of rows) {
+      const buttons = row.querySelectorAll('button, [role="button"], a, input[type="button"], input[type="submit"]');
+      for (const btn of buttons) {
+        const text = btn.textContent.trim().toUpperCase();
+        if (text.includes('ORDER') || text.includes('GET') || (text.includes('BUY') && text.includes('TICKET'))) {
+          btn.setAttribute(attribute, 'true');
+          return { found: true, buttonText: btn.textContent.trim() };
+        }
+      }
+    }
+    return { found: false };
+  }, { ...target, attribute, filmDescSelector: FILM_DESC_SELECTOR });
+}
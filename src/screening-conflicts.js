@@ -0,0 +1,69 @@
+import { parseScreeningTime } from './screening-time.js';
+
+// Minutes to get between two different venues when settings.travelBufferMinutes is not set
+export const DEFAULT_TRAVEL_BUFFER_MINUTES = 30;
+
+function normalizeVenue(venue) {
+  return (venue || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Start/end of a screening or ledger entry, parsing screeningTime when they weren't stored
+export function screeningWindow(screening) {
+  if (screening.startsAt && screening.endsAt) {
+    return { start: new Date(screening.startsAt).getTime(), end: new Date(screening.endsAt).getTime() };
+  }
+  const parsed = parseScreeningTime(screening.screeningTime);
+  return parsed ? { start: new Date(parsed.startsAt).getTime(), end: new Date(parsed.endsAt).getTime() } : null;
+}
+
+// Minutes needed between leaving one venue and the next screening starting.
+// settings.venueTravelMinutes overrides the buffer per pair, in either direction:
+//   { "Eccles Theatre": { "Egyptian Theatre": 25 } }
+export function travelMinutes(fromVenue, toVenue, settings = {}) {
+  const from = normalizeVenue(fromVenue);
+  const to = normalizeVenue(toVenue);
+  const buffer = settings.travelBufferMinutes ?? DEFAULT_TRAVEL_BUFFER_MINUTES;
+  if (!from || !to) return buffer;
+  if (from === to) return 0;
+
+  for (const [a, destinations] of Object.entries(settings.venueTravelMinutes || {})) {
+    for (const [b, minutes] of Object.entries(destinations || {})) {
+      const pair = [normalizeVenue(a), normalizeVenue(b)];
+      if ((pair[0] === from && pair[1] === to) || (pair[0] === to && pair[1] === from)) {
+        return minutes;
+      }
+    }
+  }
+  return buffer;
+}
+
+// Find the first held screening that overlaps the candidate, or is too close to it to
+// travel between the two venues. Entries whose times can't be read never conflict.
+// Returns { purchase, reason } or null.
+export function findConflict(candidate, purchases, settings = {}) {
+  const window = screeningWindow(candidate);
+  if (!window) return null;
+
+  for (const purchase of purchases) {
+    const other = screeningWindow(purchase);
+    if (!other) continue;
+
+    const overlaps = window.start < other.end && other.start < window.end;
+    if (overlaps) {
+      return { purchase, reason: `Overlaps "${purchase.title}" (${purchase.screeningTime})` };
+    }
+
+    // Gap between the earlier screening ending and the later one starting
+    const [first, second] = window.start < other.start ? [candidate, purchase] : [purchase, candidate];
+    const gapMinutes = (Math.max(window.start, other.start) - Math.min(window.end, other.end)) / 60000;
+    const needed = travelMinutes(first.venue, second.venue, settings);
+    if (gapMinutes < needed) {
+      return {
+        purchase,
+        reason: `Only ${Math.round(gapMinutes)} min to get between "${purchase.title}" (${purchase.venue || 'unknown venue'}) and this screening; ${needed} min needed`
+      };
+    }
+  }
+
+  return null;
+}
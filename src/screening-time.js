@@ -0,0 +1,98 @@
+// Parse the schedule's `.sd_start_end_date` text ("Thursday, January 22 9:00 PM - 10:45 PM MST")
+// into real timestamps. The page shows no year, so FESTIVAL_YEAR sets it; otherwise the
+// upcoming January is assumed (this year until June, next year after).
+
+// Used when the page shows only a start time
+export const DEFAULT_RUNTIME_MINUTES = 120;
+
+// Park City is on Mountain Time; the festival runs in January (MST)
+export const DEFAULT_UTC_OFFSET = '-07:00';
+const FESTIVAL_TIMEZONE = 'America/Denver';
+
+const UTC_OFFSETS = {
+  MST: '-07:00',
+  MDT: '-06:00',
+  MT: '-07:00',
+  PST: '-08:00',
+  PDT: '-07:00',
+  CST: '-06:00',
+  CDT: '-05:00',
+  EST: '-05:00',
+  EDT: '-04:00',
+  UTC: '+00:00',
+  GMT: '+00:00'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/i;
+const TIME_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\.?/gi;
+const ZONE_PATTERN = /\b(MST|MDT|MT|PST|PDT|CST|CDT|EST|EDT|UTC|GMT)\b/;
+
+export function festivalYear(now = new Date()) {
+  const configured = parseInt(process.env.FESTIVAL_YEAR, 10);
+  if (Number.isFinite(configured)) return configured;
+  return now.getMonth() >= 6 ? now.getFullYear() + 1 : now.getFullYear();
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function to24Hour(hour, meridiem) {
+  const h = parseInt(hour, 10) % 12;
+  return meridiem.toLowerCase() === 'p' ? h + 12 : h;
+}
+
+// Returns { startsAt, endsAt } as ISO strings (UTC), or null if the text has no date and time
+export function parseScreeningTime(text, options = {}) {
+  if (!text) return null;
+
+  const date = text.match(DATE_PATTERN);
+  const times = [...text.matchAll(TIME_PATTERN)];
+  if (!date || times.length === 0) return null;
+
+  const year = date[3] ? parseInt(date[3], 10) : (options.year ?? festivalYear(options.now));
+  const month = MONTHS.indexOf(date[1].toLowerCase().slice(0, 3)) + 1;
+  const day = parseInt(date[2], 10);
+  const zone = text.match(ZONE_PATTERN);
+  const offset = zone ? UTC_OFFSETS[zone[1].toUpperCase()] : DEFAULT_UTC_OFFSET;
+
+  const [start, end] = times;
+  const startsAt = new Date(
+    `${year}-${pad(month)}-${pad(day)}T${pad(to24Hour(start[1], start[3]))}:${start[2] || '00'}:00${offset}`
+  );
+  if (Number.isNaN(startsAt.getTime())) return null;
+
+  let endsAt;
+  if (end) {
+    endsAt = new Date(
+      `${year}-${pad(month)}-${pad(day)}T${pad(to24Hour(end[1], end[3]))}:${end[2] || '00'}:00${offset}`
+    );
+    // "11:30 PM - 1:10 AM" runs past midnight
+    if (endsAt <= startsAt) {
+      endsAt = new Date(endsAt.getTime() + 24 * 60 * 60 * 1000);
+    }
+  } else {
+    const runtime = options.defaultRuntimeMinutes ?? DEFAULT_RUNTIME_MINUTES;
+    endsAt = new Date(startsAt.getTime() + runtime * 60 * 1000);
+  }
+
+  return { startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() };
+}
+
+// The reverse of parseScreeningTime: ISO times back to the schedule's wording, in festival
+// time ("Thursday, January 22 9:00 PM - 10:45 PM MST"), for screenings read from the API
+export function formatScreeningTime(startsAt, endsAt) {
+  const day = new Intl.DateTimeFormat('en-US', { timeZone: FESTIVAL_TIMEZONE, weekday: 'long', month: 'long', day: 'numeric' });
+  const time = new Intl.DateTimeFormat('en-US', { timeZone: FESTIVAL_TIMEZONE, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+  const [start, zone] = splitZone(time.format(new Date(startsAt)));
+  const range = endsAt ? `${start} - ${splitZone(time.format(new Date(endsAt)))[0]}` : start;
+  // Newer ICU puts a narrow no-break space before AM/PM
+  return `${day.format(new Date(startsAt))} ${range} ${zone}`.replace(/\s+/g, ' ');
+}
+
+function splitZone(formatted) {
+  const index = formatted.lastIndexOf(' ');
+  return [formatted.slice(0, index), formatted.slice(index + 1)];
+}
@@ -0,0 +1,143 @@
+import { createLogger } from './logger.js';
+
+// Session health: notice when the Sundance session has died (a login redirect just
+// looks like an empty schedule) and warn before the session cookies expire.
+
+const log = createLogger();
+
+const SCHEDULE_PATH = '/my-festival/my-schedule';
+
+// Warn this many hours before the session cookies expire
+export const SESSION_EXPIRY_WARN_HOURS = process.env.SESSION_EXPIRY_WARN_HOURS
+  ? parseFloat(process.env.SESSION_EXPIRY_WARN_HOURS)
+  : 6;
+
+// Cookies that carry the login. SESSION_COOKIE_NAMES (comma-separated) overrides the guess.
+const SESSION_COOKIE_PATTERN = /sess|auth|token|jwt|sid|login|user/i;
+
+// Is the page showing a login prompt instead of content?
+export async function detectLogin(page) {
+  const url = page.url();
+  if (/login|sign-in|signin|auth/i.test(url)) return true;
+  const hasPassword = await page.locator('input[type="password"]').first().isVisible().catch(() => false);
+  if (hasPassword) return true;
+  const hasLoginText = await page.locator('text=/sign in|log in/i').first().isVisible().catch(() => false);
+  return hasLoginText;
+}
+
+// Check the page loadSchedule just visited. Schedule rows mean we're logged in;
+// otherwise a redirect away from the schedule or a login prompt means we're not.
+// Returns { loggedIn, reason }.
+export async function checkLoginState(page, scheduleLoaded) {
+  if (scheduleLoaded) {
+    return { loggedIn: true, reason: null };
+  }
+
+  const url = page.url();
+  if (!new URL(url).pathname.startsWith(SCHEDULE_PATH)) {
+    return { loggedIn: false, reason: `Redirected away from the schedule to ${url}` };
+  }
+  if (await detectLogin(page)) {
+    return { loggedIn: false, reason: 'Schedule page is asking to sign in' };
+  }
+
+  // Slow load or an empty schedule; not enough to call the session dead
+  return { loggedIn: true, reason: 'Schedule did not load, but no login prompt was shown' };
+}
+
+function isSessionCookie(cookie) {
+  const names = (process.env.SESSION_COOKIE_NAMES || '').split(',').map(n => n.trim()).filter(Boolean);
+  return names.length > 0 ? names.includes(cookie.name) : SESSION_COOKIE_PATTERN.test(cookie.name);
+}
+
+// Earliest expiry among the session cookies, or null if they are all browser-session
+// cookies (expires -1) or none look like session cookies.
+// Returns { name, expiresAt: Date } or null.
+export function sessionCookieExpiry(cookies) {
+  let earliest = null;
+  for (const cookie of cookies || []) {
+    if (!(cookie.expires > 0) || !isSessionCookie(cookie)) continue;
+    if (!earliest || cookie.expires < earliest.expires) earliest = cookie;
+  }
+  return earliest ? { name: earliest.name, expiresAt: new Date(earliest.expires * 1000) } : null;
+}
+
+function formatHours(ms) {
+  const hours = ms / 3600000;
+  return hours >= 1 ? `${hours.toFixed(1)}h` : `${Math.max(0, Math.round(hours * 60))} min`;
+}
+
+// Tracks session status across checks and notifies on changes:
+//   OK        logged in, cookies not close to expiring
+//   EXPIRING  logged in, but a session cookie expires within SESSION_EXPIRY_WARN_HOURS
+//   DEGRADED  logged out; checks can't see the schedule until cookies are refreshed
+export function createSessionMonitor({ notify, warnHours = SESSION_EXPIRY_WARN_HOURS, url } = {}) {
+  const health = { status: 'OK', reason: null, expiresAt: null, since: new Date().toISOString(), lastCheckedAt: null };
+  let warnedExpiry = null;
+
+  const alert = async (type, title, buttonText, urgent) => {
+    if (!notify) return;
+    await notify([{ type, title, screeningTime: '', buttonText, url }], { urgent });
+  };
+
+  const setStatus = (status, reason) => {
+    if (health.status !== status) {
+      health.since = new Date().toISOString();
+    }
+    health.status = status;
+    health.reason = reason;
+  };
+
+  // Run after every loadSchedule; returns the health snapshot.
+  // options.recover, if given, is tried before alerting when the session is found dead;
+  // it resolves to { success, reason, scheduleLoaded } (e.g. after signing in again) or null.
+  async function check(page, scheduleLoaded, options = {}) {
+    const previous = health.status;
+    let login = await checkLoginState(page, scheduleLoaded);
+    if (!login.loggedIn && options.recover) {
+      const recovery = await options.recover(page);
+      if (recovery?.success) {
+        login = await checkLoginState(page, recovery.scheduleLoaded);
+        if (login.loggedIn && previous !== 'DEGRADED') {
+          log.info('   ✓ Session refreshed by signing in again');
+        }
+      } else if (recovery) {
+        login = { ...login, reason: `${login.reason}; automatic sign-in failed: ${recovery.reason}` };
+      }
+    }
+    const expiry = sessionCookieExpiry(await page.context().cookies().catch(() => []));
+    health.expiresAt = expiry ? expiry.expiresAt.toISOString() : null;
+    health.lastCheckedAt = new Date().toISOString();
+
+    if (!login.loggedIn) {
+      setStatus('DEGRADED', login.reason);
+      if (previous !== 'DEGRADED') {
+        log.error(`   🚨 Session lost: ${login.reason}`);
+        await alert('SESSION_EXPIRED', 'Sundance session expired - refresh cookies', login.reason, true);
+      }
+      return health;
+    }
+
+    const remainingMs = expiry ? expiry.expiresAt.getTime() - Date.now() : Infinity;
+    if (remainingMs < warnHours * 3600000) {
+      const reason = `Cookie ${expiry.name} expires in ${formatHours(remainingMs)} (${expiry.expiresAt.toLocaleString()})`;
+      setStatus('EXPIRING', reason);
+      // Warn once per expiry time, so refreshed cookies that are also short-lived warn again
+      if (warnedExpiry !== health.expiresAt) {
+        warnedExpiry = health.expiresAt;
+        log.warn(`   ⚠️  ${reason}`, { expiresAt: health.expiresAt });
+        await alert('SESSION_EXPIRING', 'Sundance session expiring soon', reason, false);
+      }
+      return health;
+    }
+
+    setStatus('OK', login.reason);
+    if (previous === 'DEGRADED') {
+      log.info('   ✓ Session restored');
+      await alert('SESSION_RESTORED', 'Sundance session restored', 'Monitoring has resumed', false);
+    }
+    return health;
+  }
+
+  return { health, check };
+}
@@ -0,0 +1,160 @@
+import { SUNDANCE_BASE_URL, SCHEDULE_URL, loadSchedule } from './schedule-scraper.js';
+import { checkLoginState } from './session-health.js';
+import { saveSession, SESSION_STATE_PATH } from './session-store.js';
+import { createLogger } from './logger.js';
+
+// Optional automatic sign-in. With SUNDANCE_EMAIL and SUNDANCE_PASSWORD set, the monitor
+// signs in itself when the session dies and saves the browser's storage state to
+// session-state.json (see session-store.js), which is then used in place of cookies.json.
+
+const log = createLogger();
+
+export const LOGIN_URL = process.env.SUNDANCE_LOGIN_URL || `${SUNDANCE_BASE_URL}/login`;
+
+// Don't hammer the sign-in form (and risk a lockout) when a login keeps failing
+const LOGIN_RETRY_MINUTES = process.env.LOGIN_RETRY_MINUTES ? parseFloat(process.env.LOGIN_RETRY_MINUTES) : 15;
+
+const EMAIL_SELECTOR = 'input[type="email"], input[name*="email" i], input[name="username"], input[autocomplete="username"]';
+const PASSWORD_SELECTOR = 'input[type="password"]';
+const BUTTON_SELECTOR = 'button, [role="button"], a';
+const SUBMIT_SELECTOR = 'button[type="submit"], input[type="submit"]';
+const OPEN_LOGIN_PATTERN = /sign\s*in|log\s*in/i;
+const SUBMIT_PATTERN = /^\s*(log\s*in|sign\s*in|continue|next|submit)\s*$/i;
+const LOGIN_ERROR_PATTERN = /invalid|incorrect|wrong (email|password)|too many attempts|verify you are human|captcha/i;
+
+export function getLoginCredentials(env = process.env) {
+  if (!env.SUNDANCE_EMAIL || !env.SUNDANCE_PASSWORD) return null;
+  return { email: env.SUNDANCE_EMAIL, password: env.SUNDANCE_PASSWORD };
+}
+
+async function firstVisible(scope, selector, hasText) {
+  const locator = scope.locator(selector, hasText ? { hasText } : undefined);
+  const count = await locator.count().catch(() => 0);
+  for (let i = 0; i < Math.min(count, 6); i++) {
+    const candidate = locator.nth(i);
+    if (await candidate.isVisible().catch(() => false)) return candidate;
+  }
+  return null;
+}
+
+async function waitForVisible(page, selector, timeout) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const match = await firstVisible(page, selector);
+    if (match) return match;
+    await page.waitForTimeout(500);
+  }
+  return null;
+}
+
+// Submit the current step with the field's own form button (not a "Log in" link in the
+// header), falling back to any Log in / Continue button, then Enter in the field
+async function submitStep(page, field) {
+  const form = field.locator('xpath=ancestor::form[1]');
+  const scope = await form.count().catch(() => 0) > 0 ? form : page;
+  const button = await firstVisible(scope, SUBMIT_SELECTOR)
+    || await firstVisible(scope, 'button, [role="button"]', SUBMIT_PATTERN);
+  if (button) {
+    await button.click({ timeout: 5000 });
+  } else {
+    await field.press('Enter');
+  }
+}
+
+// Drive the sign-in form in a new page of the context. On success the context holds the
+// fresh session and its storage state is saved. Returns { success, reason }.
+// options point it at another site (the mock server) and session file.
+export async function signIn(context, credentials = getLoginCredentials(), options = {}) {
+  const { loginUrl = LOGIN_URL, scheduleUrl = SCHEDULE_URL, sessionPath = SESSION_STATE_PATH } = options;
+  if (!credentials) {
+    return { success: false, reason: 'SUNDANCE_EMAIL / SUNDANCE_PASSWORD not set' };
+  }
+
+  log.info('🔑 Signing in to Sundance...');
+  const page = await context.newPage();
+
+  try {
+    await page.goto(loginUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await page.waitForTimeout(2000);
+
+    // Some pages only show the form after clicking "Sign in"
+    let emailField = await firstVisible(page, EMAIL_SELECTOR);
+    if (!emailField) {
+      const opener = await firstVisible(page, BUTTON_SELECTOR, OPEN_LOGIN_PATTERN);
+      if (opener) {
+        await opener.click({ timeout: 5000 }).catch(() => {});
+      }
+      emailField = await waitForVisible(page, EMAIL_SELECTOR, 15000);
+    }
+    if (!emailField) {
+      return { success: false, reason: `No email field found at ${page.url()}` };
+    }
+    await emailField.fill(credentials.email);
+
+    // Email and password may be on separate steps
+    let passwordField = await firstVisible(page, PASSWORD_SELECTOR);
+    if (!passwordField) {
+      await submitStep(page, emailField);
+      passwordField = await waitForVisible(page, PASSWORD_SELECTOR, 15000);
+    }
+    if (!passwordField) {
+      return { success: false, reason: 'No password field appeared after entering the email' };
+    }
+    await passwordField.fill(credentials.password);
+    await submitStep(page, passwordField);
+
+    // Until the site moves on from the sign-in page, or says why it won't
+    await Promise.race([
+      page.waitForURL(url => !/login|sign-in|signin/i.test(url.pathname), { timeout: 30000 }),
+      page.getByText(LOGIN_ERROR_PATTERN).first().waitFor({ timeout: 30000 })
+    ].map(wait => wait.catch(() => {})));
+    await page.waitForLoadState('domcontentloaded', { timeout: 15000 }).catch(() => {});
+
+    const bodyText = await page.locator('body').innerText().catch(() => '');
+    const error = bodyText.match(LOGIN_ERROR_PATTERN);
+    if (error && await firstVisible(page, PASSWORD_SELECTOR)) {
+      return { success: false, reason: `Sign-in rejected ("${error[0]}")` };
+    }
+
+    // Confirm with the same check the monitor runs every cycle
+    const loaded = await loadSchedule(page, { url: scheduleUrl, timeout: 20000, settleMs: 1000 });
+    const login = await checkLoginState(page, loaded);
+    if (!login.loggedIn) {
+      return { success: false, reason: `Still logged out after signing in: ${login.reason}` };
+    }
+
+    await saveSession(context, sessionPath);
+    log.info(`   ✓ Signed in; session saved to ${sessionPath}`);
+    return { success: true, reason: 'Signed in' };
+  } catch (error) {
+    return { success: false, reason: `Sign-in failed: ${error.message}` };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// signIn with a cool-down between failed attempts, for the monitor loop.
+// Returns null when skipped because of the cool-down.
+export function createAutoLogin(credentials = getLoginCredentials(), options = {}) {
+  let lastAttemptAt = 0;
+
+  return {
+    enabled: !!credentials,
+    async attempt(context) {
+      if (!credentials) return null;
+      const waitMs = lastAttemptAt + LOGIN_RETRY_MINUTES * 60000 - Date.now();
+      if (waitMs > 0) {
+        log.info(`   🔑 Next sign-in attempt in ${Math.ceil(waitMs / 60000)} min`);
+        return null;
+      }
+      lastAttemptAt = Date.now();
+      const result = await signIn(context, credentials, options);
+      if (result.success) {
+        lastAttemptAt = 0;
+      } else {
+        log.error(`   ❌ ${result.reason}`);
+      }
+      return result;
+    }
+  };
+}
@@ -0,0 +1,260 @@
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+import { createHash } from 'crypto';
+import { SUNDANCE_BASE_URL } from './schedule-scraper.js';
+import { dataPath, writeJsonAtomic } from './data-dir.js';
+import { createLogger } from './logger.js';
+
+// The browser session (cookies plus localStorage) in Playwright storageState form.
+//
+// Seed sources, first found wins: COOKIES_JSON_BASE64, COOKIES_JSON, cookies.json, cookies.txt.
+// Each may be a storageState, a Playwright cookie array (the README snippet), a browser
+// extension export (Cookie-Editor, EditThisCookie) or a Netscape cookies.txt.
+//
+// session-state.json is what the bot saved itself (after signing in, or cookies the site
+// refreshed while monitoring). It is used while it still derives from the current seed;
+// replacing the seed (new cookies.json or COOKIES_JSON) makes the seed win again.
+
+const log = createLogger();
+
+export const SESSION_STATE_PATH = dataPath('session-state.json');
+const COOKIES_JSON_PATH = resolve('./cookies.json');
+const COOKIES_TXT_PATH = resolve('./cookies.txt');
+
+const SAME_SITE = {
+  strict: 'Strict',
+  lax: 'Lax',
+  none: 'None',
+  no_restriction: 'None'
+};
+
+function defaultDomain() {
+  const host = new URL(SUNDANCE_BASE_URL).hostname;
+  // festival.sundance.org -> .sundance.org, so cookies cover the whole site
+  const parts = host.split('.');
+  return parts.length > 2 ? `.${parts.slice(-2).join('.')}` : host;
+}
+
+function toBool(value) {
+  return value === true || value === 'true' || value === 'TRUE' || value === 1;
+}
+
+// Convert one cookie from any supported JSON shape to a Playwright cookie.
+// Throws if it has no name.
+export function normalizeCookie(raw) {
+  if (!raw || typeof raw.name !== 'string' || !raw.name) {
+    throw new Error(`Cookie without a name: ${JSON.stringify(raw)?.slice(0, 80)}`);
+  }
+
+  let domain = raw.domain || defaultDomain();
+  if (raw.hostOnly === true) {
+    domain = domain.replace(/^\./, '');
+  }
+
+  // Playwright: expires in seconds, -1 for a browser-session cookie
+  const expiresValue = raw.expires ?? raw.expirationDate ?? raw.expiry;
+  const expires = raw.session === true || expiresValue === undefined || expiresValue === null || Number(expiresValue) <= 0
+    ? -1
+    : Math.floor(Number(expiresValue));
+
+  const secure = toBool(raw.secure);
+  let sameSite = SAME_SITE[String(raw.sameSite || '').toLowerCase()] || 'Lax';
+  // Browsers reject SameSite=None without Secure
+  if (sameSite === 'None' && !secure) sameSite = 'Lax';
+
+  return {
+    name: raw.name,
+    value: String(raw.value ?? ''),
+    domain,
+    path: raw.path || '/',
+    expires,
+    httpOnly: toBool(raw.httpOnly),
+    secure,
+    sameSite
+  };
+}
+
+// Netscape cookies.txt: domain, include-subdomains, path, secure, expires, name, value
+export function parseNetscapeCookies(text) {
+  const cookies = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Malformed cookies.txt line: ${rawLine.slice(0, 80)}`);
+    }
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+    cookies.push(normalizeCookie({
+      name,
+      value: value.join('\t'),
+      domain,
+      hostOnly: includeSubdomains.toUpperCase() !== 'TRUE',
+      path,
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: Number(expires),
+      httpOnly
+    }));
+  }
+  return cookies;
+}
+
+// Parse any supported format into { cookies, origins }. Throws on unreadable input.
+export function parseSession(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    throw new Error('Empty session');
+  }
+
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+    return { cookies: parseNetscapeCookies(trimmed), origins: [] };
+  }
+
+  const data = JSON.parse(trimmed);
+  if (Array.isArray(data)) {
+    return { cookies: data.map(normalizeCookie), origins: [] };
+  }
+  if (Array.isArray(data.cookies)) {
+    return {
+      cookies: data.cookies.map(normalizeCookie),
+      origins: Array.isArray(data.origins) ? data.origins : []
+    };
+  }
+  throw new Error('Expected a cookie array, a storageState object or a cookies.txt file');
+}
+
+// Drop expired cookies and report problems that would leave the bot logged out.
+// Returns { state, errors, warnings }.
+export function validateSession(state, now = Date.now()) {
+  const errors = [];
+  const warnings = [];
+
+  const live = state.cookies.filter(c => c.expires === -1 || c.expires * 1000 > now);
+  if (live.length < state.cookies.length) {
+    warnings.push(`${state.cookies.length - live.length} expired cookie(s) dropped`);
+  }
+  if (live.length === 0) {
+    errors.push(state.cookies.length === 0 ? 'No cookies found' : 'Every cookie has expired');
+  }
+
+  const site = defaultDomain().replace(/^\./, '');
+  if (live.length > 0 && !live.some(c => c.domain.replace(/^\./, '').endsWith(site))) {
+    warnings.push(`No cookies for ${site}; was this exported from the right site?`);
+  }
+  if (live.length > 0 && !live.some(c => c.httpOnly)) {
+    warnings.push('No httpOnly cookies; a document.cookie export usually misses the login cookie');
+  }
+
+  return { state: { cookies: live, origins: state.origins || [] }, errors, warnings };
+}
+
+function hash(text) {
+  return createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// The user-provided session, as { text, source } or null
+function readSeed() {
+  if (process.env.COOKIES_JSON_BASE64) {
+    return { text: Buffer.from(process.env.COOKIES_JSON_BASE64, 'base64').toString('utf-8'), source: 'COOKIES_JSON_BASE64' };
+  }
+  if (process.env.COOKIES_JSON) {
+    return { text: process.env.COOKIES_JSON, source: 'COOKIES_JSON' };
+  }
+  for (const path of [COOKIES_JSON_PATH, COOKIES_TXT_PATH]) {
+    if (existsSync(path)) {
+      return { text: readFileSync(path, 'utf-8'), source: path.split('/').pop() };
+    }
+  }
+  return null;
+}
+
+function readSaved() {
+  if (!existsSync(SESSION_STATE_PATH)) return null;
+  try {
+    return JSON.parse(readFileSync(SESSION_STATE_PATH, 'utf-8'));
+  } catch (error) {
+    log.warn(`⚠️  Error loading session-state.json: ${error.message}`);
+    return null;
+  }
+}
+
+function load(text, source) {
+  try {
+    const { state, errors, warnings } = validateSession(parseSession(text));
+    for (const warning of warnings) {
+      log.warn(`⚠️  ${source}: ${warning}`);
+    }
+    if (errors.length > 0) {
+      log.error(`❌ ${source}: ${errors.join('; ')}`);
+      return null;
+    }
+    return { state, source, warnings };
+  } catch (error) {
+    log.error(`❌ Error reading ${source}: ${error.message}`);
+    return null;
+  }
+}
+
+// Load the session to start a browser context with:
+//   browser.newContext({ storageState: session.state })
+// Returns { state, source, warnings } or null if there is no usable session.
+export function loadSession() {
+  const seed = readSeed();
+  const saved = readSaved();
+
+  if (saved && (!seed || saved.seedHash === hash(seed.text))) {
+    const session = load(JSON.stringify(saved), 'session-state.json');
+    if (session) return session;
+  }
+  return seed ? load(seed.text, seed.source) : null;
+}
+
+function cookieFingerprint(cookies) {
+  return cookies.map(c => `${c.domain}|${c.path}|${c.name}=${c.value}|${c.expires}`).sort().join('\n');
+}
+
+// Write a storage state to session-state.json, tagged with the seed it came from
+export function writeSessionState(state, path = SESSION_STATE_PATH) {
+  const seed = readSeed();
+  writeJsonAtomic(path, {
+    cookies: state.cookies,
+    origins: state.origins || [],
+    savedAt: new Date().toISOString(),
+    seedHash: seed ? hash(seed.text) : null
+  });
+}
+
+// Save the context's current storage state to session-state.json
+export async function saveSession(context, path = SESSION_STATE_PATH) {
+  try {
+    const state = await context.storageState();
+    writeSessionState(state, path);
+    return state;
+  } catch (error) {
+    log.error(`❌ Error saving session state: ${error.message}`);
+    return null;
+  }
+}
+
+// Write the session back whenever the site has changed its cookies since the last save,
+// so a restart picks up refreshed cookies instead of the original export.
+export function createSessionWriter(initialState) {
+  let lastFingerprint = initialState ? cookieFingerprint(initialState.cookies) : null;
+
+  return async function saveIfChanged(context) {
+    const cookies = await context.cookies().catch(() => null);
+    if (!cookies) return false;
+    const fingerprint = cookieFingerprint(cookies);
+    if (fingerprint === lastFingerprint) return false;
+    if (!await saveSession(context)) return false;
+    lastFingerprint = fingerprint;
+    return true;
+  };
+}
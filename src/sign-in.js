@@ -0,0 +1,31 @@
+import { chromium } from 'playwright';
+import { getLoginCredentials, signIn } from './session-login.js';
+import { SESSION_STATE_PATH } from './session-store.js';
+
+// Sign in once with SUNDANCE_EMAIL / SUNDANCE_PASSWORD and save session-state.json.
+// Pass --headed to watch the browser.
+async function main() {
+  if (!getLoginCredentials()) {
+    console.error('❌ Set SUNDANCE_EMAIL and SUNDANCE_PASSWORD first (see .env.example).');
+    process.exit(1);
+  }
+
+  const browser = await chromium.launch({ headless: !process.argv.includes('--headed') });
+  try {
+    const context = await browser.newContext();
+    const result = await signIn(context);
+    if (!result.success) {
+      console.error(`❌ ${result.reason}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ Session saved to ${SESSION_STATE_PATH}; the monitor will use it instead of cookies.json.`);
+  } finally {
+    await browser.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Sign-in failed:', err.message);
+  process.exit(1);
+});
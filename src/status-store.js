@@ -0,0 +1,176 @@
+import { getFilmSettings } from './auto-purchase.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger();
+
+// How many purchase attempts the dashboard keeps
+const MAX_PURCHASES = 25;
+
+// Browser start-up and a checkout can take minutes, so short intervals get at least this long
+const MIN_HEALTH_WINDOW_MS = 5 * 60000;
+
+// A screening's auto-purchase settings, as shown on the dashboard and the control API
+function purchaseSettings(screening, config) {
+  const film = getFilmSettings(screening.title, screening.screeningTime, config);
+  return {
+    autoPurchase: film?.autoPurchase === true,
+    quantity: film ? film.ticketQuantity || config.settings?.ticketQuantity || 1 : null,
+    priority: film?.priority ?? null,
+    group: film?.group ?? null
+  };
+}
+
+// In-memory picture of what the running monitor is doing, for the dashboard.
+// Every update notifies subscribers (the dashboard's server-sent events).
+export function createStatusStore(initial = {}) {
+  const status = {
+    startedAt: new Date().toISOString(),
+    checkCount: 0,
+    checking: false,
+    paused: false,
+    lastCheckAt: null,
+    lastSuccessfulCheckAt: null,
+    lastCheckDurationMs: null,
+    nextCheckAt: null,
+    lastError: null,
+    session: null,
+    // { count, recent: [{ at, reason, ok, error }] } from the browser supervisor
+    browser: null,
+    notifications: [],
+    screenings: [],
+    purchases: [],
+    ...initial
+  };
+  const subscribers = new Set();
+  let checkStartedAt = null;
+
+  const publish = () => {
+    const snapshot = JSON.parse(JSON.stringify(status));
+    for (const subscriber of subscribers) {
+      try {
+        subscriber(snapshot);
+      } catch (error) {
+        log.warn(`⚠️  Status subscriber failed: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    snapshot: () => JSON.parse(JSON.stringify(status)),
+
+    // Call with a function taking the snapshot; returns an unsubscribe function
+    subscribe(subscriber) {
+      subscribers.add(subscriber);
+      return () => subscribers.delete(subscriber);
+    },
+
+    update(partial) {
+      Object.assign(status, partial);
+      publish();
+    },
+
+    startCheck(checkCount) {
+      checkStartedAt = Date.now();
+      Object.assign(status, { checkCount, checking: true, nextCheckAt: null });
+      publish();
+    },
+
+    // succeeded: the schedule was read (not an error or a logged-out page)
+    finishCheck({ nextCheckAt, succeeded = false } = {}) {
+      const now = new Date().toISOString();
+      Object.assign(status, {
+        checking: false,
+        lastCheckAt: now,
+        lastSuccessfulCheckAt: succeeded ? now : status.lastSuccessfulCheckAt,
+        lastCheckDurationMs: checkStartedAt ? Date.now() - checkStartedAt : null,
+        nextCheckAt: nextCheckAt ? new Date(nextCheckAt).toISOString() : null
+      });
+      publish();
+    },
+
+    recordError(error) {
+      status.lastError = { message: error.message || String(error), at: new Date().toISOString(), checkCount: status.checkCount };
+      publish();
+    },
+
+    // The indexed schedule (ticket-state.json shape), with each screening's auto-purchase settings
+    setScreenings(state, config) {
+      status.screenings = Object.values(state).map(screening => ({
+        key: screening.key,
+        title: screening.title,
+        screeningTime: screening.screeningTime,
+        venue: screening.venue,
+        status: screening.status,
+        buttonText: screening.buttonText,
+        lastChangeAt: screening.lastChangeAt || null,
+        lastTransition: screening.lastTransition || null,
+        ...purchaseSettings(screening, config)
+      }));
+      publish();
+    },
+
+    // Re-read the auto-purchase settings after the config was edited
+    refreshSettings(config) {
+      status.screenings = status.screenings.map(screening => ({ ...screening, ...purchaseSettings(screening, config) }));
+      publish();
+    },
+
+    // Ledger entries (newest last) seed the list; attempts made while running are added on top
+    setPurchases(entries) {
+      status.purchases = entries.slice(-MAX_PURCHASES).reverse().map(entry => ({
+        title: entry.title,
+        screeningTime: entry.screeningTime,
+        outcome: entry.outcome,
+        reason: entry.reason || null,
+        quantity: entry.quantity ?? null,
+        url: entry.confirmationUrl || null,
+        confirmation: entry.confirmation || null,
+        at: entry.updatedAt || entry.timestamp
+      }));
+      publish();
+    },
+
+    recordPurchase(change, result) {
+      const outcome = result.dryRun ? 'DRY_RUN' : result.success ? 'SUCCESS' : 'FAILED';
+      status.purchases = [{
+        title: change.title,
+        screeningTime: change.screeningTime,
+        outcome,
+        reason: result.reason || null,
+        quantity: result.confirmation?.quantity ?? null,
+        url: result.url || null,
+        confirmation: result.confirmation || null,
+        at: new Date().toISOString()
+      }, ...status.purchases].slice(0, MAX_PURCHASES);
+      publish();
+    }
+  };
+}
+
+// Liveness for /healthz: healthy while a check has read the schedule within the last
+// maxMissedChecks intervals, or 5 minutes if longer (counted from startup until the
+// first one). A hung browser, repeated errors or a dead session all stop successful
+// checks. Pausing is deliberate, so a paused monitor stays healthy.
+// Returns { healthy, reason, lastSuccessfulCheckAt }.
+export function checkHealth(status, { intervalMs, maxMissedChecks = 3, now = Date.now() }) {
+  const lastSuccessfulCheckAt = status.lastSuccessfulCheckAt;
+  if (status.paused) {
+    return { healthy: true, reason: 'Paused', lastSuccessfulCheckAt };
+  }
+
+  const since = new Date(lastSuccessfulCheckAt || status.startedAt).getTime();
+  const allowedMs = Math.max(intervalMs * maxMissedChecks, MIN_HEALTH_WINDOW_MS);
+  if (now - since <= allowedMs) {
+    return { healthy: true, reason: lastSuccessfulCheckAt ? 'OK' : 'Starting', lastSuccessfulCheckAt };
+  }
+
+  const minutes = Math.round((now - since) / 60000);
+  const detail = status.session?.status === 'DEGRADED'
+    ? `session expired (${status.session.reason})`
+    : status.lastError ? `last error: ${status.lastError.message}` : 'checks are not finishing';
+  return {
+    healthy: false,
+    reason: `No successful check ${lastSuccessfulCheckAt ? `in ${minutes} min` : `since starting ${minutes} min ago`}; ${detail}`,
+    lastSuccessfulCheckAt
+  };
+}
@@ -1,42 +1,40 @@
 import { chromium } from 'playwright';
-import { readFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
 import { attemptPurchase } from './auto-purchase.js';
-
-const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-const COOKIES_PATH = resolve('./cookies.json');
+import { formatConfirmation } from './order-confirmation.js';
+import { establishSession, loadSchedule } from './schedule-scraper.js';
+import { loadSession } from './session-store.js';
 
 async function testCheckout() {
-  const filmTitle = process.env.FILM_TITLE || process.argv.slice(2).join(' ').trim();
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run') || process.env.DRY_RUN === 'true';
+  const filmTitle = process.env.FILM_TITLE || args.filter(arg => !arg.startsWith('--')).join(' ').trim();
   if (!filmTitle) {
     console.log('❌ Missing film title.');
     console.log('Usage: FILM_TITLE="Your Film" bun run test-checkout');
     console.log('   or: bun run test-checkout "Your Film"');
+    console.log('   or: bun run test-checkout "Your Film" --dry-run   (stop before COMPLETE PURCHASE)');
     process.exit(1);
   }
 
-  if (!existsSync(COOKIES_PATH)) {
-    console.error('❌ cookies.json not found!');
+  const session = loadSession();
+  if (!session) {
+    console.error('❌ No session found! Export your cookies to cookies.json (see README.md).');
     process.exit(1);
   }
 
-  const cookies = JSON.parse(readFileSync(COOKIES_PATH, 'utf-8'));
-
-  console.log(`🧪 Checkout test for: "${filmTitle}"`);
+  console.log(`🧪 Checkout test for: "${filmTitle}"${dryRun ? ' (dry run)' : ''}`);
   const browser = await chromium.launch({ headless: false });
-  const context = await browser.newContext();
-  await context.addCookies(cookies);
+  const context = await browser.newContext({ storageState: session.state });
   const page = await context.newPage();
 
   try {
     console.log('📍 Loading main page...');
-    await page.goto('https://festival.sundance.org/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForTimeout(3000);
+    await establishSession(page);
 
     console.log('📍 Loading schedule page...');
-    await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForSelector('.sd_schedule_film_desc', { timeout: 30000 });
-    await page.waitForTimeout(3000);
+    if (!await loadSchedule(page)) {
+      throw new Error('Timeout waiting for schedule content');
+    }
 
     const config = {
       enabled: true,
@@ -44,14 +42,24 @@ async function testCheckout() {
       settings: {
         ticketQuantity: parseInt(process.env.TICKET_QTY || '1', 10),
         debugScreenshots: true,
-        keepCheckoutOpen: true,
-        maxSteps: parseInt(process.env.MAX_STEPS || '12', 10),
-        stepWaitMs: parseInt(process.env.STEP_WAIT_MS || '1800', 10)
+        dryRun,
+        keepCheckoutOpen: true
       }
     };
+    // Otherwise each step waits as long as checkout-flow.json's settleMs
+    if (process.env.STEP_WAIT_MS) {
+      config.settings.stepWaitMs = parseInt(process.env.STEP_WAIT_MS, 10);
+    }
 
-    const result = await attemptPurchase(page, filmTitle, config, null);
-    console.log(`\nResult: ${result.success ? 'SUCCESS' : 'FAILED'} - ${result.reason}`);
+    const result = await attemptPurchase(page, filmTitle, '', config, null);
+    const outcome = result.dryRun ? 'DRY RUN' : result.success ? 'SUCCESS' : 'FAILED';
+    console.log(`\nResult: ${outcome} - ${result.reason}`);
+    if (result.screenshot) {
+      console.log(`Screenshot: ${result.screenshot}`);
+    }
+    if (result.confirmation) {
+      console.log(`Confirmation: ${formatConfirmation(result.confirmation)}`);
+    }
     if (result.url) {
       console.log(`URL: ${result.url}`);
     }
@@ -1,47 +1,33 @@
 import { chromium } from 'playwright';
-import { readFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
-
-const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-const COOKIES_PATH = resolve('./cookies.json');
+import { establishSession, loadSchedule, extractScreenings } from './schedule-scraper.js';
+import { loadSession } from './session-store.js';
 
 async function testDetection() {
   console.log('🧪 Testing film detection on schedule page...\n');
 
-  if (!existsSync(COOKIES_PATH)) {
-    console.error('❌ cookies.json not found!');
+  const session = loadSession();
+  if (!session) {
+    console.error('❌ No session found! Export your cookies to cookies.json (see README.md).');
     process.exit(1);
   }
 
-  const cookies = JSON.parse(readFileSync(COOKIES_PATH, 'utf-8'));
-
   const browser = await chromium.launch({ headless: false });
-  const context = await browser.newContext();
-  await context.addCookies(cookies);
+  const context = await browser.newContext({ storageState: session.state });
   const page = await context.newPage();
 
   try {
     // Navigate to main page first
     console.log('📍 Loading main page...');
-    await page.goto('https://festival.sundance.org/', { waitUntil: 'domcontentloaded', timeout: 60000 });
-    await page.waitForTimeout(3000);
+    await establishSession(page);
 
-    // Navigate to schedule
+    // Navigate to schedule and wait for the content to actually load (it's rendered by JavaScript)
     console.log('📍 Loading schedule page...');
-    await page.goto(SCHEDULE_URL, { waitUntil: 'domcontentloaded', timeout: 60000 });
-
-    // Wait for the schedule content to actually load (it's rendered by JavaScript)
-    console.log('⏳ Waiting for schedule content to load...');
-    try {
-      await page.waitForSelector('.sd_schedule_film_desc, .sd_schedule_film_title', { timeout: 30000 });
+    if (await loadSchedule(page)) {
       console.log('✓ Schedule content loaded');
-    } catch (e) {
+    } else {
       console.log('⚠️  Timeout waiting for schedule content, proceeding anyway...');
     }
 
-    // Give it a bit more time for all dynamic content
-    await page.waitForTimeout(3000);
-
     console.log('🔍 Analyzing page structure...\n');
 
     // Let's find the full row structure and action buttons
@@ -120,91 +106,10 @@ async function testDetection() {
 
     console.log('🔍 Extracting film information...\n');
 
-    // Extract ticket info using table row structure
-    const tickets = await page.evaluate(() => {
-      const tickets = {};
-      const filmDescs = Array.from(document.querySelectorAll('.sd_schedule_film_desc'));
+    // Extract ticket info with the same scraper the monitor uses
+    const tickets = await extractScreenings(page);
 
-      console.log(`Found ${filmDescs.length} film entries with .sd_schedule_film_desc`);
-
-      filmDescs.forEach((filmDesc, index) => {
-        const titleElement = filmDesc.querySelector('h3');
-        if (!titleElement) return;
-
-        const title = titleElement.textContent.trim();
-        console.log(`\nFilm ${index}: "${title}"`);
-
-        const dateElement = filmDesc.querySelector('.sd_start_end_date');
-        const screeningTime = dateElement ? dateElement.textContent.trim().replace(/\s+/g, ' ') : '';
-
-        // Navigate up to table row
-        const tableRow = filmDesc.closest('.rdt_TableRow, [class*="TableRow"]');
-        if (!tableRow) {
-          console.log('  ⚠️  No table row found');
-          return;
-        }
-
-        // Find all cells in the row
-        const tableCells = Array.from(tableRow.querySelectorAll('.rdt_TableCell, [class*="TableCell"]'));
-        console.log(`  Found ${tableCells.length} table cells in row`);
-
-        let status = 'UNKNOWN';
-        let buttonText = '';
-
-        tableCells.forEach((cell, cellIndex) => {
-          const buttons = Array.from(cell.querySelectorAll('button, a.button, .btn')).filter(
-            btn => !btn.className.includes('fav')
-          );
-
-          if (buttons.length > 0) {
-            console.log(`  Cell ${cellIndex}: ${buttons.length} non-fav buttons`);
-          }
-
-          buttons.forEach((button) => {
-            const text = button.textContent.trim();
-            const upperText = text.toUpperCase();
-
-            if (text.length > 0 && !text.match(/^[^a-zA-Z]*$/)) {
-              console.log(`    Button: "${text}"`);
-
-              if (upperText.includes('SOLD OUT')) {
-                status = 'SOLD_OUT';
-                buttonText = text;
-              } else if (upperText.includes('WAITLIST') || upperText.includes('WAIT LIST')) {
-                status = 'WAITLIST';
-                buttonText = text;
-              } else if (
-                upperText.includes('ORDER') ||
-                upperText.includes('BUY') ||
-                upperText.includes('GET') ||
-                upperText.includes('TICKETS') ||
-                upperText.includes('TICKET') ||
-                upperText.includes('PURCHASE') ||
-                upperText.includes('AVAILABLE')
-              ) {
-                status = 'AVAILABLE';
-                buttonText = text;
-              }
-            }
-          });
-        });
-
-        console.log(`  → Status: ${status}, Button: "${buttonText}"`);
-
-        const key = `${title}_${screeningTime || index}`;
-        tickets[key] = {
-          title,
-          screeningTime,
-          status,
-          buttonText,
-          url: window.location.href
-        };
-      });
-
-      return tickets;
-    });
-
-    const count = Object.keys(tickets).length;
+    const count = tickets.length;
     console.log(`📊 Found ${count} film(s) on your schedule:\n`);
 
     if (count === 0) {
@@ -214,13 +119,17 @@ async function testDetection() {
       console.log('\nBrowser will stay open for 15 seconds for manual inspection.\n');
       await page.waitForTimeout(15000);
     } else {
-      for (const [key, ticket] of Object.entries(tickets)) {
+      for (const ticket of tickets) {
         console.log(`🎬 ${ticket.title}`);
         if (ticket.screeningTime) {
           console.log(`   ⏰ ${ticket.screeningTime}`);
         }
+        if (ticket.venue) {
+          console.log(`   📍 ${ticket.venue}`);
+        }
         console.log(`   📊 Status: ${ticket.status}`);
         console.log(`   🔘 Button: "${ticket.buttonText}"`);
+        console.log(`   🆔 Row: ${ticket.rowId || '(none)'}`);
         console.log('');
       }
 
@@ -1,30 +1,28 @@
 import { chromium } from 'playwright';
-import { readFileSync, existsSync } from 'fs';
-import { resolve } from 'path';
+import { checkLoginState, sessionCookieExpiry } from './session-health.js';
+import { loadSession } from './session-store.js';
+import { screenshotPath } from './data-dir.js';
 
 const SCHEDULE_URL = 'https://festival.sundance.org/my-festival/my-schedule';
-const COOKIES_PATH = resolve('./cookies.json');
 
 async function testLogin() {
   console.log('🧪 Testing Sundance login with cookies...\n');
 
-  // Check if cookies file exists
-  if (!existsSync(COOKIES_PATH)) {
-    console.error('❌ cookies.json not found!');
-    console.error('Please create a cookies.json file with your Sundance session cookies.');
+  // Load the session (any supported cookie format; see README.md)
+  const session = loadSession();
+  if (!session) {
+    console.error('❌ No usable session found!');
+    console.error('Please create a cookies.json (or cookies.txt) file with your Sundance session cookies.');
     console.error('See README.md for instructions.\n');
     process.exit(1);
   }
 
-  // Load cookies
-  let cookies;
-  try {
-    const cookiesJson = readFileSync(COOKIES_PATH, 'utf-8');
-    cookies = JSON.parse(cookiesJson);
-    console.log(`✓ Loaded ${cookies.length} cookie(s) from cookies.json`);
-  } catch (error) {
-    console.error('❌ Error reading cookies.json:', error.message);
-    process.exit(1);
+  const { cookies } = session.state;
+  console.log(`✓ Loaded ${cookies.length} cookie(s) from ${session.source}`);
+  const expiry = sessionCookieExpiry(cookies);
+  if (expiry) {
+    const hours = (expiry.expiresAt.getTime() - Date.now()) / 3600000;
+    console.log(`🍪 ${expiry.name} expires ${expiry.expiresAt.toLocaleString()} (${hours > 0 ? `in ${hours.toFixed(1)}h` : 'already expired'})`);
   }
 
   // Launch browser
@@ -33,8 +31,7 @@ async function testLogin() {
     headless: false  // Show browser so you can see what's happening
   });
 
-  const context = await browser.newContext();
-  await context.addCookies(cookies);
+  const context = await browser.newContext({ storageState: session.state });
 
   const page = await context.newPage();
 
@@ -66,8 +63,9 @@ async function testLogin() {
     console.log(`🔗 Final URL: ${url}\n`);
 
     // Take a screenshot for debugging
-    await page.screenshot({ path: 'test-screenshot.png', fullPage: false });
-    console.log('📸 Screenshot saved to test-screenshot.png\n');
+    const screenshot = screenshotPath('test-screenshot.png');
+    await page.screenshot({ path: screenshot, fullPage: false });
+    console.log(`📸 Screenshot saved to ${screenshot}\n`);
 
     // Check page content
     const bodyText = await page.evaluate(() => document.body.innerText);
@@ -76,18 +74,18 @@ async function testLogin() {
 
     console.log(`Has "schedule" text: ${hasScheduleContent}`);
 
-    // Check for login indicators
-    const isOnSchedulePage = url.includes('/my-festival/my-schedule');
-    const hasLoginButton = await page.locator('text=/sign in|log in/i').count() > 0;
+    // Check for login indicators (the same checks the monitor runs every cycle)
+    const hasScheduleRows = await page.locator('.sd_schedule_film_desc').count() > 0;
+    const login = await checkLoginState(page, hasScheduleRows);
 
-    if (isOnSchedulePage && !hasLoginButton) {
+    if (login.loggedIn && (hasScheduleRows || hasScheduleContent)) {
       console.log('✅ SUCCESS! You are logged in and can access your schedule.\n');
       console.log('The browser will stay open for 10 seconds so you can verify.');
       console.log('You should see your schedule with your saved films.\n');
 
       await page.waitForTimeout(10000);
-    } else if (hasLoginButton) {
-      console.log('❌ FAILED: Login required. Your cookies may be expired.\n');
+    } else if (!login.loggedIn) {
+      console.log(`❌ FAILED: Login required (${login.reason}). Your cookies may be expired.\n`);
       console.log('Please log in to Sundance in your regular browser,');
       console.log('then export fresh cookies and update cookies.json.\n');
 
@@ -0,0 +1,34 @@
+import { createNotifier } from './notifiers.js';
+import { SCHEDULE_URL } from './schedule-scraper.js';
+
+// Send a sample alert through every configured notification channel
+async function testNotify() {
+  console.log('🧪 Testing notification channels...\n');
+
+  const notifier = createNotifier();
+  if (notifier.channels.length === 0) {
+    console.error('❌ No notification channels configured!');
+    console.error('Set RESEND_*, WEBHOOK_URL, NTFY_TOPIC, PUSHOVER_*, SLACK_WEBHOOK_URL,');
+    console.error('DISCORD_WEBHOOK_URL or TELEGRAM_* (see README.md).\n');
+    process.exit(1);
+  }
+
+  console.log(`🔔 Channels: ${notifier.channels.join(', ')}\n`);
+
+  const results = await notifier.notify([{
+    type: 'STATUS_CHANGED',
+    from: 'SOLD_OUT',
+    to: 'AVAILABLE',
+    transition: 'SOLD_OUT->AVAILABLE',
+    title: 'Test Film (notification check)',
+    screeningTime: 'Thursday, January 22 9:00 PM - 10:45 PM MST',
+    buttonText: 'Order tickets',
+    url: SCHEDULE_URL
+  }]);
+
+  const failed = results.filter(r => !r.ok);
+  console.log(`\n${failed.length === 0 ? '✅' : '⚠️ '} ${results.length - failed.length}/${results.length} channel(s) delivered`);
+  if (failed.length > 0) process.exit(1);
+}
+
+testNotify().catch(console.error);
@@ -0,0 +1,159 @@
+import { describe, test, expect } from 'bun:test';
+import { createBrowserSupervisor } from '../src/browser-supervisor.js';
+
+// Stand-ins for Playwright's browser, context and page
+function fakeBrowser() {
+  const browser = {
+    connected: true,
+    contexts: [],
+    isConnected: () => browser.connected,
+    async newContext({ storageState }) {
+      const context = {
+        // The live session has moved on from the one the context was opened with
+        storageState: async () => ({ cookies: [{ name: 'sd_session', value: 'live' }], origins: [] }),
+        async newPage() {
+          const page = {
+            closed: false,
+            isClosed: () => page.closed,
+            // A navigation that never finishes, until the page is closed under it
+            goto: () => new Promise((resolve, reject) => { page.fail = reject; })
+          };
+          context.page = page;
+          return page;
+        },
+        close: async () => {
+          context.page.closed = true;
+          context.page.fail?.(new Error('page.goto: Target page, context or browser has been closed'));
+        }
+      };
+      context.launchedWith = storageState;
+      browser.contexts.push(context);
+      return context;
+    },
+    close: async () => {
+      browser.connected = false;
+    }
+  };
+  return browser;
+}
+
+function createFixture(options = {}) {
+  const launched = [];
+  const restarts = [];
+  const supervisor = createBrowserSupervisor({
+    launch: async () => {
+      if (options.failLaunch?.(launched.length)) throw new Error('Executable doesn\'t exist');
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    },
+    storageState: () => ({ cookies: [{ name: 'sd_session', value: 'saved' }], origins: [] }),
+    setup: options.setup,
+    onRestart: restart => restarts.push(restart),
+    maxRepeatedFailures: 3,
+    stopWaitMs: 100
+  });
+  return { supervisor, launched, restarts };
+}
+
+describe('browser supervisor', () => {
+  test('launches with the saved session and runs setup', async () => {
+    const seen = [];
+    const { supervisor, launched } = createFixture({ setup: ({ page }) => seen.push(page) });
+    await supervisor.start();
+
+    expect(launched).toHaveLength(1);
+    expect(launched[0].contexts[0].launchedWith.cookies[0].value).toBe('saved');
+    expect(seen).toEqual([supervisor.page]);
+    expect(supervisor.checkUsable()).toBeNull();
+  });
+
+  test('replaces a disconnected browser or a closed page', async () => {
+    const { supervisor, launched, restarts } = createFixture();
+    await supervisor.start();
+
+    supervisor.page.closed = true;
+    expect(supervisor.checkUsable()).toBe('page closed');
+    await supervisor.restart('page closed');
+    expect(launched).toHaveLength(2);
+    // The old browser was still connected, so its live cookies carried over
+    expect(launched[0].connected).toBe(false);
+    expect(launched[1].contexts[0].launchedWith.cookies[0].value).toBe('live');
+
+    launched[1].connected = false;
+    expect(supervisor.checkUsable()).toBe('browser disconnected');
+    await supervisor.restart('browser disconnected');
+    // A disconnected browser can't be asked, so the saved session is used
+    expect(launched[2].contexts[0].launchedWith.cookies[0].value).toBe('saved');
+
+    expect(restarts.map(r => [r.reason, r.ok])).toEqual([['page closed', true], ['browser disconnected', true]]);
+    expect(supervisor.restarts().count).toBe(2);
+    expect(supervisor.restarts().recent[0].reason).toBe('browser disconnected');
+  });
+
+  test('restarts after the same error repeats, or at once for a browser error', async () => {
+    const { supervisor } = createFixture();
+    await supervisor.start();
+
+    expect(supervisor.recordFailure(new Error('Timeout 30000ms exceeded navigating to https://x/1'))).toBeNull();
+    expect(supervisor.recordFailure(new Error('Timeout 60000ms exceeded navigating to https://x/2'))).toBeNull();
+    expect(supervisor.recordFailure(new Error('Timeout 30000ms exceeded navigating to https://x/3'))).toMatch(/^same error 3 times/);
+
+    supervisor.recordSuccess();
+    expect(supervisor.recordFailure(new Error('Timeout 30000ms exceeded'))).toBeNull();
+    expect(supervisor.recordFailure(new Error('page.goto: Target page, context or browser has been closed'))).toMatch(/^browser error/);
+  });
+
+  test('treats a check that never finishes as hung', async () => {
+    const { supervisor } = createFixture();
+    await supervisor.start();
+
+    const error = await supervisor.run(() => new Promise(() => {}), 20).catch(e => e);
+    expect(error.message).toContain('did not finish');
+    expect(supervisor.recordFailure(error)).toBe('check hung');
+    expect(await supervisor.run(async () => 'ok', 1000)).toBe('ok');
+  });
+
+  test('a hung check is stopped before run returns, and changes nothing after', async () => {
+    const { supervisor } = createFixture();
+    await supervisor.start();
+    const saved = [];
+    let ended = false;
+
+    // Stuck loading the schedule, like runCheck in monitor.js
+    const stuck = async (signal) => {
+      try {
+        await supervisor.page.goto('https://festival.sundance.org/my-festival/my-schedule').catch(() => {});
+        signal.throwIfAborted();
+        saved.push('state');
+      } finally {
+        ended = true;
+      }
+    };
+    const error = await supervisor.run(stuck, 20).catch(e => e);
+    expect(error.checkTimedOut).toBe(true);
+    expect(ended).toBe(true);
+    expect(supervisor.page.isClosed()).toBe(true);
+    expect(supervisor.recordFailure(error)).toBe('check hung');
+
+    // A slow step that finishes after the timeout doesn't save either
+    const slow = async (signal) => {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      signal.throwIfAborted();
+      saved.push('state');
+    };
+    await supervisor.restart('check hung');
+    expect((await supervisor.run(slow, 20).catch(e => e)).checkTimedOut).toBe(true);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(saved).toEqual([]);
+  });
+
+  test('a failed relaunch is recorded and leaves no browser to use', async () => {
+    const { supervisor, restarts } = createFixture({ failLaunch: count => count >= 1 });
+    await supervisor.start();
+
+    await expect(supervisor.restart('check hung')).rejects.toThrow('Executable');
+    expect(restarts[0]).toMatchObject({ reason: 'check hung', ok: false, error: 'Executable doesn\'t exist' });
+    expect(supervisor.checkUsable()).toBe('browser not running');
+  });
+});
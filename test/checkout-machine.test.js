@@ -0,0 +1,292 @@
+import { describe, test, expect } from 'bun:test';
+import { loadCheckoutFlow, validateCheckoutFlow, runCheckoutMachine } from '../src/checkout-machine.js';
+import { attemptPurchase, createCheckoutDriver, purchaseChange } from '../src/auto-purchase.js';
+
+const FLOW = loadCheckoutFlow({ path: new URL('../checkout-flow.json', import.meta.url).pathname, env: {} });
+
+// The shipped flow with short timeouts, so failures don't take seconds
+function quickFlow(flow = FLOW) {
+  const states = Object.fromEntries(Object.entries(flow.states).map(([name, state]) => [name, { ...state, timeoutMs: state.outcome ? undefined : 50 }]));
+  return { ...flow, settleMs: 0, states };
+}
+
+// Stand-in for the checkout page: conditions read `page`, actions run `effects`
+function fakeDriver(page, effects = {}) {
+  const acted = [];
+  const driver = {
+    acted,
+    url: () => page.url,
+    wait: ms => new Promise(resolve => setTimeout(resolve, Math.min(ms, 5))),
+    settle: async () => {},
+    async detect(condition, scope) {
+      const text = scope ? page.dialog || '' : `${page.body || ''}\n${page.dialog || ''}`;
+      if (condition.url) return new RegExp(condition.url, 'i').test(page.url);
+      if (condition.text) return new RegExp(condition.text, 'i').test(text);
+      if (condition.button) return [condition.button].flat().some(p => (page.buttons || []).some(b => new RegExp(p, 'i').test(b)));
+      if (condition.check) return !!page.checks?.[condition.check];
+      return false;
+    },
+    async act(action, context) {
+      const name = action.do || action.label;
+      acted.push(name);
+      return effects[name] ? effects[name](page, context) : { ok: false };
+    }
+  };
+  return driver;
+}
+
+// A checkout that goes the way the site usually does
+const HAPPY_PATH = {
+  'Buy additional tickets': (page) => {
+    page.dialog = 'Salt Flats\nTickets 1\nVisa ending in 4242\nI agree to the Purchasing Terms\nCOMPLETE PURCHASE';
+    return { ok: true };
+  },
+  setQuantity: (page) => {
+    page.checks.quantitySet = true;
+    return { ok: true };
+  },
+  selectSavedPayment: (page) => {
+    page.checks.paymentReady = true;
+    return { ok: true };
+  },
+  fillCard: () => ({ ok: false }),
+  acceptTerms: (page) => {
+    page.checks.termsAccepted = true;
+    page.buttons = ['COMPLETE PURCHASE'];
+    return { ok: true };
+  },
+  'Complete purchase': (page) => {
+    page.url = 'https://festival.sundance.org/my-festival/order-confirmation/100001';
+    page.dialog = '';
+    page.body = 'Thank you for your order!';
+    return { ok: true };
+  }
+};
+
+const startPage = () => ({ url: 'https://festival.sundance.org/my-festival/my-schedule', body: 'My Schedule', checks: { loginPage: false } });
+
+describe('the shipped checkout-flow.json', () => {
+  test('is valid', () => {
+    expect(validateCheckoutFlow(FLOW)).toEqual([]);
+  });
+
+  test('walks every state to the confirmation, doing only the allowed actions', async () => {
+    const driver = fakeDriver(startPage(), HAPPY_PATH);
+    const result = await runCheckoutMachine(quickFlow(), driver);
+
+    expect(result).toMatchObject({ success: true, reason: 'Purchase confirmed', url: 'https://festival.sundance.org/my-festival/order-confirmation/100001' });
+    expect(result.states.map(s => s.state)).toEqual([
+      'ORDER_CLICKED', 'BUY_ADDITIONAL_OPEN', 'QUANTITY_SET', 'PAYMENT_SELECTED', 'TERMS_ACCEPTED', 'SUBMITTED', 'CONFIRMED'
+    ]);
+    expect(driver.acted).toEqual(['Buy additional tickets', 'setQuantity', 'selectSavedPayment', 'fillCard', 'acceptTerms', 'Complete purchase']);
+  });
+
+  test('a declined card after submitting fails with the modal error', async () => {
+    const effects = {
+      ...HAPPY_PATH,
+      'Complete purchase': (page) => {
+        page.dialog += '\nYour card was declined.';
+        return { ok: true };
+      }
+    };
+    const result = await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), effects));
+    expect(result).toMatchObject({ success: false, reason: 'Checkout error in modal' });
+    expect(result.states.at(-2).state).toBe('SUBMITTED');
+    expect(result.states.at(-1)).toMatchObject({ state: 'FAILED', reason: 'Checkout error in modal' });
+  });
+
+  test('stray error text in the checkout doesn\'t stop a purchase', async () => {
+    const effects = {
+      ...HAPPY_PATH,
+      'Buy additional tickets': (page) => {
+        HAPPY_PATH['Buy additional tickets'](page);
+        page.dialog += '\nPlease fix the error below\nSomething went wrong? Try again later';
+        return { ok: true };
+      }
+    };
+    const result = await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), effects));
+    expect(result).toMatchObject({ success: true, reason: 'Purchase confirmed' });
+  });
+
+  test('a waiting room ends the run before anything else is clicked', async () => {
+    const effects = {
+      ...HAPPY_PATH,
+      'Buy additional tickets': (page) => {
+        page.url = 'https://festival.sundance.org/queue';
+        return { ok: true };
+      }
+    };
+    const driver = fakeDriver(startPage(), effects);
+    const result = await runCheckoutMachine(quickFlow(), driver);
+    expect(result.reason).toBe('Queue/waiting room encountered');
+    expect(driver.acted).toEqual(['Buy additional tickets']);
+  });
+
+  test('a waiting room message stops the run, but the word "queue" elsewhere on the page doesn\'t', async () => {
+    const waiting = {
+      ...HAPPY_PATH,
+      'Buy additional tickets': (page) => {
+        page.body = 'You are now in the waiting room';
+        return { ok: true };
+      }
+    };
+    expect((await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), waiting))).reason).toBe('Queue/waiting room encountered');
+
+    const page = { ...startPage(), body: 'My Schedule\nAdd to your watch queue\nWaiting room opens 30 minutes before showtime' };
+    expect(await runCheckoutMachine(quickFlow(), fakeDriver(page, HAPPY_PATH))).toMatchObject({ success: true, reason: 'Purchase confirmed' });
+  });
+
+  test('a state that never comes times out, naming where it stopped', async () => {
+    const effects = { ...HAPPY_PATH, acceptTerms: () => ({ ok: false }) };
+    const result = await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), effects));
+    expect(result).toMatchObject({ success: false, reason: 'Timed out in PAYMENT_SELECTED waiting for TERMS_ACCEPTED' });
+  });
+
+  test('a required action that can\'t be done fails the run', async () => {
+    const effects = { ...HAPPY_PATH, 'Complete purchase': () => ({ ok: false }) };
+    const result = await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), effects));
+    expect(result).toMatchObject({ success: false, reason: 'Could not Complete purchase (TERMS_ACCEPTED)' });
+  });
+
+  test('an action can end the run with its own result (a dry run)', async () => {
+    const effects = {
+      ...HAPPY_PATH,
+      'Complete purchase': (page, { states }) => ({ done: { success: true, dryRun: true, reason: 'Dry run reached final step', reached: states } })
+    };
+    const result = await runCheckoutMachine(quickFlow(), fakeDriver(startPage(), effects));
+    expect(result).toMatchObject({ success: true, dryRun: true, reached: ['ORDER_CLICKED', 'BUY_ADDITIONAL_OPEN', 'QUANTITY_SET', 'PAYMENT_SELECTED', 'TERMS_ACCEPTED'] });
+  });
+});
+
+// Just enough of a Playwright page for the driver to find buttons: a checkout dialog
+// showing `buttons`, whose clicks are counted
+function fakeCheckoutPage(buttons) {
+  const clicks = [];
+  const button = text => ({
+    isVisible: async () => true,
+    isDisabled: async () => false,
+    innerText: async () => text,
+    evaluate: async () => {},
+    click: async () => { clicks.push(text); }
+  });
+  const root = {
+    locator: (selector, { hasText } = {}) => {
+      const matching = buttons.filter(text => !hasText || hasText.test(text));
+      return { count: async () => matching.length, nth: i => button(matching[i]) };
+    }
+  };
+  const mainFrame = {};
+  return {
+    clicks,
+    ...root,
+    locator: (selector, options) => (options ? root.locator(selector, options) : root),
+    frames: () => [mainFrame],
+    mainFrame: () => mainFrame,
+    url: () => 'https://festival.sundance.org/my-festival/my-schedule',
+    waitForTimeout: async () => {}
+  };
+}
+
+describe('dry run', () => {
+  test('stops at the final button without clicking it, for a PURCHASE_DRY_RUN notification', async () => {
+    const page = fakeCheckoutPage(['Cancel', 'COMPLETE PURCHASE']);
+    let submitted = false;
+    const driver = createCheckoutDriver(page, { dryRun: true }, { markSubmitted: () => { submitted = true; } });
+    // The page up to the final button is the fake one; the submit goes through the real driver
+    const fake = fakeDriver(startPage(), HAPPY_PATH);
+    const result = await runCheckoutMachine(quickFlow(), {
+      ...fake,
+      act: (action, context) => (action.submit ? driver.act(action, context) : fake.act(action, context))
+    });
+
+    expect(result).toMatchObject({
+      success: true,
+      dryRun: true,
+      reason: 'Dry run reached final step (would click "COMPLETE PURCHASE")',
+      finalButton: 'COMPLETE PURCHASE'
+    });
+    expect(result.states.map(s => s.state)).toEqual(['ORDER_CLICKED', 'BUY_ADDITIONAL_OPEN', 'QUANTITY_SET', 'PAYMENT_SELECTED', 'TERMS_ACCEPTED']);
+    expect(page.clicks).toEqual([]);
+    expect(submitted).toBe(false);
+    expect(purchaseChange('Salt Flats', 'Fri 12:30 PM', result, page.url())).toMatchObject({
+      type: 'PURCHASE_DRY_RUN',
+      title: 'Salt Flats',
+      screeningTime: 'Fri 12:30 PM',
+      buttonText: result.reason
+    });
+  });
+
+  test('the same step clicks the button when it isn\'t a dry run', async () => {
+    const page = fakeCheckoutPage(['COMPLETE PURCHASE']);
+    let submitted = false;
+    const driver = createCheckoutDriver(page, { dryRun: false }, { markSubmitted: () => { submitted = true; } });
+    const submit = FLOW.states.TERMS_ACCEPTED.actions[0];
+    expect(await driver.act(submit, { scope: FLOW.scopes.checkout, states: [] })).toEqual({ ok: true });
+    expect(page.clicks).toEqual(['COMPLETE PURCHASE']);
+    expect(submitted).toBe(true);
+  });
+});
+
+describe('validateCheckoutFlow', () => {
+  test('reports unknown states, checks, tasks, scopes and bad patterns', () => {
+    const flow = {
+      initial: 'START',
+      states: {
+        START: {
+          detect: { check: 'isReady' },
+          actions: [{ do: 'payNow' }, { click: ['(unclosed'], in: 'modal' }],
+          next: ['DONE', 'MISSING']
+        },
+        DONE: { outcome: 'success' }
+      }
+    };
+    expect(validateCheckoutFlow(flow)).toEqual([
+      'states: no state has "outcome": "failure"',
+      'states.START.detect: unknown check "isReady" (expected one of loginPage, quantitySet, paymentReady, termsAccepted)',
+      'states.START.actions[0]: unknown task "payNow" (expected one of setQuantity, selectSavedPayment, fillCard, acceptTerms)',
+      'states.START.actions[1].click: invalid pattern "(unclosed"',
+      'states.START.actions[1].in: unknown scope "modal"',
+      'states.START.next: "DONE" has no detect, so it can only be the last choice',
+      'states.START.next: "MISSING" is not a state',
+      'states.DONE.detect: a success state needs a detect'
+    ]);
+  });
+
+  test('loading an invalid flow explains what is wrong', () => {
+    expect(() => loadCheckoutFlow({ env: { CHECKOUT_FLOW_JSON: '{"states": {}}' } })).toThrow('Checkout flow in CHECKOUT_FLOW_JSON is invalid: states: expected an object of named states');
+    expect(() => loadCheckoutFlow({ env: { CHECKOUT_FLOW_JSON: '{' } })).toThrow('not valid JSON');
+    expect(() => loadCheckoutFlow({ path: '/nonexistent/checkout-flow.json', env: {} })).toThrow('Checkout flow not found');
+  });
+});
+
+describe('purchase notifications', () => {
+  const config = { enabled: true, films: [{ title: 'Mock Film: Happy Path', autoPurchase: true }], settings: { dryRun: true } };
+  // The schedule tab, with no Order tickets button for the film
+  const schedulePage = () => ({ url: () => 'https://festival.sundance.org/my-festival/my-schedule', evaluate: async () => ({ found: false }) });
+
+  test('a missing Order tickets button is reported as a failed purchase', async () => {
+    const sent = [];
+    const result = await attemptPurchase(schedulePage(), 'Mock Film: Happy Path', 'Friday 12:30 PM', config, async (changes, options) => { sent.push({ changes, options }); });
+
+    expect(result).toEqual({ success: false, reason: 'Order tickets button not found' });
+    expect(sent).toEqual([{
+      changes: [{
+        type: 'PURCHASE_FAILED',
+        title: 'Mock Film: Happy Path',
+        screeningTime: 'Friday 12:30 PM',
+        buttonText: 'Order tickets button not found',
+        url: 'https://festival.sundance.org/my-festival/my-schedule',
+        confirmation: null,
+        recording: null
+      }],
+      options: { urgent: true }
+    }]);
+  });
+
+  test('notifyOnPurchaseUpdates: false keeps it quiet', async () => {
+    const sent = [];
+    const quiet = { ...config, settings: { ...config.settings, notifyOnPurchaseUpdates: false } };
+    await attemptPurchase(schedulePage(), 'Mock Film: Happy Path', '', quiet, async (changes) => { sent.push(changes); });
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { EventEmitter } from 'events';
+import { getRecordingSettings, harEntry, pruneRecordings, createCheckoutRecorder } from '../src/checkout-recorder.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'checkout-recorder-'));
+afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+const RUN = { id: Date.parse('2026-01-23T19:02:11Z'), slug: 'salt-flats', key: 'Salt Flats_Fri', title: 'Salt Flats', purchaseRunId: 'salt-flats-1769194931000' };
+
+// Stand-in for a Playwright page and its context's tracing
+function fakePage() {
+  const page = new EventEmitter();
+  page.tracing = { started: null, stopped: null };
+  const context = {
+    tracing: {
+      start: async (options) => { page.tracing.started = options; },
+      stop: async ({ path }) => {
+        page.tracing.stopped = path;
+        writeFileSync(path, 'zip');
+      }
+    }
+  };
+  page.off = page.removeListener;
+  page.context = () => context;
+  page.url = () => 'https://festival.sundance.org/checkout';
+  page.content = async () => '<html><button>COMPLETE PURCHASE</button></html>';
+  return page;
+}
+
+function fakeRequest(url, { status = 200, failure = null } = {}) {
+  return {
+    method: () => 'GET',
+    url: () => url,
+    headers: () => ({ accept: 'application/json', cookie: 'sd_session=secret' }),
+    response: async () => ({ status: () => status, statusText: () => 'OK', headers: () => ({ 'content-type': 'application/json', 'set-cookie': 'sd_session=new' }) }),
+    failure: () => (failure ? { errorText: failure } : null)
+  };
+}
+
+describe('getRecordingSettings', () => {
+  test('off unless configured, with the environment winning', () => {
+    expect(getRecordingSettings({}, {}).enabled).toBe(false);
+    expect(getRecordingSettings({ recordCheckouts: true }, {})).toMatchObject({ enabled: true, trace: true, keep: 20 });
+    expect(getRecordingSettings({ recordCheckouts: { trace: false, keep: 5 } }, {})).toMatchObject({ enabled: true, trace: false, keep: 5 });
+    expect(getRecordingSettings({ recordCheckouts: true }, { RECORD_CHECKOUTS: 'false' }).enabled).toBe(false);
+    expect(getRecordingSettings({}, { RECORD_CHECKOUTS: 'true' }).enabled).toBe(true);
+  });
+});
+
+describe('harEntry', () => {
+  test('keeps cookies and tokens out of the headers', () => {
+    const entry = harEntry({
+      method: 'POST',
+      url: 'https://festival.sundance.org/api/cart?id=4',
+      requestHeaders: { Cookie: 'sd_session=secret', Authorization: 'Bearer x', accept: '*/*' },
+      startedAt: 1000,
+      endedAt: 1250,
+      status: 200,
+      responseHeaders: { 'Content-Type': 'application/json' }
+    });
+    expect(entry.request.headers).toEqual([
+      { name: 'Cookie', value: '[redacted]' },
+      { name: 'Authorization', value: '[redacted]' },
+      { name: 'accept', value: '*/*' }
+    ]);
+    expect(entry.request.queryString).toEqual([{ name: 'id', value: '4' }]);
+    expect(entry.request.postData).toBeUndefined();
+    expect(entry.time).toBe(250);
+    expect(entry.response.content.mimeType).toBe('application/json');
+  });
+});
+
+describe('pruneRecordings', () => {
+  test('keeps the newest finished recordings, and any still running', () => {
+    const root = join(dir, 'prune');
+    for (const name of ['2026-01-21T10-00-00-a', '2026-01-22T10-00-00-b', '2026-01-23T10-00-00-c']) {
+      mkdirSync(join(root, name), { recursive: true });
+      writeFileSync(join(root, name, 'recording.json'), '{}');
+    }
+    // A parallel checkout that hasn't finished yet
+    mkdirSync(join(root, '2026-01-20T10-00-00-running'), { recursive: true });
+
+    expect(pruneRecordings(2, root)).toEqual(['2026-01-21T10-00-00-a']);
+    expect(readdirSync(root).sort()).toEqual(['2026-01-20T10-00-00-running', '2026-01-22T10-00-00-b', '2026-01-23T10-00-00-c']);
+  });
+});
+
+describe('createCheckoutRecorder', () => {
+  test('returns null when recording is off', async () => {
+    expect(await createCheckoutRecorder(fakePage(), RUN, {}, { dir, env: {} })).toBeNull();
+  });
+
+  test('writes a trace, HAR, step snapshots and a summary to a timestamped directory', async () => {
+    const page = fakePage();
+    const recorder = await createCheckoutRecorder(page, RUN, { recordCheckouts: true }, { dir, env: {} });
+    expect(recorder.dir).toBe(join(dir, '2026-01-23T19-02-11-000-salt-flats'));
+
+    const ok = fakeRequest('https://festival.sundance.org/api/cart');
+    page.emit('request', ok);
+    page.emit('requestfinished', ok);
+    const failed = fakeRequest('https://festival.sundance.org/api/pay', { failure: 'net::ERR_FAILED' });
+    page.emit('request', failed);
+    page.emit('requestfailed', failed);
+
+    await recorder.snapshot(page, 'checkout-1', ['COMPLETE PURCHASE', 'Cancel']);
+    const result = { success: false, reason: 'Checkout flow incomplete', url: page.url() };
+    expect(await recorder.finish(result)).toBe(recorder.dir);
+
+    expect(readdirSync(recorder.dir).sort()).toEqual(['01-checkout-1.html', '01-checkout-1.txt', 'network.har', 'recording.json', 'trace.zip']);
+    expect(readFileSync(join(recorder.dir, '01-checkout-1.txt'), 'utf-8')).toContain('Buttons: COMPLETE PURCHASE | Cancel');
+
+    const har = JSON.parse(readFileSync(join(recorder.dir, 'network.har'), 'utf-8'));
+    expect(har.log.entries.map(e => [e.request.url, e.response.status, e.response._failureText])).toEqual([
+      ['https://festival.sundance.org/api/cart', 200, undefined],
+      ['https://festival.sundance.org/api/pay', 0, 'net::ERR_FAILED']
+    ]);
+    expect(JSON.stringify(har)).not.toContain('secret');
+
+    const manifest = JSON.parse(readFileSync(join(recorder.dir, 'recording.json'), 'utf-8'));
+    expect(manifest).toMatchObject({ purchaseRunId: RUN.purchaseRunId, trace: 'trace.zip', result: { success: false, reason: 'Checkout flow incomplete' } });
+    expect(manifest.steps.map(step => step.label)).toEqual(['checkout-1']);
+    expect(page.listenerCount('requestfinished')).toBe(0);
+  });
+
+  test('a second checkout in the same browser skips the trace', async () => {
+    const page = fakePage();
+    const first = await createCheckoutRecorder(page, { ...RUN, id: RUN.id + 1000 }, { recordCheckouts: true }, { dir, env: {} });
+    const second = await createCheckoutRecorder(page, { ...RUN, id: RUN.id + 2000, slug: 'quiet-hours' }, { recordCheckouts: true }, { dir, env: {} });
+
+    await second.finish({ success: true, reason: 'Purchase confirmed' });
+    await first.finish({ success: false, reason: 'Queue/waiting room encountered' });
+
+    const manifest = JSON.parse(readFileSync(join(second.dir, 'recording.json'), 'utf-8'));
+    expect(manifest.trace).toMatch(/^skipped/);
+    expect(readdirSync(first.dir)).toContain('trace.zip');
+  });
+
+  test('two checkouts of the same film in the same second get their own directories', async () => {
+    const settings = { recordCheckouts: { trace: false } };
+    const first = await createCheckoutRecorder(fakePage(), { ...RUN, id: RUN.id + 5000 }, settings, { dir, env: {} });
+    const second = await createCheckoutRecorder(fakePage(), { ...RUN, id: RUN.id + 5250 }, settings, { dir, env: {} });
+    expect(first.dir).not.toBe(second.dir);
+    await first.finish({ success: false, reason: 'Timed out' });
+    await second.finish({ success: false, reason: 'Timed out' });
+  });
+
+  test('a finished checkout doesn\'t prune one still recording', async () => {
+    const root = join(dir, 'parallel');
+    const settings = { recordCheckouts: { keep: 1, trace: false } };
+    const first = await createCheckoutRecorder(fakePage(), { ...RUN, id: RUN.id + 3000 }, settings, { dir: root, env: {} });
+    const second = await createCheckoutRecorder(fakePage(), { ...RUN, id: RUN.id + 4000, slug: 'quiet-hours' }, settings, { dir: root, env: {} });
+
+    await second.finish({ success: true, reason: 'Purchase confirmed' });
+    await first.snapshot(fakePage(), 'checkout-1');
+    await first.finish({ success: false, reason: 'Timed out' });
+
+    // Once both have finished, the last to finish is the one kept
+    expect(readdirSync(root)).toEqual([basename(first.dir)]);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readAutoPurchaseConfig, loadAutoPurchaseConfig, saveAutoPurchaseConfig } from '../src/auto-purchase.js';
+import { createControlRoutes } from '../src/control-api.js';
+import { createStatusStore } from '../src/status-store.js';
+import { createDashboardServer } from '../src/dashboard-server.js';
+import { createMonitorControl } from '../src/monitor-control.js';
+
+const TOKEN = 'test-token';
+const dir = mkdtempSync(join(tmpdir(), 'control-api-'));
+const configPath = join(dir, 'auto-purchase.json');
+
+const STATE = {
+  'Salt Flats_Fri 12:30 PM': { key: 'Salt Flats_Fri 12:30 PM', title: 'Salt Flats', screeningTime: 'Fri 12:30 PM', status: 'SOLD_OUT' },
+  'Salt Flats_Sun 6:00 PM': { key: 'Salt Flats_Sun 6:00 PM', title: 'Salt Flats', screeningTime: 'Sun 6:00 PM', status: 'SOLD_OUT' },
+  'Quiet Hours_Sat 3:00 PM': { key: 'Quiet Hours_Sat 3:00 PM', title: 'Quiet Hours', screeningTime: 'Sat 3:00 PM', status: 'AVAILABLE' }
+};
+
+let store;
+let control;
+let server;
+let base;
+
+beforeAll(() => {
+  process.env.AUTO_PURCHASE_PATH = configPath;
+  delete process.env.AUTO_PURCHASE_JSON;
+  delete process.env.AUTO_PURCHASE_JSON_BASE64;
+  writeFileSync(configPath, JSON.stringify({
+    enabled: true,
+    films: [{ title: 'Salt Flats', autoPurchase: true, group: 'salt-flats' }],
+    settings: { ticketQuantity: 1 }
+  }));
+
+  store = createStatusStore();
+  store.setScreenings(STATE, loadAutoPurchaseConfig());
+  control = createMonitorControl();
+  server = createDashboardServer(store, { port: 0, hostname: '127.0.0.1', routes: createControlRoutes({ store, control, token: TOKEN }) });
+  base = `http://127.0.0.1:${server.port}`;
+});
+
+afterAll(() => {
+  server?.stop(true);
+  delete process.env.AUTO_PURCHASE_PATH;
+  delete process.env.AUTO_PURCHASE_JSON;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function request(method, path, body, token = TOKEN) {
+  return fetch(`${base}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+describe('control API', () => {
+  test('rejects requests without the token', async () => {
+    expect((await request('GET', '/api/screenings', undefined, 'wrong')).status).toBe(401);
+    expect((await fetch(`${base}/api/pause`, { method: 'POST' })).status).toBe(401);
+    expect(control.paused).toBe(false);
+  });
+
+  test('lists screenings with their settings', async () => {
+    const screenings = await (await request('GET', '/api/screenings')).json();
+    expect(screenings.map(s => [s.key, s.autoPurchase])).toEqual([
+      ['Salt Flats_Fri 12:30 PM', true],
+      ['Salt Flats_Sun 6:00 PM', true],
+      ['Quiet Hours_Sat 3:00 PM', false]
+    ]);
+  });
+
+  test('edits one screening of a title-wide entry and saves the file', async () => {
+    const response = await request('PATCH', `/api/screenings/${encodeURIComponent('Salt Flats_Sun 6:00 PM')}`, { quantity: 2, priority: 5 });
+    expect(response.status).toBe(200);
+    const { screening, film } = await response.json();
+    expect(screening).toMatchObject({ autoPurchase: true, quantity: 2, priority: 5 });
+    expect(film).toEqual({ title: 'Salt Flats', screeningTime: 'Sun 6:00 PM', autoPurchase: true, group: 'salt-flats', ticketQuantity: 2, priority: 5 });
+
+    const saved = JSON.parse(readFileSync(configPath, 'utf-8'));
+    expect(saved.managedBy).toBe('control-api');
+    expect(saved.films).toHaveLength(2);
+    // The other screening keeps the title-wide settings
+    expect(store.snapshot().screenings[0]).toMatchObject({ quantity: 1, priority: null });
+  });
+
+  test('turns auto-purchase on for an unlisted screening', async () => {
+    const response = await request('PATCH', `/api/screenings/${encodeURIComponent('Quiet Hours_Sat 3:00 PM')}`, { autoPurchase: true });
+    expect((await response.json()).screening.autoPurchase).toBe(true);
+    expect(loadAutoPurchaseConfig().films.map(f => f.title)).toEqual(['Salt Flats', 'Salt Flats', 'Quiet Hours']);
+  });
+
+  test('rejects bad edits and unknown screenings', async () => {
+    expect((await request('PATCH', '/api/screenings/Quiet%20Hours_Sat%203%3A00%20PM', { quantity: 0 })).status).toBe(400);
+    expect((await request('PATCH', '/api/screenings/Quiet%20Hours_Sat%203%3A00%20PM', {})).status).toBe(400);
+    expect((await request('PATCH', '/api/screenings/Nope', { autoPurchase: true })).status).toBe(404);
+  });
+
+  test('pauses, checks on request and resumes', async () => {
+    expect(await (await request('POST', '/api/pause')).json()).toEqual({ paused: true });
+    expect(store.snapshot().paused).toBe(true);
+
+    let ran = false;
+    const waiting = control.waitWhilePaused().then(() => { ran = true; });
+    await Bun.sleep(20);
+    expect(ran).toBe(false);
+
+    expect((await request('POST', '/api/check')).status).toBe(202);
+    await waiting;
+    expect(ran).toBe(true);
+    expect(control.paused).toBe(true);
+
+    await request('POST', '/api/resume');
+    expect(control.paused).toBe(false);
+    expect(store.snapshot().paused).toBe(false);
+  });
+});
+
+describe('monitor control', () => {
+  test('a check request cuts the wait short', async () => {
+    const monitorControl = createMonitorControl();
+    const started = Date.now();
+    const sleeping = monitorControl.sleep(5000);
+    monitorControl.checkNow();
+    expect(await sleeping).toBe(true);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(await createMonitorControl().sleep(10)).toBe(false);
+  });
+});
+
+describe('config precedence', () => {
+  test('saved edits win over the environment config they started from, until it changes', () => {
+    process.env.AUTO_PURCHASE_JSON = JSON.stringify({ enabled: true, films: [{ title: 'From Env', autoPurchase: true }] });
+    // The saved file predates this environment config
+    expect(readAutoPurchaseConfig().source).toBe('AUTO_PURCHASE_JSON');
+
+    saveAutoPurchaseConfig({ ...readAutoPurchaseConfig().config, films: [{ title: 'Edited', autoPurchase: true }] });
+    expect(loadAutoPurchaseConfig().films[0].title).toBe('Edited');
+
+    process.env.AUTO_PURCHASE_JSON = JSON.stringify({ enabled: true, films: [{ title: 'New Env', autoPurchase: true }] });
+    expect(loadAutoPurchaseConfig().films[0].title).toBe('New Env');
+  });
+
+  test('./auto-purchase.json is read until AUTO_PURCHASE_PATH holds a file, and saves go there', () => {
+    const app = join(dir, 'app');
+    const volumePath = join(app, 'data', 'auto-purchase.json');
+    mkdirSync(app, { recursive: true });
+    writeFileSync(join(app, 'auto-purchase.json'), JSON.stringify({ enabled: true, films: [{ title: 'From Image', autoPurchase: true }] }));
+    const cwd = process.cwd();
+    delete process.env.AUTO_PURCHASE_JSON;
+    process.env.AUTO_PURCHASE_PATH = volumePath;
+    process.chdir(app);
+    try {
+      expect(readAutoPurchaseConfig()).toMatchObject({ source: join(process.cwd(), 'auto-purchase.json') });
+      saveAutoPurchaseConfig({ ...readAutoPurchaseConfig().config, films: [{ title: 'Edited', autoPurchase: true }] });
+      expect(readAutoPurchaseConfig()).toMatchObject({ source: volumePath, config: { films: [{ title: 'Edited' }] } });
+    } finally {
+      process.chdir(cwd);
+      process.env.AUTO_PURCHASE_PATH = configPath;
+    }
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { createStatusStore } from '../src/status-store.js';
+import { createDashboardServer, getDashboardPort } from '../src/dashboard-server.js';
+import { recordChangeTimes } from '../src/change-detector.js';
+
+const CONFIG = {
+  settings: {},
+  films: [{ title: 'The Long Walk Home', autoPurchase: true, priority: 5 }]
+};
+
+const STATE = {
+  'The Long Walk Home_Thu 9:00 PM': { key: 'The Long Walk Home_Thu 9:00 PM', title: 'The Long Walk Home', screeningTime: 'Thu 9:00 PM', status: 'AVAILABLE', buttonText: 'Order tickets' },
+  'Quiet Hours_Fri 6:00 PM': { key: 'Quiet Hours_Fri 6:00 PM', title: 'Quiet Hours', screeningTime: 'Fri 6:00 PM', status: 'SOLD_OUT', buttonText: 'Sold out' }
+};
+
+let store;
+let server;
+let base;
+
+beforeAll(() => {
+  store = createStatusStore({ notifications: ['ntfy'] });
+  server = createDashboardServer(store, { port: 0, hostname: '127.0.0.1' });
+  base = `http://127.0.0.1:${server.port}`;
+});
+
+afterAll(() => {
+  server?.stop(true);
+});
+
+// Read server-sent events until `count` status events have arrived
+async function readEvents(response, count) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const data = block.split('\n').find(line => line.startsWith('data: '));
+      if (data) events.push(JSON.parse(data.slice(6)));
+    }
+  }
+  await reader.cancel();
+  return events;
+}
+
+describe('status store', () => {
+  test('lists screenings with their auto-purchase settings', () => {
+    store.setScreenings(STATE, CONFIG);
+    const [walk, quiet] = store.snapshot().screenings;
+    expect(walk).toMatchObject({ title: 'The Long Walk Home', status: 'AVAILABLE', autoPurchase: true, priority: 5 });
+    expect(quiet).toMatchObject({ title: 'Quiet Hours', status: 'SOLD_OUT', autoPurchase: false });
+  });
+
+  test('tracks checks, errors and purchase results', () => {
+    store.startCheck(3);
+    expect(store.snapshot()).toMatchObject({ checkCount: 3, checking: true });
+
+    store.recordError(new Error('Navigation timeout'));
+    store.recordPurchase({ title: 'The Long Walk Home', screeningTime: 'Thu 9:00 PM' }, { success: true, dryRun: true, reason: 'Dry run complete' });
+    store.finishCheck({ nextCheckAt: Date.now() + 60000 });
+
+    const status = store.snapshot();
+    expect(status.checking).toBe(false);
+    expect(status.lastError).toMatchObject({ message: 'Navigation timeout', checkCount: 3 });
+    expect(status.purchases[0]).toMatchObject({ title: 'The Long Walk Home', outcome: 'DRY_RUN' });
+
+    const confirmation = { orderNumber: '100001', quantity: 2, total: 60, seats: null, venue: 'Eccles Theatre' };
+    store.recordPurchase({ title: 'Quiet Hours', screeningTime: 'Fri 6:00 PM' }, { success: true, reason: 'Purchase confirmed', confirmation });
+    expect(store.snapshot().purchases[0]).toMatchObject({ title: 'Quiet Hours', outcome: 'SUCCESS', quantity: 2, confirmation });
+    expect(status.nextCheckAt).not.toBeNull();
+  });
+});
+
+describe('recordChangeTimes', () => {
+  test('stamps changed screenings and carries earlier times over', () => {
+    const previous = {
+      a: { key: 'a', status: 'SOLD_OUT', lastChangeAt: '2026-01-20T10:00:00.000Z', lastTransition: 'ABSENT->SOLD_OUT' },
+      b: { key: 'b', status: 'SOLD_OUT', lastChangeAt: '2026-01-20T10:00:00.000Z', lastTransition: 'ABSENT->SOLD_OUT' }
+    };
+    const current = { a: { key: 'a', status: 'AVAILABLE' }, b: { key: 'b', status: 'SOLD_OUT' } };
+    const now = new Date('2026-01-21T12:00:00.000Z');
+
+    recordChangeTimes(previous, current, [{ key: 'a', transition: 'SOLD_OUT->AVAILABLE' }], now);
+    expect(current.a).toMatchObject({ lastChangeAt: now.toISOString(), lastTransition: 'SOLD_OUT->AVAILABLE' });
+    expect(current.b).toMatchObject({ lastChangeAt: '2026-01-20T10:00:00.000Z', lastTransition: 'ABSENT->SOLD_OUT' });
+  });
+});
+
+describe('dashboard server', () => {
+  test('is off unless a port is configured or the platform sets PORT', () => {
+    expect(getDashboardPort({})).toBeNull();
+    expect(getDashboardPort({ DASHBOARD_PORT: '9000' })).toBe(9000);
+    expect(getDashboardPort({ DASHBOARD_ENABLED: 'true', PORT: '3000' })).toBe(3000);
+    expect(getDashboardPort({ PORT: '3000' })).toBe(3000);
+    expect(getDashboardPort({ PORT: '3000', DASHBOARD_ENABLED: 'false' })).toBeNull();
+  });
+
+  test('serves the page and the status as JSON', async () => {
+    const page = await fetch(`${base}/`);
+    expect(page.headers.get('content-type')).toContain('text/html');
+    expect(await page.text()).toContain('EventSource');
+
+    const status = await (await fetch(`${base}/api/status`)).json();
+    expect(status.notifications).toEqual(['ntfy']);
+    expect(status.screenings).toHaveLength(2);
+  });
+
+  test('answers health checks', async () => {
+    const response = await fetch(`${base}/healthz`);
+    expect(response.status).toBe(200);
+    expect((await response.json()).healthy).toBe(true);
+    // No metrics were passed to this server
+    expect((await fetch(`${base}/metrics`)).status).toBe(404);
+  });
+
+  test('needs DASHBOARD_TOKEN for the status on a public address, but not for /healthz', async () => {
+    const open = createDashboardServer(store, { port: 0, hostname: '0.0.0.0', token: 'secret' });
+    const closed = createDashboardServer(store, { port: 0, hostname: '0.0.0.0', token: '' });
+    try {
+      const url = (s, path) => `http://127.0.0.1:${s.port}${path}`;
+      expect((await fetch(url(open, '/api/status'))).status).toBe(401);
+      expect((await fetch(url(open, '/api/status?token=wrong'))).status).toBe(401);
+      expect((await fetch(url(open, '/api/status?token=secret'))).status).toBe(200);
+      expect((await fetch(url(open, '/'), { headers: { Authorization: 'Bearer secret' } })).status).toBe(200);
+      expect((await fetch(url(open, '/healthz'))).status).toBe(200);
+      expect((await fetch(url(closed, '/events'))).status).toBe(403);
+    } finally {
+      open.stop(true);
+      closed.stop(true);
+    }
+  });
+
+  test('streams the current status, then updates', async () => {
+    const response = await fetch(`${base}/events`);
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+    const events = readEvents(response, 2);
+    await Bun.sleep(50);
+    store.update({ session: { status: 'EXPIRING', reason: 'Cookie expires soon' } });
+
+    const [first, second] = await events;
+    expect(first.checkCount).toBe(3);
+    expect(second.session.status).toBe('EXPIRING');
+  });
+});
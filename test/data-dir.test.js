@@ -0,0 +1,45 @@
+import { describe, test, expect, afterAll } from 'bun:test';
+import { mkdtempSync, readFileSync, readdirSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { writeJsonAtomic, migrateLegacyFiles } from '../src/data-dir.js';
+
+const root = mkdtempSync(join(tmpdir(), 'data-dir-'));
+
+afterAll(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+describe('writeJsonAtomic', () => {
+  test('creates the directory, replaces the file and leaves no temporary file', () => {
+    const path = join(root, 'atomic', 'ticket-state.json');
+    writeJsonAtomic(path, { a: 1 });
+    writeJsonAtomic(path, { a: 2 });
+    expect(JSON.parse(readFileSync(path, 'utf-8'))).toEqual({ a: 2 });
+    expect(readdirSync(join(root, 'atomic'))).toEqual(['ticket-state.json']);
+  });
+});
+
+describe('migrateLegacyFiles', () => {
+  test('moves state files into the data directory without overwriting', () => {
+    const from = join(root, 'app');
+    const to = join(root, 'app', 'data');
+    writeJsonAtomic(join(from, 'ticket-state.json'), { old: true });
+    writeJsonAtomic(join(from, 'purchase-ledger.json'), { purchases: ['old'] });
+    writeJsonAtomic(join(to, 'purchase-ledger.json'), { purchases: ['current'] });
+
+    const moved = migrateLegacyFiles({ from, to });
+    expect(moved).toEqual(['ticket-state.json']);
+    expect(existsSync(join(from, 'ticket-state.json'))).toBe(false);
+    expect(JSON.parse(readFileSync(join(to, 'ticket-state.json'), 'utf-8'))).toEqual({ old: true });
+    // The file already in the data directory wins; the old one is left where it was
+    expect(JSON.parse(readFileSync(join(to, 'purchase-ledger.json'), 'utf-8'))).toEqual({ purchases: ['current'] });
+    expect(existsSync(join(from, 'purchase-ledger.json'))).toBe(true);
+  });
+
+  test('does nothing when the data directory is the working directory', () => {
+    const dir = join(root, 'same');
+    writeJsonAtomic(join(dir, 'ticket-state.json'), {});
+    expect(migrateLegacyFiles({ from: dir, to: dir })).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, test, expect } from 'bun:test';
+import { getDetailWatchSettings, selectDetailTargets, applyDetailStatuses } from '../src/detail-watcher.js';
+
+const NOW = new Date('2026-01-23T17:00:00Z');
+const FILM_URL = 'https://festival.sundance.org/program/film/salt-flats';
+
+const STATE = {
+  'Salt Flats_Fri': { key: 'Salt Flats_Fri', title: 'Salt Flats', status: 'SOLD_OUT', startsAt: '2026-01-23T19:30:00Z', detailUrl: FILM_URL },
+  'Salt Flats_Sat': { key: 'Salt Flats_Sat', title: 'Salt Flats', status: 'WAITLIST', startsAt: '2026-01-23T18:00:00Z', detailUrl: FILM_URL },
+  'Quiet Hours_Fri': { key: 'Quiet Hours_Fri', title: 'Quiet Hours', status: 'SOLD_OUT', startsAt: '2026-01-23T17:30:00Z', detailUrl: 'https://festival.sundance.org/program/film/quiet-hours' },
+  // Already on sale, too far off, no film page, already started
+  'Night Swimmers_Fri': { key: 'Night Swimmers_Fri', title: 'Night Swimmers', status: 'AVAILABLE', startsAt: '2026-01-23T18:00:00Z', detailUrl: 'https://festival.sundance.org/program/film/night-swimmers' },
+  'Paper Lanterns_Sun': { key: 'Paper Lanterns_Sun', title: 'Paper Lanterns', status: 'SOLD_OUT', startsAt: '2026-01-25T18:00:00Z', detailUrl: 'https://festival.sundance.org/program/film/paper-lanterns' },
+  'The Long Walk Home_Fri': { key: 'The Long Walk Home_Fri', title: 'The Long Walk Home', status: 'SOLD_OUT', startsAt: '2026-01-23T18:00:00Z', detailUrl: null },
+  'Morning Light_Fri': { key: 'Morning Light_Fri', title: 'Morning Light', status: 'SOLD_OUT', startsAt: '2026-01-23T16:00:00Z', detailUrl: 'https://festival.sundance.org/program/film/morning-light' }
+};
+
+describe('getDetailWatchSettings', () => {
+  test('defaults, file settings and environment overrides', () => {
+    expect(getDetailWatchSettings({}, {})).toEqual({ hours: 3, intervalSeconds: 15, maxPages: 5, enabled: true });
+    expect(getDetailWatchSettings({ detailPages: { hours: 6 } }, { DETAIL_WATCH_INTERVAL: '10' })).toMatchObject({ hours: 6, intervalSeconds: 10, enabled: true });
+  });
+
+  test('can be turned off', () => {
+    expect(getDetailWatchSettings({ detailPages: false }, {}).enabled).toBe(false);
+    expect(getDetailWatchSettings({}, { DETAIL_WATCH_HOURS: '0' }).enabled).toBe(false);
+  });
+});
+
+describe('selectDetailTargets', () => {
+  test('groups sold-out screenings starting soon by film page, soonest first', () => {
+    const targets = selectDetailTargets(STATE, getDetailWatchSettings({}, {}), NOW);
+    expect(targets.map(t => [t.url, t.screenings.map(s => s.key)])).toEqual([
+      ['https://festival.sundance.org/program/film/quiet-hours', ['Quiet Hours_Fri']],
+      [FILM_URL, ['Salt Flats_Sat', 'Salt Flats_Fri']]
+    ]);
+  });
+
+  test('watches at most maxPages pages, and none when off', () => {
+    expect(selectDetailTargets(STATE, getDetailWatchSettings({ detailPages: { maxPages: 1 } }, {}), NOW)).toHaveLength(1);
+    expect(selectDetailTargets(STATE, getDetailWatchSettings({ detailPages: false }, {}), NOW)).toEqual([]);
+  });
+});
+
+describe('applyDetailStatuses', () => {
+  test('updates the screenings read and leaves the rest alone', () => {
+    const next = applyDetailStatuses(STATE, [
+      { ...STATE['Salt Flats_Fri'], status: 'AVAILABLE', buttonText: 'Order tickets' },
+      { key: 'Unknown_Key', status: 'AVAILABLE', buttonText: 'Order tickets' }
+    ]);
+
+    expect(next['Salt Flats_Fri']).toMatchObject({ status: 'AVAILABLE', buttonText: 'Order tickets', detailUrl: FILM_URL });
+    expect(STATE['Salt Flats_Fri'].status).toBe('SOLD_OUT');
+    expect(next['Quiet Hours_Fri']).toBe(STATE['Quiet Hours_Fri']);
+    expect(next['Unknown_Key']).toBeUndefined();
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, test, expect } from 'bun:test';
+import { getLogFormat, formatLogLine, withLogContext, setLogContext } from '../src/logger.js';
+
+const TIME = new Date('2026-01-23T17:00:00Z');
+const line = (message, fields) => JSON.parse(formatLogLine('info', message, fields, TIME));
+
+describe('getLogFormat', () => {
+  test('defaults to the human format', () => {
+    expect(getLogFormat({})).toBe('text');
+    expect(getLogFormat({ LOG_FORMAT: 'JSON' })).toBe('json');
+    expect(getLogFormat({ LOG_FORMAT: 'yaml' })).toBe('text');
+  });
+});
+
+describe('formatLogLine', () => {
+  test('one object with the level, time and trimmed message', () => {
+    expect(line('\n🛒 AUTO-PURCHASE: Starting   ', { step: 'order-tickets' })).toEqual({
+      timestamp: '2026-01-23T17:00:00.000Z',
+      level: 'info',
+      message: '🛒 AUTO-PURCHASE: Starting',
+      step: 'order-tickets'
+    });
+  });
+
+  test('carries the context across awaits, with the entry\'s own fields winning', async () => {
+    await withLogContext({ check: 12 }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(line('Loading schedule')).toMatchObject({ check: 12 });
+
+      await withLogContext({ key: 'Salt Flats_Fri', purchaseRunId: 'salt-flats-1' }, async () => {
+        expect(line('Checkout step 1', { key: 'override' })).toMatchObject({ check: 12, key: 'override', purchaseRunId: 'salt-flats-1' });
+      });
+      expect(line('Done').purchaseRunId).toBeUndefined();
+    });
+    expect(line('Outside').check).toBeUndefined();
+  });
+
+  test('parallel purchases keep their own run id and step', async () => {
+    const purchase = (id, delay) => withLogContext({ purchaseRunId: id }, async () => {
+      setLogContext({ step: `checkout-${id}` });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return line('Checkout step');
+    });
+
+    const [a, b] = await Promise.all([purchase('a', 5), purchase('b', 1)]);
+    expect([a.purchaseRunId, a.step]).toEqual(['a', 'checkout-a']);
+    expect([b.purchaseRunId, b.step]).toEqual(['b', 'checkout-b']);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, test, expect } from 'bun:test';
+import { createMonitorMetrics } from '../src/metrics.js';
+import { checkHealth } from '../src/status-store.js';
+
+describe('monitor metrics', () => {
+  test('renders counters, gauges and the check duration histogram', () => {
+    const metrics = createMonitorMetrics();
+    metrics.recordCheck('ok', 4200);
+    metrics.recordCheck('error', 61000);
+    metrics.recordScreenings({
+      a: { status: 'AVAILABLE' },
+      b: { status: 'SOLD_OUT' },
+      c: { status: 'SOLD_OUT' }
+    });
+    metrics.recordChanges([{ transition: 'SOLD_OUT->AVAILABLE' }]);
+    metrics.recordPurchase({ success: true });
+    metrics.recordPurchase({ success: true, dryRun: true });
+    metrics.recordNotifications([{ channel: 'ntfy', ok: true }, { channel: 'discord', ok: false, error: 'HTTP 429' }]);
+    metrics.recordSession('EXPIRING');
+    metrics.recordBrowserRestart(false);
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE sundance_monitor_checks_total counter');
+    expect(text).toContain('sundance_monitor_checks_total{result="ok"} 1');
+    expect(text).toContain('sundance_monitor_checks_total{result="error"} 1');
+    expect(text).toContain('sundance_monitor_check_duration_seconds_bucket{le="5"} 1');
+    expect(text).toContain('sundance_monitor_check_duration_seconds_bucket{le="+Inf"} 2');
+    expect(text).toContain('sundance_monitor_check_duration_seconds_sum 65.2');
+    expect(text).toContain('sundance_monitor_screenings{status="SOLD_OUT"} 2');
+    expect(text).toContain('sundance_monitor_changes_detected_total{transition="SOLD_OUT->AVAILABLE"} 1');
+    expect(text).toContain('sundance_monitor_purchase_attempts_total{outcome="dry_run"} 1');
+    expect(text).toContain('sundance_monitor_notifications_total{channel="discord",result="failed"} 1');
+    expect(text).toContain('sundance_monitor_notification_failures_total{channel="discord"} 1');
+    expect(text).toContain('sundance_monitor_session_status{status="EXPIRING"} 1');
+    expect(text).toContain('sundance_monitor_session_status{status="OK"} 0');
+    expect(text).toContain('sundance_monitor_browser_restarts_total{result="failed"} 1');
+    expect(text).toMatch(/sundance_monitor_last_successful_check_timestamp_seconds \d+/);
+  });
+
+  test('screening gauges only count the latest schedule', () => {
+    const metrics = createMonitorMetrics();
+    metrics.recordScreenings({ a: { status: 'WAITLIST' } });
+    metrics.recordScreenings({ a: { status: 'AVAILABLE' } });
+    expect(metrics.render()).not.toContain('status="WAITLIST"');
+  });
+});
+
+describe('checkHealth', () => {
+  const started = '2026-01-22T10:00:00.000Z';
+  const at = (minutes) => new Date(started).getTime() + minutes * 60000;
+  const options = (minutes) => ({ intervalMs: 120000, maxMissedChecks: 3, now: at(minutes) });
+
+  test('gives a new monitor time to start', () => {
+    expect(checkHealth({ startedAt: started }, options(5)).healthy).toBe(true);
+    expect(checkHealth({ startedAt: started }, options(7))).toMatchObject({ healthy: false });
+  });
+
+  test('fails once successful checks stop, with the likely reason', () => {
+    const status = {
+      startedAt: started,
+      lastSuccessfulCheckAt: new Date(at(10)).toISOString(),
+      session: { status: 'DEGRADED', reason: 'Schedule page is asking to sign in' }
+    };
+    expect(checkHealth(status, options(15)).healthy).toBe(true);
+
+    const health = checkHealth(status, options(20));
+    expect(health.healthy).toBe(false);
+    expect(health.reason).toBe('No successful check in 10 min; session expired (Schedule page is asking to sign in)');
+  });
+
+  test('stays healthy while paused', () => {
+    expect(checkHealth({ startedAt: started, paused: true }, options(600)).healthy).toBe(true);
+  });
+});
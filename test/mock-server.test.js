@@ -0,0 +1,52 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { createMockServer } from '../src/mock-server.js';
+import { parseConfirmation } from '../src/order-confirmation.js';
+
+let server;
+let base;
+
+beforeAll(() => {
+  server = createMockServer({ port: 0 });
+  base = `http://127.0.0.1:${server.port}`;
+});
+
+afterAll(() => {
+  server?.stop(true);
+});
+
+const screeningId = async (title) => (await (await fetch(`${base}/__mock/screenings`)).json()).find(s => s.title === title).id;
+const post = (path, body = {}) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then(r => r.json());
+
+describe('mock checkout', () => {
+  test('a successful purchase ends on a confirmation page with the order details', async () => {
+    const id = await screeningId('Mock Film: Happy Path');
+    expect(await post(`/api/mock/checkout/${id}`)).toMatchObject({ title: 'Mock Film: Happy Path', venue: 'Eccles Theatre', price: 30 });
+
+    const { redirect } = await post(`/api/mock/purchase/${id}`, { quantity: 2, savedCard: true });
+    expect(redirect).toMatch(/^\/my-festival\/order-confirmation\/\d+$/);
+
+    const page = await (await fetch(`${base}${redirect}`)).text();
+    const text = page.replace(/<[^>]+>/g, '\n').replace(/&middot;/g, '·');
+    expect(parseConfirmation(text, { url: `${base}${redirect}` })).toMatchObject({ orderNumber: redirect.split('/').at(-1), quantity: 2, total: 60 });
+
+    const purchases = await (await fetch(`${base}/__mock/purchases`)).json();
+    expect(purchases.at(-1)).toMatchObject({ title: 'Mock Film: Happy Path', quantity: 2, savedCard: true });
+  });
+
+  test('each scenario ends checkout its own way', async () => {
+    expect(await post(`/api/mock/checkout/${await screeningId('Mock Film: Queue')}`)).toEqual({ redirect: '/queue' });
+    expect((await post(`/api/mock/checkout/${await screeningId('Mock Film: Login Redirect')}`)).redirect).toMatch(/^\/login\?returnTo=/);
+    expect((await post(`/api/mock/checkout/${await screeningId('Mock Film: No Longer Available')}`)).message).toBe('These tickets are no longer available.');
+    expect(await post(`/api/mock/purchase/${await screeningId('Mock Film: Declined Card')}`)).toEqual({ message: 'Your card was declined.' });
+    expect((await post(`/api/mock/checkout/${await screeningId('Mock Film: Sold Out')}`)).message).toBe('These tickets are no longer available.');
+  });
+
+  test('screenings can be switched to another status or scenario', async () => {
+    const id = await screeningId('Mock Film: Sold Out');
+    expect(await post(`/__mock/screenings/${id}`, { status: 'AVAILABLE', scenario: 'declined' })).toMatchObject({ status: 'AVAILABLE', scenario: 'declined' });
+    expect(await post(`/api/mock/purchase/${id}`)).toEqual({ message: 'Your card was declined.' });
+
+    const response = await fetch(`${base}/__mock/screenings/${id}`, { method: 'POST', body: JSON.stringify({ scenario: 'nope' }) });
+    expect(response.status).toBe(400);
+  });
+});
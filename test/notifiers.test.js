@@ -0,0 +1,110 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { createNotifier, formatMessage } from '../src/notifiers.js';
+
+// Local stand-in for every HTTP notification service; records what it receives
+let server;
+let received = [];
+
+const CHANGE = {
+  type: 'STATUS_CHANGED',
+  from: 'SOLD_OUT',
+  to: 'AVAILABLE',
+  transition: 'SOLD_OUT->AVAILABLE',
+  title: 'The Long Walk Home',
+  screeningTime: 'Thursday, January 22 9:00 PM - 10:45 PM MST',
+  buttonText: 'Order tickets',
+  url: 'https://festival.sundance.org/my-festival/my-schedule'
+};
+
+function standInEnv() {
+  const base = `http://localhost:${server.port}`;
+  return {
+    WEBHOOK_URL: `${base}/webhook`,
+    NTFY_SERVER: `${base}/ntfy`,
+    NTFY_TOPIC: 'sundance-test',
+    PUSHOVER_TOKEN: 'app-token',
+    PUSHOVER_USER: 'user-key',
+    PUSHOVER_API_URL: `${base}/pushover`,
+    SLACK_WEBHOOK_URL: `${base}/slack`,
+    DISCORD_WEBHOOK_URL: `${base}/discord`,
+    TELEGRAM_BOT_TOKEN: '123:abc',
+    TELEGRAM_CHAT_ID: '42',
+    TELEGRAM_API_URL: `${base}/telegram`,
+    DESKTOP_ENABLED: 'false'
+  };
+}
+
+beforeAll(() => {
+  server = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const { pathname } = new URL(req.url);
+      received.push({ pathname, body: await req.json() });
+      if (pathname === '/discord') return new Response('rate limited', { status: 429 });
+      return Response.json({ ok: true });
+    }
+  });
+});
+
+afterAll(() => {
+  server?.stop(true);
+});
+
+describe('createNotifier', () => {
+  test('fans out to every configured channel in parallel', async () => {
+    received = [];
+    const notifier = createNotifier(standInEnv());
+    expect(notifier.channels).toEqual(['webhook', 'ntfy', 'pushover', 'slack', 'discord', 'telegram']);
+
+    const results = await notifier.notify([CHANGE], { urgent: true });
+
+    expect(results.filter(r => r.ok).map(r => r.channel)).toEqual(['webhook', 'ntfy', 'pushover', 'slack', 'telegram']);
+    expect(results.find(r => r.channel === 'discord')).toMatchObject({ ok: false, error: 'HTTP 429: rate limited' });
+
+    const byPath = Object.fromEntries(received.map(r => [r.pathname, r.body]));
+    expect(byPath['/webhook']).toMatchObject({ event: 'sundance.changes', urgent: true, changes: [CHANGE] });
+    expect(byPath['/ntfy']).toMatchObject({ topic: 'sundance-test', priority: 5, click: CHANGE.url });
+    expect(byPath['/pushover']).toMatchObject({ token: 'app-token', user: 'user-key', priority: 1 });
+    expect(byPath['/slack'].text).toContain('The Long Walk Home');
+    expect(byPath['/discord'].content).toContain('NOW AVAILABLE (was sold out)');
+    expect(byPath['/telegram/bot123:abc/sendMessage']).toMatchObject({ chat_id: '42' });
+  });
+
+  test('channels can be switched off individually', () => {
+    const notifier = createNotifier({ ...standInEnv(), SLACK_ENABLED: 'false', NTFY_ENABLED: 'false' });
+    expect(notifier.channels).toEqual(['webhook', 'pushover', 'discord', 'telegram']);
+  });
+
+  test('does nothing without channels or changes', async () => {
+    expect(await createNotifier({ DESKTOP_ENABLED: 'false' }).notify([CHANGE])).toEqual([]);
+    expect(await createNotifier(standInEnv()).notify([])).toEqual([]);
+  });
+});
+
+describe('formatMessage', () => {
+  test('uses a neutral subject for non-availability changes', () => {
+    const removed = { ...CHANGE, type: 'REMOVED', from: 'SOLD_OUT', to: 'ABSENT', transition: 'SOLD_OUT->ABSENT' };
+    expect(formatMessage([CHANGE]).title).toBe('🎬 Sundance: The Long Walk Home - Tickets Available!');
+    expect(formatMessage([CHANGE, removed]).title).toBe('🎬 Sundance: 2 schedule updates (The Long Walk Home, The Long Walk Home)');
+  });
+
+  test('links the checkout recording of a failed purchase', () => {
+    const failed = { type: 'PURCHASE_FAILED', title: 'Salt Flats', buttonText: 'Checkout flow incomplete', url: 'https://festival.sundance.org/checkout', recording: '/app/data/checkouts/2026-01-23T19-02-11-salt-flats' };
+    expect(formatMessage([failed]).text).toContain('🧾 Checkout recording: /app/data/checkouts/2026-01-23T19-02-11-salt-flats');
+    expect(formatMessage([CHANGE]).text).not.toContain('recording');
+  });
+
+  test('includes the order details of a successful purchase', () => {
+    const bought = {
+      type: 'PURCHASE_SUCCESS',
+      title: 'Salt Flats',
+      screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST',
+      buttonText: 'Purchase confirmed',
+      url: 'https://festival.sundance.org/my-festival/order-confirmation/100001',
+      confirmation: { orderNumber: '100001', quantity: 2, total: 60, seats: 'General Admission', venue: 'Eccles Theatre' }
+    };
+    const { text } = formatMessage([bought]);
+    expect(text).toContain('⏰ Friday, January 23 12:30 PM - 2:15 PM MST');
+    expect(text).toContain('🎟️  Order #100001 · 2 tickets · $60.00 · General Admission · Eccles Theatre');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, test, expect } from 'bun:test';
+import { parseConfirmation, formatConfirmation, hasConfirmationDetails } from '../src/order-confirmation.js';
+
+// The mock server's confirmation page, as innerText
+const MOCK_PAGE = `Sundance Film Festival
+Thank you for your order!
+Order number: 100001
+Salt Flats
+Friday, January 23 12:30 PM - 2:15 PM · Eccles Theatre
+2 tickets
+Seats: General Admission
+Total charged: $60.00`;
+
+describe('parseConfirmation', () => {
+  test('reads the order, tickets, charge, seats and venue', () => {
+    expect(parseConfirmation(MOCK_PAGE)).toEqual({
+      orderNumber: '100001',
+      quantity: 2,
+      total: 60,
+      seats: 'General Admission',
+      venue: 'Eccles Theatre'
+    });
+  });
+
+  test('understands other wordings', () => {
+    const text = `Your purchase is complete
+Confirmation #SFF-48213
+Quantity: 1
+Order total: $1,025.50
+Row F, Seat 12
+Venue: The Ray Theatre`;
+    expect(parseConfirmation(text)).toEqual({
+      orderNumber: 'SFF-48213',
+      quantity: 1,
+      total: 1025.5,
+      seats: 'Row F, Seat 12',
+      venue: 'The Ray Theatre'
+    });
+  });
+
+  test('prefers the venue the schedule showed, and takes the order number from the URL', () => {
+    const text = 'Thank you!\nSalt Flats at Prospector Square Theatre\nYour tickets are in your account';
+    const confirmation = parseConfirmation(text, {
+      url: 'https://festival.sundance.org/my-festival/order-confirmation/777123?ref=email',
+      venue: 'Prospector Square Theatre'
+    });
+    expect(confirmation).toMatchObject({ orderNumber: '777123', venue: 'Prospector Square Theatre', quantity: null, total: null });
+  });
+
+  test('doesn\'t mistake headings for an order number', () => {
+    expect(parseConfirmation('Order Confirmation\nOrder ID pending').orderNumber).toBeNull();
+  });
+
+  test('finds nothing on a page without details', () => {
+    const confirmation = parseConfirmation('Thank you for your order!');
+    expect(hasConfirmationDetails(confirmation)).toBe(false);
+    expect(formatConfirmation(confirmation)).toBe('');
+  });
+});
+
+describe('formatConfirmation', () => {
+  test('one line of what was found', () => {
+    expect(formatConfirmation(parseConfirmation(MOCK_PAGE))).toBe('Order #100001 · 2 tickets · $60.00 · General Admission · Eccles Theatre');
+    expect(formatConfirmation({ orderNumber: '5', quantity: 1, total: null, seats: null, venue: null })).toBe('Order #5 · 1 ticket');
+  });
+});
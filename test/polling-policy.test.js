@@ -0,0 +1,119 @@
+import { describe, test, expect } from 'bun:test';
+import { createPollingPolicy, getPollingSettings, parseWindows, activeWindows } from '../src/polling-policy.js';
+
+// No jitter unless a test asks for it
+const settings = (polling = {}, env = {}) => getPollingSettings({ polling: { jitter: 0, ...polling } }, env);
+
+// 8:30am Mountain (MST, UTC-7) during the festival
+const MORNING = new Date('2026-01-23T15:30:00Z');
+const AFTERNOON = new Date('2026-01-23T21:00:00Z');
+
+describe('getPollingSettings', () => {
+  test('merges the file over the defaults, and the environment over both', () => {
+    const resolved = getPollingSettings({ polling: { burst: { minutes: 10 } } }, { CHECK_INTERVAL: '30000', POLL_WINDOWS: '08:00-10:00=15', POLL_JITTER: '0' });
+    expect(resolved.intervalSeconds).toBe(30);
+    expect(resolved.burst).toEqual({ minutes: 10, intervalSeconds: 15 });
+    expect(resolved.windows).toEqual([{ start: '08:00', end: '10:00', intervalSeconds: 15 }]);
+    expect(resolved.jitter).toBe(0);
+    expect(resolved.timezone).toBe('America/Denver');
+  });
+
+  test('burst can be turned off', () => {
+    expect(getPollingSettings({ polling: { burst: null } }, {}).burst).toBeNull();
+  });
+});
+
+describe('parseWindows', () => {
+  test('reads comma-separated windows', () => {
+    expect(parseWindows('08:00-10:00=15, 22:00-01:00=20s')).toEqual([
+      { start: '08:00', end: '10:00', intervalSeconds: 15 },
+      { start: '22:00', end: '01:00', intervalSeconds: 20 }
+    ]);
+  });
+
+  test('rejects malformed windows', () => {
+    expect(() => parseWindows('8am-10am')).toThrow('Bad polling window');
+  });
+});
+
+describe('activeWindows', () => {
+  const windows = parseWindows('08:00-10:00=15,23:00-01:00=20');
+
+  test('matches times of day in the configured time zone', () => {
+    expect(activeWindows(windows, MORNING, 'America/Denver').map(w => w.start)).toEqual(['08:00']);
+    expect(activeWindows(windows, AFTERNOON, 'America/Denver')).toEqual([]);
+    // 8:30am Mountain is 10:30am Eastern
+    expect(activeWindows(windows, MORNING, 'America/New_York')).toEqual([]);
+  });
+
+  test('handles windows that run past midnight', () => {
+    expect(activeWindows(windows, new Date('2026-01-24T07:30:00Z'), 'America/Denver').map(w => w.start)).toEqual(['23:00']);
+    expect(activeWindows(windows, new Date('2026-01-24T06:30:00Z'), 'America/Denver').map(w => w.start)).toEqual(['23:00']);
+    expect(activeWindows(windows, new Date('2026-01-24T08:30:00Z'), 'America/Denver')).toEqual([]);
+  });
+});
+
+describe('createPollingPolicy', () => {
+  test('uses the base interval by default and the fastest rule that applies', () => {
+    const policy = createPollingPolicy();
+    const polling = settings({ windows: parseWindows('08:00-10:00=15') });
+    expect(policy.nextDelay(polling, [], AFTERNOON)).toEqual({ delayMs: 60000, reason: 'base interval' });
+    expect(policy.nextDelay(polling, [], MORNING)).toEqual({ delayMs: 15000, reason: 'window 08:00-10:00' });
+  });
+
+  test('speeds up before a sold-out screening starts', () => {
+    const policy = createPollingPolicy();
+    const polling = settings({ beforeScreening: { hours: 3, intervalSeconds: 30 } });
+    const soon = { title: 'Salt Flats', status: 'SOLD_OUT', startsAt: '2026-01-23T23:00:00Z' };
+    expect(policy.nextDelay(polling, [soon], AFTERNOON).delayMs).toBe(30000);
+    expect(policy.nextDelay(polling, [{ ...soon, status: 'AVAILABLE' }], AFTERNOON).delayMs).toBe(60000);
+    expect(policy.nextDelay(polling, [soon], MORNING).delayMs).toBe(60000);
+  });
+
+  test('bursts for a few minutes after a change', () => {
+    const policy = createPollingPolicy();
+    const polling = settings();
+    policy.recordCheck({ result: 'ok', changeCount: 2 }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], new Date(AFTERNOON.getTime() + 60000))).toEqual({ delayMs: 15000, reason: 'burst after a change' });
+    expect(policy.nextDelay(polling, [], new Date(AFTERNOON.getTime() + 6 * 60000)).delayMs).toBe(60000);
+  });
+
+  test('a change bursts with the settings the monitor reads, even without auto-purchase.json', () => {
+    // monitor.js: getPollingSettings(readAutoPurchaseConfig()?.config?.settings), for both calls
+    const polling = getPollingSettings(undefined, {});
+    const policy = createPollingPolicy({ random: () => 0.5 });
+    policy.recordCheck({ result: 'ok', changeCount: 1, rateLimited: false, retryAfterSeconds: undefined }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], new Date(AFTERNOON.getTime() + 60000)).reason).toBe('burst after a change');
+  });
+
+  test('backs off after consecutive failures, up to the maximum', () => {
+    const policy = createPollingPolicy();
+    const polling = settings();
+    policy.recordCheck({ result: 'error' }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], AFTERNOON).delayMs).toBe(120000);
+    policy.recordCheck({ result: 'empty' }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], AFTERNOON).delayMs).toBe(240000);
+    for (let i = 0; i < 5; i++) policy.recordCheck({ result: 'error' }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], AFTERNOON).delayMs).toBe(600000);
+
+    policy.recordCheck({ result: 'ok' }, polling, AFTERNOON);
+    expect(policy.nextDelay(polling, [], AFTERNOON).delayMs).toBe(60000);
+  });
+
+  test('waits at least Retry-After when rate limited', () => {
+    const policy = createPollingPolicy({ random: () => 0 });
+    const polling = settings({ jitter: 0.5 });
+    policy.recordCheck({ result: 'ok', rateLimited: true, retryAfterSeconds: 900 }, polling, MORNING);
+    expect(policy.nextDelay(polling, [], MORNING)).toEqual({ delayMs: 900000, reason: 'rate limited (Retry-After 900s)' });
+
+    policy.recordCheck({ result: 'error', rateLimited: true }, polling, MORNING);
+    expect(policy.nextDelay(polling, [], MORNING).delayMs).toBeGreaterThanOrEqual(300000);
+  });
+
+  test('applies jitter, but never checks more often than every 5 seconds', () => {
+    const polling = settings({ jitter: 0.2, windows: parseWindows('08:00-10:00=4') });
+    expect(createPollingPolicy({ random: () => 1 }).nextDelay(polling, [], AFTERNOON).delayMs).toBe(72000);
+    expect(createPollingPolicy({ random: () => 0 }).nextDelay(polling, [], AFTERNOON).delayMs).toBe(48000);
+    expect(createPollingPolicy({ random: () => 0 }).nextDelay(polling, [], MORNING).delayMs).toBe(5000);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, test, expect } from 'bun:test';
+import { checkPurchaseLimits, findHeldPurchase, findHeldGroupPurchase, heldPurchases } from '../src/purchase-ledger.js';
+
+const SALT_FLATS = { title: 'Salt Flats', screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST' };
+
+function entry(fields) {
+  return { id: fields.title, timestamp: '2026-01-22T18:00:00.000Z', quantity: 1, amount: null, ...fields };
+}
+
+function ledger(...purchases) {
+  return { purchases: purchases.map(entry) };
+}
+
+describe('held purchases', () => {
+  test('SUCCESS, UNCONFIRMED and PENDING hold tickets; FAILED does not', () => {
+    const purchases = ledger(
+      { title: 'A', outcome: 'SUCCESS' },
+      { title: 'B', outcome: 'UNCONFIRMED' },
+      { title: 'C', outcome: 'PENDING' },
+      { title: 'D', outcome: 'FAILED' }
+    );
+    expect(heldPurchases(purchases).map(p => p.title)).toEqual(['A', 'B', 'C']);
+  });
+
+  test('a screening is matched whatever the case and spacing', () => {
+    const purchases = ledger({ ...SALT_FLATS, outcome: 'SUCCESS' });
+    expect(findHeldPurchase(purchases, '  salt   FLATS ', 'friday, january 23 12:30 pm - 2:15 pm mst')).not.toBeNull();
+    expect(findHeldPurchase(purchases, 'Salt Flats', 'Sunday, January 25 6:00 PM - 7:45 PM MST')).toBeNull();
+    expect(findHeldPurchase(purchases, 'Night Swimmers', SALT_FLATS.screeningTime)).toBeNull();
+  });
+
+  test('the start time decides when both sides have one, however the time is worded', () => {
+    const purchases = ledger({ ...SALT_FLATS, startsAt: '2026-01-23T19:30:00.000Z', outcome: 'SUCCESS' });
+    // As the schedule API words it
+    expect(findHeldPurchase(purchases, 'Salt Flats', 'Fri, Jan 23 12:30 PM - 2:15 PM MST', '2026-01-23T19:30:00Z')).not.toBeNull();
+    expect(findHeldPurchase(purchases, 'Salt Flats', SALT_FLATS.screeningTime, '2026-01-25T01:00:00.000Z')).toBeNull();
+    // Without a start time on one side, the wording has to match
+    expect(findHeldPurchase(purchases, 'Salt Flats', SALT_FLATS.screeningTime)).not.toBeNull();
+    expect(findHeldPurchase(purchases, 'Salt Flats', 'Fri, Jan 23 12:30 PM - 2:15 PM MST')).toBeNull();
+    expect(checkPurchaseLimits(purchases, { title: 'Salt Flats', screeningTime: 'Fri 12:30 PM', startsAt: '2026-01-23T19:30:00.000Z', quantity: 1 }).allowed).toBe(false);
+  });
+
+  test('alternates groups', () => {
+    const purchases = ledger({ ...SALT_FLATS, group: 'Salt-Flats', outcome: 'PENDING' });
+    expect(findHeldGroupPurchase(purchases, 'salt-flats')).toMatchObject({ title: 'Salt Flats' });
+    expect(findHeldGroupPurchase(purchases, null)).toBeNull();
+    expect(findHeldGroupPurchase(ledger({ ...SALT_FLATS, group: 'salt-flats', outcome: 'FAILED' }), 'salt-flats')).toBeNull();
+  });
+});
+
+describe('checkPurchaseLimits', () => {
+  const request = { ...SALT_FLATS, quantity: 2, unitPrice: 30 };
+
+  test('allows a screening with no limits and nothing held', () => {
+    expect(checkPurchaseLimits(ledger(), request)).toEqual({ allowed: true, reason: null, quantity: 2 });
+  });
+
+  for (const outcome of ['SUCCESS', 'UNCONFIRMED', 'PENDING']) {
+    test(`never buys a screening again after ${outcome}`, () => {
+      const decision = checkPurchaseLimits(ledger({ ...SALT_FLATS, outcome }), request);
+      expect(decision).toEqual({ allowed: false, reason: `Already purchased (${outcome} at 2026-01-22T18:00:00.000Z)`, quantity: 0 });
+    });
+  }
+
+  test('tries again after a FAILED attempt', () => {
+    expect(checkPurchaseLimits(ledger({ ...SALT_FLATS, outcome: 'FAILED' }), request).allowed).toBe(true);
+  });
+
+  test('skips a screening whose alternate is held', () => {
+    const held = ledger({ title: 'Salt Flats', screeningTime: 'Sunday, January 25 6:00 PM - 7:45 PM MST', group: 'salt-flats', outcome: 'SUCCESS' });
+    expect(checkPurchaseLimits(held, request, { group: 'salt-flats' })).toMatchObject({
+      allowed: false,
+      reason: 'Alternate in group "salt-flats" already purchased: Salt Flats (Sunday, January 25 6:00 PM - 7:45 PM MST)'
+    });
+  });
+
+  test('maxTickets counts held tickets and lowers the quantity to fit', () => {
+    const held = ledger({ title: 'A', quantity: 3, outcome: 'SUCCESS' }, { title: 'B', quantity: 4, outcome: 'FAILED' });
+    const settings = { limits: { maxTickets: 4 } };
+    expect(checkPurchaseLimits(held, request, {}, settings)).toEqual({ allowed: true, reason: 'Quantity lowered to 1 to stay within limits', quantity: 1 });
+    expect(checkPurchaseLimits(ledger({ title: 'A', quantity: 4, outcome: 'PENDING' }), request, {}, settings))
+      .toEqual({ allowed: false, reason: 'Global maxTickets (4) reached', quantity: 0 });
+  });
+
+  test('maxPurchases counts held purchases, not tickets', () => {
+    const held = ledger({ title: 'A', quantity: 1, outcome: 'SUCCESS' }, { title: 'B', quantity: 1, outcome: 'UNCONFIRMED' });
+    expect(checkPurchaseLimits(held, request, {}, { limits: { maxPurchases: 2 } }))
+      .toMatchObject({ allowed: false, reason: 'Global maxPurchases (2) reached' });
+    expect(checkPurchaseLimits(held, request, {}, { limits: { maxPurchases: 3 } })).toMatchObject({ allowed: true, quantity: 2 });
+  });
+
+  test('maxSpend lowers the quantity to what the budget covers', () => {
+    const held = ledger({ title: 'A', quantity: 2, amount: 60, outcome: 'SUCCESS' });
+    expect(checkPurchaseLimits(held, request, {}, { limits: { maxSpend: 100 } })).toMatchObject({ allowed: true, quantity: 1 });
+    expect(checkPurchaseLimits(held, request, {}, { limits: { maxSpend: 80 } }))
+      .toEqual({ allowed: false, reason: 'Global maxSpend ($80) reached', quantity: 0 });
+  });
+
+  test('maxSpend refuses to buy when the price is unknown', () => {
+    expect(checkPurchaseLimits(ledger(), { ...request, unitPrice: null }, {}, { limits: { maxSpend: 500 } }))
+      .toEqual({ allowed: false, reason: 'Global maxSpend is set but no ticketPrice is configured', quantity: 0 });
+  });
+
+  test('per-film limits count only that film, and a film\'s own limits win', () => {
+    const held = ledger(
+      { title: 'Salt Flats', screeningTime: 'Sunday, January 25 6:00 PM - 7:45 PM MST', quantity: 1, outcome: 'SUCCESS' },
+      { title: 'Night Swimmers', quantity: 4, outcome: 'SUCCESS' }
+    );
+    const settings = { limits: { perFilm: { maxTickets: 2, maxPurchases: 1 } } };
+    expect(checkPurchaseLimits(held, request, {}, settings))
+      .toEqual({ allowed: false, reason: 'Per-film maxPurchases (1) reached', quantity: 0 });
+    expect(checkPurchaseLimits(held, request, { limits: { maxPurchases: 2 } }, settings))
+      .toEqual({ allowed: true, reason: 'Quantity lowered to 1 to stay within limits', quantity: 1 });
+    expect(checkPurchaseLimits(held, { ...request, title: 'Quiet Hours' }, {}, settings)).toMatchObject({ allowed: true, quantity: 2 });
+  });
+
+  test('the tightest of the global and per-film limits applies', () => {
+    const settings = { limits: { maxTickets: 10, perFilm: { maxTickets: 3 } } };
+    const held = ledger({ title: 'Salt Flats', screeningTime: 'Sunday', quantity: 2, outcome: 'SUCCESS' });
+    expect(checkPurchaseLimits(held, request, {}, settings)).toMatchObject({ allowed: true, quantity: 1 });
+  });
+});
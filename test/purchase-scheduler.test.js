@@ -0,0 +1,106 @@
+import { describe, test, expect } from 'bun:test';
+import { planPurchases, getPurchasePriority } from '../src/purchase-scheduler.js';
+
+const available = (title, screeningTime = '') => ({
+  type: 'STATUS_CHANGED', from: 'SOLD_OUT', to: 'AVAILABLE', transition: 'SOLD_OUT->AVAILABLE', title, screeningTime
+});
+
+const config = (films, settings = {}) => ({ enabled: true, films, settings });
+
+describe('planPurchases', () => {
+  test('orders the queue by priority, keeping page order for ties', () => {
+    const { queue } = planPurchases([
+      available('Salt Flats'),
+      available('Night Swimmers'),
+      available('The Long Walk Home'),
+      available('Paper Lanterns')
+    ], config([
+      { title: 'Salt Flats', autoPurchase: true },
+      { title: 'Night Swimmers', autoPurchase: true, priority: 5 },
+      { title: 'The Long Walk Home', autoPurchase: true, priority: 10 },
+      { title: 'Paper Lanterns', autoPurchase: true }
+    ]), { purchases: [] });
+
+    expect(queue.map(job => [job.change.title, job.priority])).toEqual([
+      ['The Long Walk Home', 10],
+      ['Night Swimmers', 5],
+      ['Salt Flats', 0],
+      ['Paper Lanterns', 0]
+    ]);
+  });
+
+  test('applies limits in priority order', () => {
+    const { queue, skipped } = planPurchases([
+      available('Salt Flats'),
+      available('Night Swimmers'),
+      available('Paper Lanterns')
+    ], config([
+      { title: 'Salt Flats', autoPurchase: true, priority: 1 },
+      { title: 'Night Swimmers', autoPurchase: true, priority: 9 },
+      { title: 'Paper Lanterns', autoPurchase: false }
+    ], { ticketQuantity: 2, limits: { maxTickets: 3 } }), { purchases: [] });
+
+    expect(queue.map(job => [job.change.title, job.decision.quantity])).toEqual([
+      ['Night Swimmers', 2],
+      ['Salt Flats', 1]
+    ]);
+    expect(skipped.map(s => [s.change.title, s.configured])).toEqual([['Paper Lanterns', false]]);
+  });
+
+  test('skips a lower-priority screening that clashes with a higher one', () => {
+    const at = (title, screeningTime, venue) => ({ ...available(title, screeningTime), venue });
+    const { queue, skipped } = planPurchases([
+      at('Salt Flats', 'Friday, January 23 12:30 PM - 2:15 PM MST', 'Egyptian Theatre'),
+      at('Night Swimmers', 'Friday, January 23 1:00 PM - 2:40 PM MST', 'The Ray Theatre')
+    ], config([
+      { title: 'Salt Flats', autoPurchase: true },
+      { title: 'Night Swimmers', autoPurchase: true, priority: 2 }
+    ]), { purchases: [] });
+
+    expect(queue.map(job => job.change.title)).toEqual(['Night Swimmers']);
+    expect(skipped[0].reason).toStartWith('Schedule conflict: Overlaps "Night Swimmers"');
+  });
+
+  test('buys only one screening of an alternates group', () => {
+    const films = [
+      { title: 'Salt Flats', screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST', autoPurchase: true, group: 'salt-flats' },
+      { title: 'Salt Flats', screeningTime: 'Sunday, January 25 6:00 PM - 7:45 PM MST', autoPurchase: true, group: 'salt-flats', priority: 1 },
+      { title: 'Night Swimmers', autoPurchase: true }
+    ];
+    const changes = [
+      available('Salt Flats', 'Friday, January 23 12:30 PM - 2:15 PM MST'),
+      available('Salt Flats', 'Sunday, January 25 6:00 PM - 7:45 PM MST'),
+      available('Night Swimmers')
+    ];
+
+    const { queue, skipped } = planPurchases(changes, config(films), { purchases: [] });
+    expect(queue.map(job => [job.change.title, job.change.screeningTime])).toEqual([
+      ['Salt Flats', 'Sunday, January 25 6:00 PM - 7:45 PM MST'],
+      ['Night Swimmers', '']
+    ]);
+    expect(skipped[0].reason).toBe('Alternate in group "salt-flats" already purchased: Salt Flats (Sunday, January 25 6:00 PM - 7:45 PM MST)');
+
+    // A failed attempt leaves the group open; a held ticket closes it
+    const failed = { title: 'Salt Flats', screeningTime: 'Sunday, January 25 6:00 PM - 7:45 PM MST', group: 'salt-flats', outcome: 'FAILED' };
+    expect(planPurchases(changes.slice(0, 1), config(films), { purchases: [failed] }).queue).toHaveLength(1);
+    expect(planPurchases(changes.slice(0, 1), config(films), { purchases: [{ ...failed, outcome: 'SUCCESS' }] }).queue).toHaveLength(0);
+  });
+
+  test('dry runs do not use up limits', () => {
+    const { queue } = planPurchases([available('Salt Flats'), available('Night Swimmers')], config([
+      { title: 'Salt Flats', autoPurchase: true, dryRun: true },
+      { title: 'Night Swimmers', autoPurchase: true }
+    ], { limits: { maxPurchases: 1 } }), { purchases: [] });
+
+    expect(queue.map(job => job.change.title)).toEqual(['Salt Flats', 'Night Swimmers']);
+  });
+});
+
+describe('getPurchasePriority', () => {
+  test('defaults to 0 for unknown films and non-numeric priorities', () => {
+    const cfg = config([{ title: 'Salt Flats', priority: 'high' }, { title: 'Night Swimmers', priority: '3' }]);
+    expect(getPurchasePriority('Salt Flats', '', cfg)).toBe(0);
+    expect(getPurchasePriority('Night Swimmers', '', cfg)).toBe(3);
+    expect(getPurchasePriority('Unlisted', '', cfg)).toBe(0);
+  });
+});
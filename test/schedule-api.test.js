@@ -0,0 +1,150 @@
+import { describe, test, expect } from 'bun:test';
+import { screeningFromApi, parseScheduleResponses, mergeWithDom, getScheduleSource, scheduleDebugRecord } from '../src/schedule-api.js';
+import { getFilmSettings } from '../src/auto-purchase.js';
+import { formatScreeningTime, parseScreeningTime } from '../src/screening-time.js';
+
+const RESPONSE = {
+  url: 'https://festival.sundance.org/api/my-schedule',
+  status: 200,
+  body: {
+    user: { favorites: [{ id: 1, name: 'Salt Flats' }] },
+    data: {
+      screenings: [
+        { id: 11, film: { title: 'Salt Flats', url: '/program/film/salt-flats' }, startTime: '2026-01-23T19:30:00Z', endTime: '2026-01-23T21:15:00Z', venue: { name: 'Egyptian Theatre' }, ticketStatus: 'SOLD_OUT' },
+        { id: 12, film: { title: 'Night Swimmers' }, startTime: '2026-01-24T18:00:00', venue: { name: 'The Ray Theatre' }, soldOut: false, available: true },
+        { id: 13, title: 'Quiet Hours', start: 1769292000, venueName: 'Redstone Cinema 1', waitlist: true }
+      ]
+    }
+  }
+};
+
+describe('screeningFromApi', () => {
+  test('reads status words, flags and remaining counts', () => {
+    const base = { title: 'Salt Flats', startTime: '2026-01-23T19:30:00Z' };
+    expect(screeningFromApi({ ...base, status: 'on-sale' }).status).toBe('AVAILABLE');
+    expect(screeningFromApi({ ...base, availability: 'Not available' }).status).toBe('SOLD_OUT');
+    expect(screeningFromApi({ ...base, isSoldOut: true }).status).toBe('SOLD_OUT');
+    expect(screeningFromApi({ ...base, remaining: 0 }).status).toBe('SOLD_OUT');
+    expect(screeningFromApi({ ...base, ticketsRemaining: 4 }).status).toBe('AVAILABLE');
+  });
+
+  test('skips items without a title, start time or status', () => {
+    expect(screeningFromApi({ title: 'Salt Flats', startTime: '2026-01-23T19:30:00Z' })).toBeNull();
+    expect(screeningFromApi({ title: 'Salt Flats', status: 'AVAILABLE' })).toBeNull();
+    expect(screeningFromApi({ startTime: '2026-01-23T19:30:00Z', status: 'AVAILABLE' })).toBeNull();
+  });
+
+  test('words the time like the schedule page, in festival time', () => {
+    const screening = screeningFromApi(RESPONSE.body.data.screenings[0]);
+    expect(screening).toMatchObject({
+      key: 'Salt Flats_Friday, January 23 12:30 PM - 2:15 PM MST',
+      screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST',
+      venue: 'Egyptian Theatre',
+      detailUrl: 'https://festival.sundance.org/program/film/salt-flats'
+    });
+    // Times without a zone are Mountain Time
+    expect(screeningFromApi(RESPONSE.body.data.screenings[1]).startsAt).toBe('2026-01-25T01:00:00.000Z');
+  });
+});
+
+describe('parseScheduleResponses', () => {
+  test('finds the list of screenings anywhere in the responses', () => {
+    const result = parseScheduleResponses([{ url: 'https://festival.sundance.org/api/me', status: 200, body: { name: 'Viewer' } }, RESPONSE]);
+    expect(result.path).toBe('$.data.screenings');
+    expect(result.screenings.map(s => [s.title, s.status])).toEqual([
+      ['Salt Flats', 'SOLD_OUT'],
+      ['Night Swimmers', 'AVAILABLE'],
+      ['Quiet Hours', 'WAITLIST']
+    ]);
+  });
+
+  test('ignores failed responses and unrecognised shapes', () => {
+    expect(parseScheduleResponses([{ ...RESPONSE, status: 500 }])).toBeNull();
+    expect(parseScheduleResponses([{ url: 'x', status: 200, body: { films: [{ title: 'Salt Flats' }, { title: 'Quiet Hours' }] } }])).toBeNull();
+    expect(parseScheduleResponses([])).toBeNull();
+  });
+});
+
+describe('parseScheduleResponses with schedule rows on the page', () => {
+  const row = (title, startsAt) => ({ key: `${title}_row`, title, screeningTime: 'row time', startsAt, venue: '', status: 'UNKNOWN', rowId: null, detailUrl: null });
+  const DOM = [row('Salt Flats', '2026-01-23T19:30:00.000Z'), row('Quiet Hours', '2026-01-24T22:00:00.000Z')];
+  // Other screenings the page fetches, longer than the schedule
+  const RECOMMENDED = {
+    url: 'https://festival.sundance.org/api/recommendations',
+    status: 200,
+    body: { items: ['Paper Lanterns', 'Low Tide', 'Glass House', 'Dry County'].map((title, i) => ({ title, startTime: `2026-01-2${5 + i}T18:00:00Z`, status: 'AVAILABLE' })) }
+  };
+
+  test('a list that doesn\'t hold the page\'s rows isn\'t the schedule', () => {
+    expect(parseScheduleResponses([RECOMMENDED, RESPONSE], DOM)).toMatchObject({ url: RESPONSE.url, path: '$.data.screenings' });
+    expect(parseScheduleResponses([RECOMMENDED], DOM)).toBeNull();
+    // Without rows to compare, the longest list is taken
+    expect(parseScheduleResponses([RECOMMENDED, RESPONSE]).url).toBe(RECOMMENDED.url);
+  });
+
+  test('of lists holding the rows, the one with the fewest others wins', () => {
+    const festival = { ...RECOMMENDED, url: 'https://festival.sundance.org/api/screenings', body: { items: [...RESPONSE.body.data.screenings, ...RECOMMENDED.body.items] } };
+    expect(parseScheduleResponses([festival, RESPONSE], DOM).url).toBe(RESPONSE.url);
+  });
+});
+
+describe('mergeWithDom', () => {
+  test('keeps the schedule row key and wording for matching screenings', () => {
+    const api = parseScheduleResponses([RESPONSE]).screenings;
+    const dom = [
+      { key: 'Salt Flats_Fri, Jan 23 12:30 PM', title: 'Salt Flats', screeningTime: 'Fri, Jan 23 12:30 PM', startsAt: '2026-01-23T19:30:00.000Z', venue: 'Egyptian', status: 'UNKNOWN', rowId: 'row-4', detailUrl: null },
+      { key: 'Paper Lanterns_Sat', title: 'Paper Lanterns', screeningTime: 'Sat', startsAt: null, venue: '', status: 'SOLD_OUT', rowId: 'row-5', detailUrl: null }
+    ];
+
+    const merged = mergeWithDom(api, dom);
+    expect(merged.map(s => [s.key, s.status, s.source])).toEqual([
+      ['Salt Flats_Fri, Jan 23 12:30 PM', 'SOLD_OUT', 'api'],
+      ['Night Swimmers_Saturday, January 24 6:00 PM MST', 'AVAILABLE', 'api'],
+      ['Quiet Hours_Saturday, January 24 3:00 PM MST', 'WAITLIST', 'api'],
+      ['Paper Lanterns_Sat', 'SOLD_OUT', 'dom']
+    ]);
+    expect(merged[0]).toMatchObject({ rowId: 'row-4', venue: 'Egyptian Theatre', detailUrl: 'https://festival.sundance.org/program/film/salt-flats' });
+  });
+});
+
+describe('getScheduleSource', () => {
+  test('defaults to auto', () => {
+    expect(getScheduleSource({})).toBe('auto');
+    expect(getScheduleSource({ SCHEDULE_SOURCE: 'DOM' })).toBe('dom');
+    expect(getScheduleSource({ SCHEDULE_SOURCE: 'xml' })).toBe('auto');
+  });
+});
+
+describe('scheduleDebugRecord', () => {
+  const ACCOUNT = { url: 'https://festival.sundance.org/api/me', status: 200, body: { email: 'viewer@example.com', token: 'secret', orders: [{ id: 9 }] } };
+
+  test('keeps the schedule payload and only the URLs of the rest', () => {
+    const responses = [ACCOUNT, RESPONSE];
+    const record = scheduleDebugRecord(responses, parseScheduleResponses(responses));
+    expect(record.recognised).toMatchObject({ url: RESPONSE.url, screenings: 3 });
+    expect(record.schedule).toEqual(RESPONSE.body);
+    expect(record.responses).toEqual([{ url: ACCOUNT.url, status: 200 }, { url: RESPONSE.url, status: 200 }]);
+    expect(JSON.stringify(record)).not.toContain('secret');
+  });
+
+  test('with nothing recognised, keeps key names but no values', () => {
+    const record = scheduleDebugRecord([ACCOUNT], null);
+    expect(record.schedule).toBeNull();
+    expect(record.responses[0].shape).toEqual({ email: 'string', token: 'string', orders: [{ id: 'number' }] });
+    expect(JSON.stringify(record)).not.toContain('viewer@example.com');
+  });
+});
+
+describe('screening times worded differently', () => {
+  test('formatScreeningTime round-trips through parseScreeningTime', () => {
+    const text = formatScreeningTime('2026-01-23T04:00:00.000Z', '2026-01-23T05:45:00.000Z');
+    expect(text).toBe('Thursday, January 22 9:00 PM - 10:45 PM MST');
+    expect(parseScreeningTime(text, { year: 2026 })).toEqual({ startsAt: '2026-01-23T04:00:00.000Z', endsAt: '2026-01-23T05:45:00.000Z' });
+  });
+
+  test('config entries match screenings worded differently by their start time', () => {
+    const config = { films: [{ title: 'Salt Flats', screeningTime: 'Fri, Jan 23 12:30 PM MST', autoPurchase: true, priority: 3 }] };
+    expect(getFilmSettings('Salt Flats', 'Friday, January 23 12:30 PM - 2:15 PM MST', config)?.priority).toBe(3);
+    expect(getFilmSettings('Salt Flats', 'Saturday, January 24 12:30 PM MST', config)).toBeNull();
+  });
+});
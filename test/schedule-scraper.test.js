@@ -0,0 +1,266 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import { chromium } from 'playwright';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { extractScreenings, extractDetailStatuses, indexScreenings, scrollSchedule, classifyStatus } from '../src/schedule-scraper.js';
+import { detectChanges, matchesTransition, isPurchasable, DEFAULT_TRANSITION_RULES } from '../src/change-detector.js';
+
+const FIXTURES_DIR = join(import.meta.dir, 'fixtures');
+
+let browser;
+let page;
+
+// Load a saved my-schedule snapshot into the headless page and scrape it
+async function scrapeFixture(name, options = {}) {
+  const html = readFileSync(join(FIXTURES_DIR, name), 'utf-8');
+  await page.setContent(html, { waitUntil: 'domcontentloaded' });
+  if (options.scroll) {
+    await scrollSchedule(page);
+  }
+  return await extractScreenings(page);
+}
+
+function summarize(screenings) {
+  return screenings.map(({ title, screeningTime, venue, status, buttonText, rowId }) => ({
+    title, screeningTime, venue, status, buttonText, rowId
+  }));
+}
+
+beforeAll(async () => {
+  browser = await chromium.launch({ headless: true });
+  page = await browser.newPage();
+});
+
+afterAll(async () => {
+  await browser?.close();
+});
+
+describe('classifyStatus', () => {
+  test('recognises sold out, waitlist and order buttons', () => {
+    expect(classifyStatus(['Sold out'])).toEqual({ status: 'SOLD_OUT', buttonText: 'Sold out' });
+    expect(classifyStatus(['Join Wait List'])).toEqual({ status: 'WAITLIST', buttonText: 'Join Wait List' });
+    expect(classifyStatus(['Waitlist'])).toEqual({ status: 'WAITLIST', buttonText: 'Waitlist' });
+    expect(classifyStatus(['Order tickets'])).toEqual({ status: 'AVAILABLE', buttonText: 'Order tickets' });
+    expect(classifyStatus(['BUY'])).toEqual({ status: 'AVAILABLE', buttonText: 'BUY' });
+  });
+
+  test('ignores icon-only and unrelated buttons', () => {
+    expect(classifyStatus(['♡', '', '→'])).toEqual({ status: 'UNKNOWN', buttonText: '' });
+    expect(classifyStatus(['Share'])).toEqual({ status: 'UNKNOWN', buttonText: '' });
+  });
+});
+
+describe('extractScreenings', () => {
+  test('sold out schedule', async () => {
+    const screenings = await scrapeFixture('schedule-sold-out.html');
+
+    expect(summarize(screenings)).toEqual([
+      {
+        title: 'The Long Walk Home',
+        screeningTime: 'Thursday, January 22 9:00 PM - 10:45 PM MST',
+        venue: 'Eccles Theatre',
+        status: 'SOLD_OUT',
+        buttonText: 'Sold out',
+        rowId: 'row-0'
+      },
+      {
+        title: 'Salt Flats',
+        screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST',
+        venue: 'Egyptian Theatre',
+        status: 'SOLD_OUT',
+        buttonText: 'Sold out',
+        rowId: 'row-1'
+      },
+      {
+        title: 'Night Swimmers',
+        screeningTime: 'Saturday, January 24 6:00 PM - 7:40 PM MST',
+        venue: 'The Ray Theatre',
+        status: 'AVAILABLE',
+        buttonText: 'Order tickets',
+        rowId: 'row-2'
+      }
+    ]);
+    expect(screenings[0].key).toBe('The Long Walk Home_Thursday, January 22 9:00 PM - 10:45 PM MST');
+    expect(screenings.map(s => s.detailUrl)).toEqual([null, 'https://festival.sundance.org/program/film/salt-flats', null]);
+  });
+
+  test('order tickets schedule', async () => {
+    const screenings = await scrapeFixture('schedule-order-tickets.html');
+
+    expect(screenings.map(s => [s.title, s.status, s.buttonText])).toEqual([
+      ['The Long Walk Home', 'AVAILABLE', 'Order tickets'],
+      ['Salt Flats', 'SOLD_OUT', 'Sold out'],
+      ['Night Swimmers', 'AVAILABLE', 'Order tickets'],
+      ['Paper Lanterns', 'AVAILABLE', 'Buy tickets']
+    ]);
+  });
+
+  test('waitlist schedule', async () => {
+    const screenings = await scrapeFixture('schedule-waitlist.html');
+
+    expect(screenings.map(s => [s.title, s.status, s.buttonText])).toEqual([
+      ['The Long Walk Home', 'WAITLIST', 'Join Wait List'],
+      ['Salt Flats', 'WAITLIST', 'Waitlist'],
+      ['Night Swimmers', 'AVAILABLE', 'Order tickets']
+    ]);
+  });
+
+  test('falls back to UNKNOWN when the row container is missing', async () => {
+    const screenings = await scrapeFixture('schedule-missing-row.html');
+
+    expect(summarize(screenings)).toEqual([
+      {
+        title: 'The Long Walk Home',
+        screeningTime: 'Thursday, January 22 9:00 PM - 10:45 PM MST',
+        venue: 'Eccles Theatre',
+        status: 'UNKNOWN',
+        buttonText: 'No row container found',
+        rowId: ''
+      },
+      {
+        title: 'Salt Flats',
+        screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST',
+        venue: 'Egyptian Theatre',
+        status: 'UNKNOWN',
+        buttonText: 'No row container found',
+        rowId: ''
+      }
+    ]);
+    expect(screenings.map(s => s.key)).toEqual(['The Long Walk Home_0', 'Salt Flats_1']);
+  });
+
+  test('virtualized rows only appear after scrolling', async () => {
+    const firstPage = await scrapeFixture('schedule-virtualized.html');
+    expect(firstPage).toHaveLength(3);
+
+    const screenings = await scrapeFixture('schedule-virtualized.html', { scroll: true });
+    expect(screenings).toHaveLength(8);
+    expect(screenings.map(s => s.rowId)).toEqual([
+      'row-0', 'row-1', 'row-2', 'row-3', 'row-4', 'row-5', 'row-6', 'row-7'
+    ]);
+
+    // The same film screening twice keeps two distinct keys
+    const longWalk = screenings.filter(s => s.title === 'The Long Walk Home');
+    expect(longWalk.map(s => s.status)).toEqual(['SOLD_OUT', 'AVAILABLE']);
+    expect(new Set(longWalk.map(s => s.key)).size).toBe(2);
+  });
+});
+
+describe('extractDetailStatuses', () => {
+  test('reads each screening from its own block on the film page', async () => {
+    await page.setContent(readFileSync(join(FIXTURES_DIR, 'film-detail.html'), 'utf-8'), { waitUntil: 'domcontentloaded' });
+    const screenings = [
+      { key: 'a', title: 'Salt Flats', screeningTime: 'Friday, January 23 12:30 PM - 2:15 PM MST', status: 'SOLD_OUT' },
+      { key: 'b', title: 'Salt Flats', screeningTime: 'Sunday, January 25 6:00 PM - 7:45 PM MST', status: 'SOLD_OUT' },
+      // No buttons in its block: unreadable, so left out
+      { key: 'c', title: 'Salt Flats', screeningTime: 'Monday, January 26 9:00 AM - 10:45 AM MST', status: 'SOLD_OUT' },
+      { key: 'd', title: 'Salt Flats', screeningTime: 'Tuesday, January 27 1:00 PM - 2:45 PM MST', status: 'SOLD_OUT' }
+    ];
+
+    const found = await extractDetailStatuses(page, screenings);
+
+    expect(found.map(s => [s.key, s.status, s.buttonText])).toEqual([
+      ['a', 'AVAILABLE', 'Order tickets'],
+      ['b', 'SOLD_OUT', 'Sold out']
+    ]);
+  });
+});
+
+describe('detectChanges', () => {
+  test('reports a sold out screening that now has tickets', async () => {
+    const previous = indexScreenings(await scrapeFixture('schedule-sold-out.html'));
+    const current = indexScreenings(await scrapeFixture('schedule-order-tickets.html'));
+
+    const changes = detectChanges(previous, current);
+
+    expect(changes.map(c => [c.type, c.transition, c.title])).toEqual([
+      ['STATUS_CHANGED', 'SOLD_OUT->AVAILABLE', 'The Long Walk Home'],
+      ['ADDED', 'ABSENT->AVAILABLE', 'Paper Lanterns']
+    ]);
+    expect(changes[0]).toMatchObject({
+      screeningTime: 'Thursday, January 22 9:00 PM - 10:45 PM MST',
+      status: 'AVAILABLE',
+      buttonText: 'Order tickets',
+      rowId: 'row-0'
+    });
+  });
+
+  test('reports every screening as added on first run', async () => {
+    const current = indexScreenings(await scrapeFixture('schedule-sold-out.html'));
+
+    const changes = detectChanges({}, current);
+
+    expect(changes.map(c => [c.transition, c.title])).toEqual([
+      ['ABSENT->SOLD_OUT', 'The Long Walk Home'],
+      ['ABSENT->SOLD_OUT', 'Salt Flats'],
+      ['ABSENT->AVAILABLE', 'Night Swimmers']
+    ]);
+    expect(changes.filter(c => matchesTransition(c, DEFAULT_TRANSITION_RULES.notify)).map(c => c.title))
+      .toEqual(['Night Swimmers']);
+  });
+
+  test('no changes when the page is unchanged', async () => {
+    const state = indexScreenings(await scrapeFixture('schedule-order-tickets.html'));
+
+    expect(detectChanges(state, state)).toEqual([]);
+  });
+
+  test('reports waitlist screenings that open up', async () => {
+    const previous = indexScreenings(await scrapeFixture('schedule-waitlist.html'));
+    const current = indexScreenings(await scrapeFixture('schedule-order-tickets.html'));
+
+    const changes = detectChanges(previous, current);
+
+    expect(changes.map(c => [c.transition, c.title])).toEqual([
+      ['WAITLIST->AVAILABLE', 'The Long Walk Home'],
+      ['WAITLIST->SOLD_OUT', 'Salt Flats'],
+      ['ABSENT->AVAILABLE', 'Paper Lanterns']
+    ]);
+    expect(changes.filter(c => isPurchasable(c, DEFAULT_TRANSITION_RULES)).map(c => c.title))
+      .toEqual(['The Long Walk Home', 'Paper Lanterns']);
+  });
+
+  test('reports screenings going back to sold out and leaving the schedule', async () => {
+    const previous = indexScreenings(await scrapeFixture('schedule-order-tickets.html'));
+    const current = indexScreenings(await scrapeFixture('schedule-sold-out.html'));
+
+    const changes = detectChanges(previous, current);
+
+    expect(changes.map(c => [c.type, c.transition, c.title])).toEqual([
+      ['STATUS_CHANGED', 'AVAILABLE->SOLD_OUT', 'The Long Walk Home'],
+      ['REMOVED', 'AVAILABLE->ABSENT', 'Paper Lanterns']
+    ]);
+    expect(changes.filter(c => matchesTransition(c, DEFAULT_TRANSITION_RULES.notify))).toEqual([]);
+    expect(changes.filter(c => matchesTransition(c, ['AVAILABLE->SOLD_OUT', 'REMOVED'])).map(c => c.title))
+      .toEqual(['The Long Walk Home', 'Paper Lanterns']);
+    expect(detectChanges(previous, current, { reportRemovals: false }).map(c => c.type))
+      .toEqual(['STATUS_CHANGED']);
+  });
+
+  test('missing row containers read as UNKNOWN and still detect recovery', async () => {
+    const previous = indexScreenings(await scrapeFixture('schedule-missing-row.html'));
+    const current = {
+      'The Long Walk Home_0': { ...previous['The Long Walk Home_0'], status: 'AVAILABLE', buttonText: 'Order tickets' }
+    };
+
+    const changes = detectChanges(previous, current);
+
+    expect(changes.map(c => [c.transition, c.title])).toEqual([
+      ['UNKNOWN->AVAILABLE', 'The Long Walk Home'],
+      ['UNKNOWN->ABSENT', 'Salt Flats']
+    ]);
+  });
+});
+
+describe('matchesTransition', () => {
+  const change = (from, to) => ({ from, to });
+
+  test('supports wildcards and aliases', () => {
+    expect(matchesTransition(change('WAITLIST', 'AVAILABLE'), ['*->AVAILABLE'])).toBe(true);
+    expect(matchesTransition(change('ABSENT', 'AVAILABLE'), ['SOLD_OUT->AVAILABLE'])).toBe(false);
+    expect(matchesTransition(change('ABSENT', 'WAITLIST'), ['added'])).toBe(true);
+    expect(matchesTransition(change('SOLD_OUT', 'ABSENT'), ['REMOVED'])).toBe(true);
+    expect(matchesTransition(change('AVAILABLE', 'SOLD_OUT'), ['*->*'])).toBe(true);
+    expect(matchesTransition(change('AVAILABLE', 'SOLD_OUT'), [])).toBe(false);
+  });
+});
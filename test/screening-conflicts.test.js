@@ -0,0 +1,62 @@
+import { describe, test, expect } from 'bun:test';
+import { parseScreeningTime } from '../src/screening-time.js';
+import { findConflict, travelMinutes } from '../src/screening-conflicts.js';
+
+describe('parseScreeningTime', () => {
+  test('reads the schedule date text as Mountain Time', () => {
+    expect(parseScreeningTime('Thursday, January 22 9:00 PM - 10:45 PM MST', { year: 2026 })).toEqual({
+      startsAt: '2026-01-23T04:00:00.000Z',
+      endsAt: '2026-01-23T05:45:00.000Z'
+    });
+  });
+
+  test('handles midnight crossings, missing end times and unreadable text', () => {
+    expect(parseScreeningTime('Sat, Jan 24 11:30 PM - 1:10 AM', { year: 2026 })).toEqual({
+      startsAt: '2026-01-25T06:30:00.000Z',
+      endsAt: '2026-01-25T08:10:00.000Z'
+    });
+    expect(parseScreeningTime('January 24 6 PM', { year: 2026, defaultRuntimeMinutes: 90 })).toEqual({
+      startsAt: '2026-01-25T01:00:00.000Z',
+      endsAt: '2026-01-25T02:30:00.000Z'
+    });
+    expect(parseScreeningTime('TBA')).toBeNull();
+    expect(parseScreeningTime('')).toBeNull();
+  });
+});
+
+describe('findConflict', () => {
+  const held = [{
+    title: 'The Long Walk Home',
+    screeningTime: 'Thursday, January 22 6:00 PM - 7:45 PM MST',
+    venue: 'Eccles Theatre',
+    ...parseScreeningTime('Thursday, January 22 6:00 PM - 7:45 PM MST', { year: 2026 })
+  }];
+  const candidate = (time, venue) => ({ title: 'Salt Flats', screeningTime: time, venue, ...parseScreeningTime(time, { year: 2026 }) });
+
+  test('rejects overlapping screenings', () => {
+    const conflict = findConflict(candidate('Thursday, January 22 7:30 PM - 9:00 PM MST', 'Eccles Theatre'), held);
+    expect(conflict.reason).toBe('Overlaps "The Long Walk Home" (Thursday, January 22 6:00 PM - 7:45 PM MST)');
+  });
+
+  test('needs the travel buffer between different venues only', () => {
+    const later = candidate('Thursday, January 22 8:00 PM - 9:30 PM MST', 'Egyptian Theatre');
+    expect(findConflict(later, held)?.reason).toContain('Only 15 min');
+    expect(findConflict({ ...later, venue: 'Eccles Theatre' }, held)).toBeNull();
+    expect(findConflict(later, held, { travelBufferMinutes: 10 })).toBeNull();
+    expect(findConflict(later, held, { venueTravelMinutes: { 'Egyptian Theatre': { 'Eccles Theatre': 10 } } })).toBeNull();
+  });
+
+  test('ignores entries without readable times', () => {
+    expect(findConflict(candidate('TBA', 'Eccles Theatre'), held)).toBeNull();
+    expect(findConflict(candidate('Thursday, January 22 7:00 PM MST', ''), [{ title: 'Old entry', screeningTime: '' }])).toBeNull();
+  });
+});
+
+describe('travelMinutes', () => {
+  test('uses the pair override in either direction', () => {
+    const settings = { travelBufferMinutes: 20, venueTravelMinutes: { 'Eccles Theatre': { 'The Ray Theatre': 40 } } };
+    expect(travelMinutes('the ray theatre', 'Eccles Theatre', settings)).toBe(40);
+    expect(travelMinutes('Eccles Theatre', 'Egyptian Theatre', settings)).toBe(20);
+    expect(travelMinutes('Eccles Theatre', 'Eccles Theatre', settings)).toBe(0);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect } from 'bun:test';
+import { checkLoginState, sessionCookieExpiry, createSessionMonitor } from '../src/session-health.js';
+
+const SCHEDULE = 'https://festival.sundance.org/my-festival/my-schedule';
+const HOUR = 3600;
+
+// Just enough of a Playwright page for the session checks
+function fakePage({ url = SCHEDULE, visible = [], cookies = [] } = {}) {
+  return {
+    url: () => url,
+    locator: (selector) => ({
+      first: () => ({ isVisible: async () => visible.some(v => selector.includes(v)) })
+    }),
+    context: () => ({ cookies: async () => cookies })
+  };
+}
+
+const cookie = (name, hoursLeft) => ({ name, expires: Math.floor(Date.now() / 1000) + hoursLeft * HOUR });
+
+describe('checkLoginState', () => {
+  test('treats loaded schedule rows as logged in', async () => {
+    expect(await checkLoginState(fakePage({ url: 'https://festival.sundance.org/login' }), true))
+      .toEqual({ loggedIn: true, reason: null });
+  });
+
+  test('detects a login redirect or prompt', async () => {
+    const redirected = await checkLoginState(fakePage({ url: 'https://festival.sundance.org/login?returnTo=x' }), false);
+    expect(redirected.loggedIn).toBe(false);
+    expect(redirected.reason).toContain('Redirected away from the schedule');
+
+    const prompt = await checkLoginState(fakePage({ visible: ['password'] }), false);
+    expect(prompt).toEqual({ loggedIn: false, reason: 'Schedule page is asking to sign in' });
+
+    expect((await checkLoginState(fakePage(), false)).loggedIn).toBe(true);
+  });
+});
+
+describe('sessionCookieExpiry', () => {
+  test('picks the earliest expiring session cookie', () => {
+    const expiry = sessionCookieExpiry([
+      cookie('_ga', 1),
+      cookie('sd_session', 30),
+      cookie('auth_token', 12),
+      { name: 'connect.sid', expires: -1 }
+    ]);
+    expect(expiry.name).toBe('auth_token');
+    expect(sessionCookieExpiry([cookie('_ga', 1), { name: 'sd_session', expires: -1 }])).toBeNull();
+  });
+});
+
+describe('createSessionMonitor', () => {
+  test('notifies once when the session dies, and again when it comes back', async () => {
+    const sent = [];
+    const session = createSessionMonitor({ notify: async (changes, options) => sent.push([changes[0].type, options.urgent]) });
+    const loggedOut = fakePage({ url: 'https://festival.sundance.org/login' });
+
+    expect((await session.check(loggedOut, false)).status).toBe('DEGRADED');
+    await session.check(loggedOut, false);
+    expect((await session.check(fakePage({ cookies: [cookie('sd_session', 48)] }), true)).status).toBe('OK');
+
+    expect(sent).toEqual([['SESSION_EXPIRED', true], ['SESSION_RESTORED', false]]);
+  });
+
+  test('tries to recover before alerting', async () => {
+    const sent = [];
+    const session = createSessionMonitor({ notify: async (changes) => sent.push(changes[0].type) });
+    const loggedOut = fakePage({ url: 'https://festival.sundance.org/login' });
+
+    const recovered = await session.check(loggedOut, false, { recover: async () => ({ success: true, scheduleLoaded: true }) });
+    expect(recovered.status).toBe('OK');
+    expect(sent).toEqual([]);
+
+    const failed = await session.check(loggedOut, false, { recover: async () => ({ success: false, reason: 'Sign-in rejected ("Invalid")' }) });
+    expect(failed.status).toBe('DEGRADED');
+    expect(failed.reason).toContain('automatic sign-in failed: Sign-in rejected ("Invalid")');
+    expect(sent).toEqual(['SESSION_EXPIRED']);
+  });
+
+  test('warns once before the session cookie expires', async () => {
+    const sent = [];
+    const session = createSessionMonitor({ warnHours: 6, notify: async (changes) => sent.push(changes[0]) });
+    const page = fakePage({ cookies: [cookie('sd_session', 2)] });
+
+    const health = await session.check(page, true);
+    await session.check(page, true);
+
+    expect(health.status).toBe('EXPIRING');
+    expect(sent).toHaveLength(1);
+    expect(sent[0].type).toBe('SESSION_EXPIRING');
+    expect(sent[0].buttonText).toMatch(/^Cookie sd_session expires in 2\.0h/);
+  });
+});
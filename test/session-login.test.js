@@ -0,0 +1,103 @@
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach } from 'bun:test';
+import { chromium } from 'playwright';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMockServer } from '../src/mock-server.js';
+import { signIn, createAutoLogin, getLoginCredentials } from '../src/session-login.js';
+
+// The mock server's account (MOCK_EMAIL / MOCK_PASSWORD)
+const CREDENTIALS = { email: 'mock@example.com', password: 'mock-password' };
+const WRONG_PASSWORD = { ...CREDENTIALS, password: 'not-the-password' };
+
+// A sign-in takes a few seconds: the form, then the schedule loading
+const SIGN_IN_TIMEOUT_MS = 60000;
+
+const dir = mkdtempSync(join(tmpdir(), 'session-login-'));
+
+let server;
+let base;
+let browser;
+let context;
+
+// Sign in to the mock site, saving the session to name in the temporary directory
+const mockSite = name => ({
+  loginUrl: `${base}/login`,
+  scheduleUrl: `${base}/my-festival/my-schedule`,
+  sessionPath: join(dir, name)
+});
+
+const mockSession = async () => (await (await fetch(`${base}/__mock/session`)).json()).loggedIn;
+
+beforeAll(async () => {
+  server = createMockServer({ port: 0 });
+  base = `http://127.0.0.1:${server.port}`;
+  browser = await chromium.launch({ headless: true });
+});
+
+afterAll(async () => {
+  await browser?.close();
+  server?.stop(true);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  // Every test starts signed out, the way the monitor finds a dead session
+  await fetch(`${base}/__mock/session`, { method: 'POST', body: JSON.stringify({ loggedIn: false }) });
+  context = await browser.newContext();
+});
+
+afterEach(async () => {
+  await context?.close();
+});
+
+describe('signIn', () => {
+  test('fills in the form, checks the schedule loads and saves the session', async () => {
+    const site = mockSite('signed-in.json');
+    expect(await signIn(context, CREDENTIALS, site)).toEqual({ success: true, reason: 'Signed in' });
+    expect(await mockSession()).toBe(true);
+
+    const saved = JSON.parse(readFileSync(site.sessionPath, 'utf-8'));
+    expect(saved.cookies.map(c => c.name)).toContain('sd_session');
+    // The sign-in page is closed again
+    expect(context.pages()).toEqual([]);
+  }, SIGN_IN_TIMEOUT_MS);
+
+  test('wrong credentials are reported from the page, and nothing is saved', async () => {
+    const site = mockSite('rejected.json');
+    expect(await signIn(context, WRONG_PASSWORD, site)).toEqual({ success: false, reason: 'Sign-in rejected ("Invalid")' });
+    expect(await mockSession()).toBe(false);
+    expect(existsSync(site.sessionPath)).toBe(false);
+  }, SIGN_IN_TIMEOUT_MS);
+
+  test('does nothing without credentials', async () => {
+    expect(getLoginCredentials({ SUNDANCE_EMAIL: CREDENTIALS.email })).toBeNull();
+    expect(await signIn(context, null, mockSite('none.json'))).toEqual({ success: false, reason: 'SUNDANCE_EMAIL / SUNDANCE_PASSWORD not set' });
+    expect(context.pages()).toEqual([]);
+  });
+});
+
+describe('createAutoLogin', () => {
+  test('is off without credentials', async () => {
+    const autoLogin = createAutoLogin(null, mockSite('off.json'));
+    expect(autoLogin.enabled).toBe(false);
+    expect(await autoLogin.attempt(context)).toBeNull();
+  });
+
+  test('waits out the cool-down after a failed sign-in', async () => {
+    const autoLogin = createAutoLogin(WRONG_PASSWORD, mockSite('cool-down.json'));
+    expect(await autoLogin.attempt(context)).toMatchObject({ success: false });
+    // Skipped without opening the sign-in page again
+    let opened = 0;
+    context.on('page', () => { opened++; });
+    expect(await autoLogin.attempt(context)).toBeNull();
+    expect(opened).toBe(0);
+  }, SIGN_IN_TIMEOUT_MS);
+
+  test('signs in again straight away after a success', async () => {
+    const autoLogin = createAutoLogin(CREDENTIALS, mockSite('again.json'));
+    expect(await autoLogin.attempt(context)).toMatchObject({ success: true });
+    await fetch(`${base}/__mock/session`, { method: 'POST', body: JSON.stringify({ loggedIn: false }) });
+    expect(await autoLogin.attempt(context)).toMatchObject({ success: true });
+  }, SIGN_IN_TIMEOUT_MS);
+});
@@ -0,0 +1,76 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSession, validateSession } from '../src/session-store.js';
+
+const IN_A_DAY = Math.floor(Date.now() / 1000) + 86400;
+
+describe('parseSession', () => {
+  test('accepts the README cookie array', () => {
+    const { cookies, origins } = parseSession(JSON.stringify([
+      { name: 'session_id', value: 'abc', domain: '.sundance.org', path: '/', secure: true, httpOnly: false, sameSite: 'Lax' }
+    ]));
+    expect(cookies).toEqual([
+      { name: 'session_id', value: 'abc', domain: '.sundance.org', path: '/', expires: -1, httpOnly: false, secure: true, sameSite: 'Lax' }
+    ]);
+    expect(origins).toEqual([]);
+  });
+
+  test('converts browser extension exports', () => {
+    const { cookies } = parseSession(JSON.stringify([
+      { domain: 'festival.sundance.org', hostOnly: true, httpOnly: true, name: 'sd_session', path: '/', sameSite: 'no_restriction', secure: true, session: false, expirationDate: IN_A_DAY + 0.25, storeId: '0', value: 'xyz' },
+      { domain: '.sundance.org', hostOnly: false, httpOnly: false, name: 'pref', path: '/', sameSite: 'unspecified', secure: false, session: true, value: '1' }
+    ]));
+    expect(cookies).toEqual([
+      { name: 'sd_session', value: 'xyz', domain: 'festival.sundance.org', path: '/', expires: IN_A_DAY, httpOnly: true, secure: true, sameSite: 'None' },
+      { name: 'pref', value: '1', domain: '.sundance.org', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+    ]);
+  });
+
+  test('reads Netscape cookies.txt, including #HttpOnly_ lines', () => {
+    const { cookies } = parseSession([
+      '# Netscape HTTP Cookie File',
+      '',
+      `#HttpOnly_.sundance.org\tTRUE\t/\tTRUE\t${IN_A_DAY}\tsd_session\tabc=def`,
+      'festival.sundance.org\tFALSE\t/\tFALSE\t0\tpref\t1'
+    ].join('\n'));
+    expect(cookies).toEqual([
+      { name: 'sd_session', value: 'abc=def', domain: '.sundance.org', path: '/', expires: IN_A_DAY, httpOnly: true, secure: true, sameSite: 'Lax' },
+      { name: 'pref', value: '1', domain: 'festival.sundance.org', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+    ]);
+  });
+
+  test('keeps localStorage from a storageState', () => {
+    const origins = [{ origin: 'https://festival.sundance.org', localStorage: [{ name: 'token', value: 't' }] }];
+    const state = parseSession(JSON.stringify({ cookies: [{ name: 'a', value: 'b', domain: '.sundance.org', path: '/', expires: -1 }], origins }));
+    expect(state.origins).toEqual(origins);
+  });
+
+  test('rejects unreadable input', () => {
+    expect(() => parseSession('')).toThrow('Empty session');
+    expect(() => parseSession('{"foo": 1}')).toThrow('Expected a cookie array');
+    expect(() => parseSession('[{"value": "x"}]')).toThrow('Cookie without a name');
+    expect(() => parseSession('.sundance.org\tTRUE\t/')).toThrow('Malformed cookies.txt line');
+  });
+});
+
+describe('validateSession', () => {
+  test('drops expired cookies and flags exports that miss the login cookie', () => {
+    const { state, errors, warnings } = validateSession(parseSession(JSON.stringify([
+      { name: 'old', value: '1', domain: '.sundance.org', expires: 1000 },
+      { name: 'session_id', value: 'abc', domain: '.sundance.org' }
+    ])));
+    expect(state.cookies.map(c => c.name)).toEqual(['session_id']);
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([
+      '1 expired cookie(s) dropped',
+      'No httpOnly cookies; a document.cookie export usually misses the login cookie'
+    ]);
+  });
+
+  test('errors when nothing usable is left', () => {
+    expect(validateSession({ cookies: [] }).errors).toEqual(['No cookies found']);
+    expect(validateSession(parseSession('[{"name": "old", "value": "1", "expires": 1000}]')).errors)
+      .toEqual(['Every cookie has expired']);
+    expect(validateSession(parseSession('[{"name": "a", "value": "1", "domain": ".example.com", "httpOnly": true}]')).warnings)
+      .toEqual(['No cookies for sundance.org; was this exported from the right site?']);
+  });
+});